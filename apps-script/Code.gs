@@ -0,0 +1,161 @@
+// ============================================================
+//  Google Apps Script backend – record-level sync
+// ============================================================
+// Paste into Extensions → Apps Script of the spreadsheet, choose a SECRET
+// and deploy as a Web App (Execute as "Me", Access "Anyone"). Enter the
+// deployment URL and the same secret in the app under Nastavení.
+//
+// Everything is a POST with the token in the JSON body – never in the URL:
+//   { token, action: "ping" }                     → { ok, rows }
+//   { token, action: "pull" }                     → { records, meters, log }
+//   { token, action: "sync", ops, headers, meters, log } → { applied, conflicts }
+//
+// Every row carries `rev` and `updatedAt`. An operation
+//   { op: "create" | "update" | "delete", id, baseRev, record }
+// is applied only when `baseRev` equals the row's current revision (0 for a
+// row that does not exist). Otherwise – or when a different row already holds
+// the same month – nothing is written and the sheet's version comes back in
+// `conflicts` so the app can let the user decide.
+//
+// Change-log entries from all devices are appended to a second sheet "Log"
+// (one row per entry, changes as JSON) and the newest ones come back on pull.
+//
+// scripts/mock-sheets.js runs this file locally for testing.
+
+const SECRET = 'change-me'; // ← your own secret, entered in the app as the token
+const BASE_HEADERS = ['id', 'rev', 'updatedAt', 'year', 'month'];
+const LOG_HEADERS = ['id', 'at', 'device', 'action', 'summary', 'changes'];
+const LOG_LIMIT = 300;
+
+function doGet() {
+  return json_({ error: 'use POST' });
+}
+
+function doPost(e) {
+  const payload = JSON.parse(e.postData.contents);
+  if (payload.token !== SECRET) return json_({ error: 'unauthorized' });
+
+  if (payload.action === 'ping') return json_({ ok: true, rows: readSheet_().records.length });
+  if (payload.action === 'pull') {
+    const meters = PropertiesService.getScriptProperties().getProperty('meters');
+    return json_({ records: readSheet_().records, meters: meters ? JSON.parse(meters) : null, log: readLog_() });
+  }
+
+  // One writer at a time – the check and the write must not interleave
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    const sheet = readSheet_();
+    const result = applyOps_(sheet.records, payload.ops || [], new Date().toISOString());
+    if (result.applied.length) writeSheet_(mergeHeaders_(sheet.headers, payload.headers || []), result.records);
+    if (payload.meters) PropertiesService.getScriptProperties()
+      .setProperty('meters', JSON.stringify(payload.meters));
+    if (payload.log && payload.log.length) appendLog_(payload.log);
+    return json_({ applied: result.applied, conflicts: result.conflicts });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function applyOps_(records, ops, now) {
+  const rows = records.slice();
+  const applied = [], conflicts = [];
+  const indexOf = id => rows.findIndex(r => String(r.id) === String(id));
+
+  ops.forEach(op => {
+    const i = indexOf(op.id);
+    const current = i >= 0 ? rows[i] : null;
+    const rev = current ? Number(current.rev) || 0 : 0;
+
+    if (op.op === 'delete') {
+      if (!current) { applied.push({ id: op.id, deleted: true }); return; }
+      if (rev !== (Number(op.baseRev) || 0)) { conflicts.push({ id: op.id, op: op.op, server: current }); return; }
+      rows.splice(i, 1);
+      applied.push({ id: op.id, deleted: true });
+      return;
+    }
+
+    if (rev !== (Number(op.baseRev) || 0)) {
+      conflicts.push({ id: op.id, op: op.op, server: current });
+      return;
+    }
+    const clash = rows.find(r => String(r.id) !== String(op.id) &&
+      Number(r.year) === Number(op.record.year) && Number(r.month) === Number(op.record.month));
+    if (clash) {
+      conflicts.push({ id: op.id, op: op.op, server: clash });
+      return;
+    }
+    const record = Object.assign({}, op.record, { id: op.id, rev: rev + 1, updatedAt: now });
+    if (current) rows[i] = record; else rows.push(record);
+    applied.push({ id: op.id, rev: record.rev, updatedAt: now });
+  });
+
+  return { records: rows, applied: applied, conflicts: conflicts };
+}
+
+function readSheet_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheets()[0];
+  if (!sheet.getLastRow()) return { headers: [], records: [] };
+  const rows = sheet.getDataRange().getValues();
+  const headers = rows[0];
+  const records = rows.slice(1).map(row =>
+    Object.fromEntries(headers.map((h, i) => [h, cell_(h, row[i])]))
+  );
+  return { headers: headers, records: records };
+}
+
+function writeSheet_(headers, records) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheets()[0];
+  const values = [headers].concat(records.map(r => headers.map(h => r[h] ?? '')));
+  sheet.clearContents();
+  sheet.getRange(1, 1, values.length, headers.length).setValues(values);
+}
+
+function logSheet_() {
+  const book = SpreadsheetApp.getActiveSpreadsheet();
+  return book.getSheetByName('Log') || book.insertSheet('Log');
+}
+
+// Entries are resent until the app sees them acknowledged – skip known ids
+function appendLog_(entries) {
+  const sheet = logSheet_();
+  const known = new Set(sheet.getLastRow()
+    ? sheet.getDataRange().getValues().slice(1).map(row => String(row[0]))
+    : []);
+  const rows = entries
+    .filter(e => !known.has(String(e.id)))
+    .map(e => [e.id, e.at, e.device || '', e.action, e.summary || '', JSON.stringify(e.changes || [])]);
+  if (!sheet.getLastRow()) rows.unshift(LOG_HEADERS);
+  if (rows.length) sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, LOG_HEADERS.length).setValues(rows);
+}
+
+function readLog_() {
+  const sheet = logSheet_();
+  if (sheet.getLastRow() < 2) return [];
+  return sheet.getDataRange().getValues().slice(1).slice(-LOG_LIMIT).reverse().map(row => ({
+    id: String(row[0]),
+    at: row[1] instanceof Date ? row[1].toISOString() : row[1],
+    device: row[2], action: row[3], summary: row[4],
+    changes: row[5] ? JSON.parse(row[5]) : [],
+  }));
+}
+
+function mergeHeaders_(existing, incoming) {
+  const headers = BASE_HEADERS.slice();
+  existing.concat(incoming).forEach(h => { if (h && !headers.includes(h)) headers.push(h); });
+  return headers;
+}
+
+// Sheets turns date-like strings into Date cells – hand them back as text
+function cell_(header, value) {
+  if (!(value instanceof Date)) return value;
+  return header === 'readingDate'
+    ? Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd')
+    : value.toISOString();
+}
+
+function json_(data) {
+  return ContentService
+    .createTextOutput(JSON.stringify(data))
+    .setMimeType(ContentService.MimeType.JSON);
+}
@@ -0,0 +1,51 @@
+// App-shell cache so the app opens without signal (e.g. at the meter in the
+// basement). Data is not cached here – records live in IndexedDB and
+// pending writes in the app's outbox, which replays them once back online.
+const CACHE = "energymonitor-v1";
+const SHELL = [
+  "/", "/index.html", "/manifest.json",
+  "/favicon.svg", "/icon-180x180.png", "/icon-192x192.png", "/icon-512x512.png",
+];
+
+self.addEventListener("install", event => {
+  // One missing icon must not prevent installation
+  event.waitUntil(caches.open(CACHE)
+    .then(cache => Promise.all(SHELL.map(url => cache.add(url).catch(() => {}))))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Only the app itself is cached. Anything else – a REST backend on this
+  // origin, the Sheets API, other origins – always goes to the network, so
+  // sync never reads a stale or another token's response.
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  // Pages: network first so a new build is picked up, cached shell offline
+  if (request.mode === "navigate") {
+    event.respondWith(fetch(request)
+      .then(res => {
+        // An error page must not replace the offline shell
+        if (res.ok) { const copy = res.clone(); caches.open(CACHE).then(c => c.put("/index.html", copy)); }
+        return res;
+      })
+      .catch(() => caches.match("/index.html")));
+    return;
+  }
+
+  // Shell files and hashed build assets only
+  if (!SHELL.includes(url.pathname) && !url.pathname.startsWith("/assets/")) return;
+
+  // Built assets have hashed names – cache first, fill on first use
+  event.respondWith(caches.match(request).then(hit => hit || fetch(request).then(res => {
+    if (res.ok) { const copy = res.clone(); caches.open(CACHE).then(c => c.put(request, copy)); }
+    return res;
+  })));
+});
@@ -0,0 +1,117 @@
+// Local stand-in for the Google Sheets web app. Runs apps-script/Code.gs
+// unchanged on top of an in-memory sheet, so the sync protocol can be tried
+// without a Google account:
+//
+//   npm run mock:sheets
+//
+// then in the app under Nastavení use http://localhost:8787 and the SECRET
+// from Code.gs as the token.
+//
+// Rows can be inspected or edited by hand at GET /_sheet and PUT /_sheet
+// (JSON array of records) to simulate a second device; the change log sheet
+// is at GET /_log.
+//
+// The same data is served as a REST backend under /rest (mode "REST API" in
+// the app, URL http://localhost:8787/rest): GET /rest/ping, GET /rest/data,
+// POST /rest/sync with the token as "Authorization: Bearer …".
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import { runInNewContext } from "node:vm";
+
+const PORT = Number(process.env.PORT) || 8787;
+
+const properties = new Map();
+
+function makeSheet(name) {
+  const sheet = {
+    name, values: [],
+    getLastRow: () => sheet.values.length,
+    getDataRange: () => ({ getValues: () => sheet.values.map(row => [...row]) }),
+    clearContents: () => { sheet.values = []; },
+    getRange: (row, col, rows) => ({
+      setValues: v => { sheet.values.splice(row - 1, rows, ...v.map(r => [...r])); },
+    }),
+  };
+  return sheet;
+}
+
+const sheets = [makeSheet("List 1")];
+const book = {
+  getSheets: () => sheets,
+  getSheetByName: name => sheets.find(s => s.name === name) ?? null,
+  insertSheet: name => { const s = makeSheet(name); sheets.push(s); return s; },
+};
+
+const script = readFileSync(new URL("../apps-script/Code.gs", import.meta.url), "utf8");
+const context = {
+  SpreadsheetApp: { getActiveSpreadsheet: () => book },
+  PropertiesService: { getScriptProperties: () => ({
+    getProperty: k => properties.get(k) ?? null,
+    setProperty: (k, v) => { properties.set(k, v); },
+  }) },
+  LockService: { getScriptLock: () => ({ waitLock() {}, releaseLock() {} }) },
+  ContentService: {
+    MimeType: { JSON: "application/json" },
+    createTextOutput: content => ({ setMimeType() { return this; }, getContent: () => content }),
+  },
+};
+runInNewContext(script, context);
+
+function sheetRecords(sheet = sheets[0]) {
+  const [headers = [], ...rows] = sheet.values;
+  return rows.map(row => Object.fromEntries(headers.map((h, i) => [h, row[i]])));
+}
+
+function setSheetRecords(records) {
+  const headers = [...new Set(records.flatMap(r => Object.keys(r)))];
+  sheets[0].values = records.length ? [headers, ...records.map(r => headers.map(h => r[h] ?? ""))] : [];
+}
+
+const readBody = req => new Promise((resolve, reject) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => resolve(body));
+  req.on("error", reject);
+});
+
+createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const send = (status, body) => {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    });
+    res.end(body);
+  };
+
+  try {
+    if (req.method === "OPTIONS") return send(204, "");
+    if (url.pathname === "/_sheet") {
+      if (req.method === "PUT") setSheetRecords(JSON.parse(await readBody(req)));
+      return send(200, JSON.stringify(sheetRecords(), null, 2));
+    }
+    if (url.pathname === "/_log") {
+      const log = book.getSheetByName("Log");
+      return send(200, JSON.stringify(log ? sheetRecords(log) : [], null, 2));
+    }
+    const rest = url.pathname.match(/^\/rest\/(ping|data|sync)$/);
+    if (rest) {
+      const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+      const action = rest[1] === "data" ? "pull" : rest[1];
+      const body = action === "sync" ? JSON.parse(await readBody(req) || "{}") : {};
+      const out = JSON.parse(context.doPost({ postData: { contents: JSON.stringify({ ...body, token, action }) } }).getContent());
+      return send(out.error === "unauthorized" ? 401 : 200, JSON.stringify(out));
+    }
+    const e = { parameter: Object.fromEntries(url.searchParams) };
+    if (req.method === "GET") return send(200, context.doGet(e).getContent());
+    if (req.method === "POST") {
+      e.postData = { contents: await readBody(req) };
+      return send(200, context.doPost(e).getContent());
+    }
+    send(405, JSON.stringify({ error: "method not allowed" }));
+  } catch (err) {
+    send(500, JSON.stringify({ error: err.message }));
+  }
+}).listen(PORT, () => console.log(`Mock Sheets endpoint on http://localhost:${PORT}`));
@@ -1,12 +1,14 @@
 import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import {
-  BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid,
-  Tooltip, Legend, ResponsiveContainer, LabelList
+  BarChart, Bar, ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid,
+  Tooltip, Legend, ResponsiveContainer, LabelList, ScatterChart, Scatter, ReferenceLine
 } from "recharts";
 import {
   Zap, LayoutGrid, Download, Upload,
   Pencil, Trash2, Plus, BarChart2,
-  Table, AlertCircle, Check
+  Table, AlertCircle, Check, Receipt, Gauge,
+  Cloud, CloudOff, RefreshCw, Settings, Eye, EyeOff, FileSpreadsheet, RotateCcw,
+  History, Undo2, Wallet, Thermometer, Activity, TrendingUp
 } from "lucide-react";
 
 // ============================================================
@@ -14,43 +16,176 @@ import {
 // ============================================================
 // To connect this app to Google Sheets as a backend:
 //
-// 1. Create a Google Sheet with columns:
-//    id | year | month | householdState | householdConsumption |
-//    carState | carConsumption | bojlerConsumption | totalConsumption
+// 1. Create a Google Sheet. Columns are generated from the meter registry
+//    (see DEFAULT_METERS): id | rev | updatedAt | year | month | readingDate |
+//    <meter>State | <meter>Consumption | … | totalConsumption
 //
-// 2. Go to Extensions → Apps Script and paste:
-//
-//    function doGet(e) {
-//      const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-//      const rows = sheet.getDataRange().getValues();
-//      const headers = rows[0];
-//      const data = rows.slice(1).map(row =>
-//        Object.fromEntries(headers.map((h, i) => [h, row[i]]))
-//      );
-//      return ContentService
-//        .createTextOutput(JSON.stringify({ records: data }))
-//        .setMimeType(ContentService.MimeType.JSON);
-//    }
-//
-//    function doPost(e) {
-//      const payload = JSON.parse(e.postData.contents);
-//      const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-//      const headers = ['id','year','month','householdState','householdConsumption',
-//                       'carState','carConsumption','bojlerConsumption','totalConsumption'];
-//      sheet.clearContents();
-//      sheet.appendRow(headers);
-//      payload.records.forEach(r => sheet.appendRow(headers.map(h => r[h] ?? '')));
-//      return ContentService
-//        .createTextOutput(JSON.stringify({ success: true }))
-//        .setMimeType(ContentService.MimeType.JSON);
-//    }
+// 2. Go to Extensions → Apps Script and paste apps-script/Code.gs with your
+//    own SECRET. Writes are record-level operations checked against each
+//    row's revision (see "Record sync" below), so two devices cannot
+//    overwrite each other.
 //
 // 3. Deploy as Web App: Execute as "Me", Access "Anyone"
-// 4. Paste the deployment URL in SHEETS_API_URL below.
+// 4. In the app open Nastavení (waffle menu) and enter the deployment URL
+//    and the secret. They are stored on the device only – nothing is baked
+//    into the bundle. For local testing run `npm run mock:sheets`.
+//    Every property (house, cottage, …) connects to its own spreadsheet.
+//
+// Any other server can stand in for the sheet by answering the same three
+// calls as REST (mode "REST API", see restBackend below).
 // ============================================================
 
-const SHEETS_API_URL = "https://script.google.com/macros/s/AKfycbxy6qwrJDuS4vIyEize75N7QxmOOhby6krxajifURsrpuYEkJbAtnmtYT-bUPSQTAdbnw/exec";
-const SHEETS_TOKEN  = "elektro-tajny-token-2024"; // ← stejná hodnota jako SECRET v Apps Scriptu
+// ─── Properties ───────────────────────────────────────────────
+// A house, a cottage, the parents' flat … each property keeps its records,
+// meters, backend and config in its own local store (see Storage adapters).
+// The registry itself stays in localStorage – it is needed before any store
+// is opened. In localStorage the default property used the original
+// un-prefixed keys, so data saved before properties existed belongs to it.
+const PROPERTIES_KEY = "electricity_properties";
+const ACTIVE_PROPERTY_KEY = "electricity_property";
+const DEFAULT_PROPERTY = { id: "home", name: "Domov", icon: "🏠" };
+// Per-property keys – removed together with the property
+const PROPERTY_DATA = ["records", "meters", "tariffs", "billing", "weather", "intervals", "spot", "offers", "conflicts", "outbox", "backend", "log", "backup"];
+
+const storageKey = (propertyId, name) =>
+  propertyId === DEFAULT_PROPERTY.id ? `electricity_${name}` : `electricity_${propertyId}_${name}`;
+
+function loadProperties() {
+  const list = JSON.parse(localStorage.getItem(PROPERTIES_KEY) || "[]");
+  return list.some(p => p.id === DEFAULT_PROPERTY.id) ? list : [DEFAULT_PROPERTY, ...list];
+}
+
+// ─── Backend settings ────────────────────────────────────────
+// { mode: "sheets" | "rest" | "local", url, token } – per device and
+// property, kept in the local store. VITE_SHEETS_API_URL only prefills the
+// URL for the default property of a fresh install – the token is entered in
+// Nastavení and never built into the bundle.
+const BACKEND_KEY = "backend";
+const BACKEND_MODES = { sheets: "Google Sheets", rest: "REST API", local: "Jen v tomto zařízení" };
+
+function defaultBackend(propertyId) {
+  const url = propertyId === DEFAULT_PROPERTY.id ? import.meta.env.VITE_SHEETS_API_URL || "" : "";
+  return { mode: url ? "sheets" : "local", url, token: "" };
+}
+
+const isRemote = backend => !!backend?.url && backend.mode !== "local";
+
+// ─── Storage adapters ────────────────────────────────────────
+// useDataStore talks only to these. A local store holds everything of one
+// property by name ("records", "meters", "outbox", …):
+//   { get(name), set(name, value), remove(name), clear() } – all async
+// IndexedDB is the default. localStorage is where data lived before; it is
+// migrated from on first run and stays the fallback where IndexedDB cannot
+// be opened (private windows of some browsers).
+const IDB_NAME = "energymonitor";
+const IDB_STORE = "data";
+
+function localStore(propertyId) {
+  const key = name => storageKey(propertyId, name);
+  return {
+    get: async name => JSON.parse(localStorage.getItem(key(name)) ?? "null"),
+    set: async (name, value) => localStorage.setItem(key(name), JSON.stringify(value)),
+    remove: async name => localStorage.removeItem(key(name)),
+    clear: async () => PROPERTY_DATA.forEach(name => localStorage.removeItem(key(name))),
+  };
+}
+
+const idbRequest = req => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// One connection for all properties, opened on first use
+let idbConnection = null;
+function openIdb() {
+  if (!idbConnection) {
+    const req = indexedDB.open(IDB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+    idbConnection = idbRequest(req);
+  }
+  return idbConnection;
+}
+
+// Keys are "<propertyId>/<name>" in one object store. Transactions run in
+// the order they are created, so writes need not be awaited to stay ordered.
+function idbStore(propertyId) {
+  const key = name => `${propertyId}/${name}`;
+  const run = async (mode, fn) => {
+    const db = await openIdb();
+    return idbRequest(fn(db.transaction(IDB_STORE, mode).objectStore(IDB_STORE)));
+  };
+  return {
+    get: async name => (await run("readonly", s => s.get(key(name)))) ?? null,
+    set: (name, value) => run("readwrite", s => s.put(value, key(name))),
+    remove: name => run("readwrite", s => s.delete(key(name))),
+    clear: () => run("readwrite", s => s.delete(IDBKeyRange.bound(key(""), key("\uffff")))),
+  };
+}
+
+async function openLocalStore(propertyId) {
+  const legacy = localStore(propertyId);
+  if (typeof indexedDB === "undefined") return legacy;
+  try {
+    const store = idbStore(propertyId);
+    if (!(await store.get("migrated"))) {
+      for (const name of PROPERTY_DATA) {
+        const value = await legacy.get(name);
+        if (value != null) await store.set(name, value);
+      }
+      await store.set("migrated", true);
+      await legacy.clear();
+    }
+    return store;
+  } catch {
+    return legacy;
+  }
+}
+
+// A remote backend syncs records, the meter registry and the change log:
+//   ping() → { rows }, pull() → { records, meters, log },
+//   sync({ ops, headers, meters, log }) → { applied, conflicts }
+// (see apps-script/Code.gs for the semantics of ops and conflicts).
+
+// Apps Script web app. The token travels in the JSON body, never in the URL.
+// The body is sent as text/plain so the browser does not preflight – Apps
+// Script cannot answer an OPTIONS request.
+function sheetsBackend({ url, token }) {
+  const call = async (body) => {
+    const res = await fetch(url, { method: "POST", body: JSON.stringify({ ...body, token }) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const json = await res.json();
+    if (json.error) throw new Error(json.error === "unauthorized" ? "neplatný token" : json.error);
+    return json;
+  };
+  return {
+    ping: () => call({ action: "ping" }),
+    pull: () => call({ action: "pull" }),
+    sync: payload => call({ action: "sync", ...payload }),
+  };
+}
+
+// Any server speaking the same protocol as plain REST, token as Bearer:
+//   GET <url>/ping, GET <url>/data, POST <url>/sync (JSON body)
+function restBackend({ url, token }) {
+  const call = async (path, body = null) => {
+    const res = await fetch(`${url.replace(/\/+$/, "")}/${path}`, {
+      method: body ? "POST" : "GET",
+      headers: { Authorization: `Bearer ${token}`, ...(body && { "Content-Type": "application/json" }) },
+      body: body && JSON.stringify(body),
+    });
+    if (res.status === 401) throw new Error("neplatný token");
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  };
+  return {
+    ping: () => call("ping"),
+    pull: () => call("data"),
+    sync: payload => call("sync", payload),
+  };
+}
+
+const REMOTE_BACKENDS = { sheets: sheetsBackend, rest: restBackend };
+const remoteFor = backend => isRemote(backend) ? REMOTE_BACKENDS[backend.mode](backend) : null;
 
 // ─── Navy-blue dark-mode palette ─────────────────────────────
 // Injected as CSS custom properties so inline styles stay DRY
@@ -71,6 +206,7 @@ const CSS_VARS = `
   input[type=number]::-webkit-inner-spin-button { opacity: 0.3; }
   input[type=number]::-moz-number-spin-box { opacity: 0.3; }
   select option { background: #061120; color: #dce9f8; }
+  @keyframes spin { to { transform: rotate(360deg); } }
 `;
 
 // ─── Constants ───────────────────────────────────────────────
@@ -79,757 +215,5508 @@ const MONTHS_CZ = [
   "Červenec","Srpen","Září","Říjen","Listopad","Prosinec"
 ];
 const CURRENT_YEAR = new Date().getFullYear();
-const YEARS = [2023, 2024, 2025, 2026, 2027, 2028, 2029, 2030];
+// Year choices: from two years before the first record up to next year,
+// plus any year already chosen
+const yearOptions = (records, ...keep) => {
+  const ys = [...records.map(r => r.year), CURRENT_YEAR, ...keep].map(Number);
+  const from = Math.min(...ys) - 2, to = Math.max(...ys, CURRENT_YEAR + 1);
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+};
 const genId = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+const ymKey = (year, month) => `${year}-${String(month).padStart(2, "0")}`;
+const periodLabel = r => `${MONTHS_CZ[r.month - 1]} ${r.year}`;
+const round2 = v => Math.round(v * 100) / 100;
+const round4 = v => Math.round(v * 10000) / 10000;
+
+// ─── Sort ascending by year/month ────────────────────────────
+const sortAsc = recs => [...recs].sort((a,b) => a.year !== b.year ? a.year-b.year : a.month-b.month);
+
+// ─── Meter registry ───────────────────────────────────────────
+// Every meter maps onto flat record fields `<id>State` / `<id>Consumption`,
+// so records from the old fixed household/car/bojler schema are already
+// valid data for the three default meters.
+// `vehicle` marks the charger of an EV: { fuelPer100 (l/100 km), fuelPrice
+// (Kč/l) } of a comparable combustion car. Such meters also take odometer
+// readings in `<id>Odometer`.
+// `role` places a kWh meter in the energy balance: "load" (default) is a
+// consumption circuit, "import" / "export" are the two registers of a
+// bidirectional grid meter (1.8.0 / 2.8.0), each entered as its own meter,
+// and "production" is a PV generation meter.
+const DEFAULT_VEHICLE = { fuelPer100: 6.5, fuelPrice: 38 };
+const DEFAULT_METERS = [
+  { id:"household", name:"Domácnost", icon:"🏠", color:"#38bdf8", type:"cumulative", unit:"kWh" },
+  { id:"car",       name:"Auto",      icon:"🚗", color:"#34d399", type:"cumulative", unit:"kWh", vehicle: DEFAULT_VEHICLE },
+  { id:"bojler",    name:"Bojler",    icon:"🛁", color:"#fb923c", type:"direct",     unit:"kWh" },
+];
+const METER_TYPES = { cumulative: "Stav měřidla", direct: "Přímá spotřeba" };
+const METER_UNITS = ["kWh", "m³", "GJ"];
+const METER_ROLES = { load: "Spotřeba", import: "Odběr ze sítě", export: "Dodávka do sítě", production: "Výroba (FVE)" };
+// Keys used next to meter ids in chart rows / record fields
+const RESERVED_METER_IDS = ["id", "year", "month", "total", "fixed"];
+
+const stateField    = m => `${m.id}State`;
+const consField     = m => `${m.id}Consumption`;
+const overrideField = m => `${m.id}ConsumptionOverride`;
+const odometerField = m => `${m.id}Odometer`;
+const isKwh = m => (m.unit || "kWh") === "kWh";
+const meterRole = m => (isKwh(m) && m.role) || "load";
+// Only kWh meters of consumed energy count towards totalConsumption and costs
+const isUsage = m => isKwh(m) && ["load", "import"].includes(meterRole(m));
+const hasState    = (r, m) => r[stateField(m)] != null && r[stateField(m)] !== "";
+const hasOverride = (r, m) => r[overrideField(m)] != null && r[overrideField(m)] !== "";
+// A month "has a reading" of a meter when it carries a state or a manual consumption
+const hasReading  = (r, m) => hasState(r, m) || hasOverride(r, m);
+
+// "Tepelné čerpadlo" → "tepelneCerpadlo" – stable, Sheets-friendly column prefix
+function meterIdFromName(name, meters) {
+  const base = name.normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => c ? c.toUpperCase() : "")
+    .replace(/^[A-Z]/, c => c.toLowerCase()) || "meter";
+  let id = base, n = 2;
+  while (RESERVED_METER_IDS.includes(id) || meters.some(m => m.id === id)) id = base + n++;
+  return id;
+}
+
+function sheetHeaders(meters, records) {
+  const headers = ["id", "rev", "updatedAt", "year", "month", "readingDate",
+    ...meters.flatMap(m => m.type === "direct" ? [consField(m)] : [stateField(m), consField(m), overrideField(m)]),
+    ...meters.filter(m => m.vehicle).map(odometerField),
+    "totalConsumption"];
+  // Keep columns of removed meters so their data is not dropped from the sheet
+  records.forEach(r => Object.keys(r).forEach(k => { if (!headers.includes(k)) headers.push(k); }));
+  return headers;
+}
 
 // ─── Calculation helpers ──────────────────────────────────────
-function getPreviousReading(records, year, month, stateField, excludeId = null) {
+function getPreviousRecord(records, year, month, excludeId = null) {
   const sorted = [...records]
     .filter(r => r.id !== excludeId)
     .sort((a, b) => a.year !== b.year ? a.year - b.year : a.month - b.month);
   const prev = sorted.filter(r =>
     r.year < year || (r.year === year && r.month < month)
   );
-  return prev.length > 0 ? prev[prev.length - 1][stateField] : null;
+  return prev.length > 0 ? prev[prev.length - 1] : null;
+}
+
+// Reading the next consumption of `meter` counts from – the previous record's
+// state, or the start reading of a meter installed since then.
+function getPreviousReading(records, year, month, meter, excludeId = null) {
+  const { prev, changes } = meterConsumption(records, meter, year, month, null, excludeId);
+  return changes.length ? changes[changes.length - 1].newStart : prev;
 }
 
-function calcConsumption(currentState, prevState) {
+// With `digits` set, a drop that only makes sense as the register wrapping
+// past its capacity (e.g. 99 990 → 00 012 on 5 digits) counts as a rollover.
+function calcConsumption(currentState, prevState, digits = null) {
   if (prevState == null || currentState == null || currentState === "") return 0;
-  return Math.max(0, Number(currentState) - Number(prevState));
+  const delta = Number(currentState) - Number(prevState);
+  if (delta >= 0) return delta;
+  const capacity = digits ? 10 ** Number(digits) : 0;
+  return capacity && delta + capacity < capacity / 2 ? delta + capacity : 0;
 }
 
-// ─── useDataStore hook ────────────────────────────────────────
-function useDataStore() {
-  const [records, setRecords] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [syncError, setSyncError] = useState(null);
+const isRollover = (currentState, prevState, digits) =>
+  prevState != null && currentState !== "" && currentState != null &&
+  Number(currentState) < Number(prevState) && calcConsumption(currentState, prevState, digits) > 0;
 
-  useEffect(() => {
-    (async () => {
-      if (SHEETS_API_URL) {
-        try {
-          const json = await fetch(SHEETS_API_URL + "?token=" + SHEETS_TOKEN).then(r => r.json());
-          setRecords(json.records || []);
-        } catch (err) {
-          setSyncError("Sheets nedostupné: " + err.message);
-          const s = localStorage.getItem("electricity_records");
-          if (s) setRecords(JSON.parse(s));
-        }
-      } else {
-        const s = localStorage.getItem("electricity_records");
-        if (s) setRecords(JSON.parse(s));
-      }
-      setLoading(false);
-    })();
-  }, []);
+// Consumption of a cumulative meter since the previous record. Meter
+// replacements (`meter.changes`) in between split the interval: the old meter
+// counts up to its final reading, the new one from its start reading.
+// Months where this meter was not read are skipped when looking for the previous reading.
+function meterConsumption(records, meter, year, month, state, excludeId = null) {
+  const prevRec = getPreviousRecord(records.filter(r => hasState(r, meter)), year, month, excludeId);
+  const prev = prevRec?.[stateField(meter)] ?? null;
+  const from = prevRec ? ymKey(prevRec.year, prevRec.month) : "";
+  const to = ymKey(year, month);
+  const changes = (meter.changes || [])
+    .filter(c => { const k = ymKey(c.year, c.month); return k > from && k <= to; })
+    .sort((a, b) => ymKey(a.year, a.month).localeCompare(ymKey(b.year, b.month)));
 
-  const persist = useCallback(async (recs) => {
-    localStorage.setItem("electricity_records", JSON.stringify(recs));
-    if (SHEETS_API_URL) {
-      try { await fetch(SHEETS_API_URL, { method: "POST", body: JSON.stringify({ records: recs, token: SHEETS_TOKEN }) }); }
-      catch { setSyncError("localStorage OK, Sheets sync selhal."); }
-    }
-  }, []);
+  const detail = { prev, changes, rollover: false, value: 0 };
+  if (state == null || state === "") return detail;
+  const step = (cur, base) => {
+    if (isRollover(cur, base, meter.digits)) detail.rollover = true;
+    return calcConsumption(cur, base, meter.digits);
+  };
+  let base = prev;
+  changes.forEach(c => {
+    if (base != null) detail.value += step(c.oldFinal, base);
+    base = c.newStart;
+  });
+  detail.value += step(state, base);
+  detail.value = Math.round(detail.value * 1000) / 1000;   // drop float noise (100.2 - 100)
+  return detail;
+}
 
-  const addRecord = useCallback(async (fd) => {
-    const year = Number(fd.year), month = Number(fd.month);
-    const existing = records.find(r => r.year === year && r.month === month);
+const withTotal = (rec, meters) => ({
+  ...rec,
+  totalConsumption: meters.filter(isUsage).reduce((s, m) => s + (Number(rec[consField(m)]) || 0), 0),
+});
 
-    if (existing) {
-      const hState = fd.householdState !== "" ? fd.householdState : existing.householdState;
-      const cState = fd.carState !== "" ? fd.carState : existing.carState;
-      const bojler = fd.bojlerConsumption !== "" ? fd.bojlerConsumption : existing.bojlerConsumption;
-      const prevH = getPreviousReading(records, year, month, "householdState", existing.id);
-      const prevC = getPreviousReading(records, year, month, "carState", existing.id);
-      const hC = fd.householdConsumptionOverride != null ? Number(fd.householdConsumptionOverride) : calcConsumption(hState, prevH);
-      const cC = fd.carConsumptionOverride != null ? Number(fd.carConsumptionOverride) : calcConsumption(cState, prevC);
-      const updated = records.map(r => r.id !== existing.id ? r : {
-        ...r, householdState: Number(hState)||0, householdConsumption: hC,
-        carState: Number(cState)||0, carConsumption: cC,
-        bojlerConsumption: Number(bojler)||0, totalConsumption: hC + cC + (Number(bojler)||0),
-      });
-      setRecords(updated); await persist(updated);
-      return { record: updated.find(r => r.id === existing.id), merged: true };
-    }
+// ─── Recalculation ────────────────────────────────────────────
+// A month's consumption depends on the previous reading, so any edit, insert
+// or delete re-derives every record from the affected month on. Manual
+// overrides are kept as they are.
+function recalcFrom(records, meters, fromKey = "") {
+  return records.map(r => {
+    if (ymKey(r.year, r.month) < fromKey) return r;
+    const next = { ...r };
+    meters.filter(m => m.type !== "direct").forEach(m => {
+      next[consField(m)] = hasOverride(r, m)
+        ? Number(r[overrideField(m)])
+        : meterConsumption(records, m, r.year, r.month, r[stateField(m)], r.id).value;
+    });
+    return withTotal(next, meters);
+  });
+}
 
-    const prevH = getPreviousReading(records, year, month, "householdState");
-    const prevC = getPreviousReading(records, year, month, "carState");
-    const hC = fd.householdConsumptionOverride != null ? Number(fd.householdConsumptionOverride) : calcConsumption(fd.householdState, prevH);
-    const cC = fd.carConsumptionOverride != null ? Number(fd.carConsumptionOverride) : calcConsumption(fd.carState, prevC);
-    const rec = {
-      id: genId(), year, month,
-      householdState: Number(fd.householdState)||0, householdConsumption: hC,
-      carState: Number(fd.carState)||0, carConsumption: cC,
-      bojlerConsumption: Number(fd.bojlerConsumption)||0, totalConsumption: hC + cC + (Number(fd.bojlerConsumption)||0),
-    };
-    const updated = [...records, rec];
-    setRecords(updated); await persist(updated);
-    return rec;
-  }, [records, persist]);
-
-  const updateRecord = useCallback(async (id, fd) => {
-    const prevH = getPreviousReading(records, fd.year, fd.month, "householdState", id);
-    const prevC = getPreviousReading(records, fd.year, fd.month, "carState", id);
-    const hC = fd.householdConsumptionOverride != null ? Number(fd.householdConsumptionOverride) : calcConsumption(fd.householdState, prevH);
-    const cC = fd.carConsumptionOverride != null ? Number(fd.carConsumptionOverride) : calcConsumption(fd.carState, prevC);
-    const updated = records.map(r => r.id !== id ? r : {
-      ...r, year: Number(fd.year), month: Number(fd.month),
-      householdState: Number(fd.householdState)||0, householdConsumption: hC,
-      carState: Number(fd.carState)||0, carConsumption: cC,
-      bojlerConsumption: Number(fd.bojlerConsumption)||0, totalConsumption: hC + cC + (Number(fd.bojlerConsumption)||0),
+// Records saved before overrides were stored: a consumption that does not
+// match its readings must have been typed in by hand, so keep it as override.
+function migrateOverrides(records, meters) {
+  return records.map(r => {
+    const next = { ...r };
+    meters.filter(m => m.type !== "direct").forEach(m => {
+      if (overrideField(m) in r) return;
+      const derived = meterConsumption(records, m, r.year, r.month, r[stateField(m)], r.id).value;
+      const stored = Number(r[consField(m)]) || 0;
+      next[overrideField(m)] = Math.abs(stored - derived) > 1e-6 ? stored : null;
     });
-    setRecords(updated); await persist(updated);
-  }, [records, persist]);
+    return next;
+  });
+}
 
-  const deleteRecord = useCallback(async (id) => {
-    const updated = records.filter(r => r.id !== id);
-    setRecords(updated); await persist(updated);
-  }, [records, persist]);
+// Records other than `skipId` whose consumption differs between two lists
+function diffRecords(before, after, meters, skipId = null) {
+  const byId = Object.fromEntries(before.map(r => [r.id, r]));
+  return sortAsc(after)
+    .filter(r => r.id !== skipId && byId[r.id])
+    .map(r => ({
+      record: r,
+      fields: meters
+        .map(m => ({ meter: m, before: Number(byId[r.id][consField(m)]) || 0, after: Number(r[consField(m)]) || 0 }))
+        .filter(f => Math.abs(f.before - f.after) > 1e-6),
+    }))
+    .filter(d => d.fields.length);
+}
 
-  const importData = useCallback(async (data) => { setRecords(data); await persist(data); }, [persist]);
-  const exportData = useCallback(() => JSON.stringify(records, null, 2), [records]);
+// ─── Proration into calendar months ───────────────────────────
+// A reading is taken at the end of its `readingDate`, or at the end of its
+// month when no date was entered. The consumption between two readings is
+// split across calendar months by days, optionally weighted by the meter's
+// seasonal profile (12 relative weights, Jan–Dec).
+const DAY_MS = 86400000;
+const utcDay = (y, m, d) => Date.UTC(y, m - 1, d);
 
-  return { records, loading, syncError, addRecord, updateRecord, deleteRecord, importData, exportData };
+function readingTime(r) {
+  if (r.readingDate) {
+    const [y, m, d] = r.readingDate.split("-").map(Number);
+    return utcDay(y, m, d + 1);
+  }
+  return utcDay(r.year, r.month + 1, 1);
 }
 
-// ─── Sort ascending by year/month ────────────────────────────
-const sortAsc = recs => [...recs].sort((a,b) => a.year !== b.year ? a.year-b.year : a.month-b.month);
+function spreadOverMonths(amount, t0, t1, profile = null) {
+  const parts = [];
+  for (let t = t0; t < t1;) {
+    const d = new Date(t);
+    const year = d.getUTCFullYear(), month = d.getUTCMonth() + 1;
+    const end = Math.min(t1, utcDay(year, month + 1, 1));
+    const weight = (end - t) / DAY_MS * (profile ? Number(profile[month - 1]) || 0 : 1);
+    parts.push({ year, month, weight });
+    t = end;
+  }
+  const sum = parts.reduce((s, p) => s + p.weight, 0);
+  return parts.map(p => ({ ...p, value: sum ? amount * p.weight / sum : amount / parts.length }));
+}
 
-// ─── Chart data helpers ───────────────────────────────────────
-function prepareAnnualData(records) {
-  const map = {};
-  records.forEach(r => {
-    if (!map[r.year]) map[r.year] = { year: String(r.year), household:0, car:0, bojler:0, total:0 };
-    
-    // Parse values to ensure they're numbers
-    const h = Number(r.householdConsumption) || 0;
-    const c = Number(r.carConsumption) || 0;
-    const b = Number(r.bojlerConsumption) || 0;
-    
-    map[r.year].household += h;
-    map[r.year].car       += c;
-    map[r.year].bojler    += b;
-    map[r.year].total     += h + c + b;
+// Monthly rows { id, year, month, record, <meter>State, <meter>Consumption,
+// totalConsumption, estimated } – the basis of the table, charts and costs.
+// `record` is the reading taken in that month, if any. Months a meter was not
+// read in get their share of the surrounding readings' delta and are flagged
+// in `estimated[meterId]`.
+function prorateMonthly(records, meters) {
+  const rows = {};
+  const row = (year, month) => rows[ymKey(year, month)] ??= {
+    id: ymKey(year, month), year, month, record: null, estimated: {},
+    ...Object.fromEntries(meters.map(m => [consField(m), 0])),
+  };
+  const sorted = sortAsc(records);
+
+  sorted.forEach(r => {
+    const x = row(r.year, r.month);
+    x.record = r;
+    meters.filter(m => m.type !== "direct").forEach(m => { x[stateField(m)] = r[stateField(m)]; });
   });
-  
-  // Debug log for year 2026
-  if (map[2026]) {
-    console.log('🔍 DEBUG - Roční graf 2026:', {
-      household: Math.round(map[2026].household),
-      car: Math.round(map[2026].car),
-      bojler: Math.round(map[2026].bojler),
-      total: Math.round(map[2026].total)
+
+  meters.forEach(m => {
+    // Direct meters are monthly totals already
+    if (m.type === "direct") {
+      sorted.forEach(r => { row(r.year, r.month)[consField(m)] += Number(r[consField(m)]) || 0; });
+      return;
+    }
+    const read = sorted.filter(r => hasReading(r, m));
+    const readMonths = new Set(read.map(r => ymKey(r.year, r.month)));
+    read.forEach((r, i) => {
+      const value = Number(r[consField(m)]) || 0;
+      const t0 = i > 0 ? readingTime(read[i - 1]) : null, t1 = readingTime(r);
+      // The first reading has no interval to spread over
+      if (t0 == null || t1 <= t0) {
+        row(r.year, r.month)[consField(m)] += value;
+        return;
+      }
+      spreadOverMonths(value, t0, t1, m.profile).forEach(p => {
+        const x = row(p.year, p.month);
+        x[consField(m)] += p.value;
+        if (!readMonths.has(x.id)) x.estimated[m.id] = true;
+      });
     });
-  }
-  
-  return Object.values(map).sort((a,b) => Number(a.year)-Number(b.year));
+  });
+
+  return sortAsc(Object.values(rows)).map(x => {
+    meters.forEach(m => { x[consField(m)] = round2(x[consField(m)]); });
+    const summed = withTotal(x, meters);
+    return {
+      ...summed,
+      totalConsumption: round2(summed.totalConsumption),
+      isEstimated: meters.some(m => isUsage(m) && x.estimated[m.id]),
+    };
+  });
 }
 
-function prepareMonthly(records, field) {
-  const years = [...new Set(records.map(r => r.year))].sort().slice(-2);
-  return MONTHS_CZ.map((name, i) => {
-    const row = { month: name.slice(0, 3) };
-    years.forEach(y => {
-      const f = records.find(r => r.year===y && r.month===i+1);
-      row[String(y)] = f ? (f[field]??0) : undefined;
+// Stretches of missing readings per meter: [{ meter, from, to, months }]
+function findGaps(rows, meters) {
+  const gaps = [];
+  meters.filter(m => m.type !== "direct").forEach(m => {
+    let open = null;
+    rows.forEach(r => {
+      if (r.estimated[m.id]) {
+        if (!open) gaps.push(open = { meter: m, from: r, to: r, months: 0 });
+        open.to = r; open.months++;
+      } else open = null;
     });
-    return row;
   });
+  return gaps;
 }
 
-const LINE_COLORS = ["#38bdf8","#34d399","#fb923c","#a78bfa"];
-
-// ─── Themed helpers ───────────────────────────────────────────
-// Returns an inline style object based on dark/light token
-const D = {
-  page:    d => ({ background: d ? "var(--nb-page)"   : "#f8fafc" }),
-  card:    d => ({ background: d ? "var(--nb-card)"   : "#ffffff", border: `1px solid ${d ? "var(--nb-border)" : "#e2e8f0"}` }),
-  inner:   d => ({ background: d ? "var(--nb-input)"  : "#f8fafc", border: `1px solid ${d ? "var(--nb-border)" : "#e2e8f0"}` }),
-  hover:   d => ({ background: d ? "var(--nb-hover)"  : "#f1f5f9" }),
-  txt1:    d => ({ color: d ? "var(--nb-txt1)" : "#1e293b" }),
-  txt2:    d => ({ color: d ? "var(--nb-txt2)" : "#64748b" }),
-  txt3:    d => ({ color: d ? "var(--nb-txt3)" : "#94a3b8" }),
-  divider: d => ({ borderColor: d ? "var(--nb-border)" : "#f1f5f9" }),
+// ─── Anomaly detection ────────────────────────────────────────
+// Per meter and month: a state below the previous reading that no rollover
+// or replacement explains, a zero month on a meter that normally runs, and
+// consumption far off both the same month of earlier years and the median of
+// the preceding months. Estimated months are compared against, never flagged.
+const ANOMALY = { ratio: 0.5, rollingMonths: 3, minHistory: 3 };
+const ANOMALY_KINDS = {
+  drop: { label: "Pokles stavu",    color: "#f87171" },
+  zero: { label: "Nulová spotřeba", color: "#f87171" },
+  high: { label: "Vysoká spotřeba", color: "#fbbf24" },
+  low:  { label: "Nízká spotřeba",  color: "#38bdf8" },
 };
 
-// ─── CustomTooltip ────────────────────────────────────────────
-const CustomTooltip = ({ active, payload, label, dark }) => {
-  if (!active || !payload?.length) return null;
-  return (
-    <div style={{ ...D.card(dark), padding:"12px 14px", borderRadius:12, boxShadow:"0 8px 32px rgba(0,0,0,0.4)" }}>
-      <p style={{ ...D.txt1(dark), fontWeight:600, marginBottom:6, fontSize:13 }}>{label}</p>
-      {payload.map((p,i) => (
-        <div key={i} style={{ color:p.color, display:"flex", alignItems:"center", gap:8, fontSize:12 }}>
-          <span style={{ width:8, height:8, borderRadius:"50%", background:p.color, display:"inline-block" }} />
-          {p.name}: <strong>{p.value?.toFixed(1)} kWh</strong>
-        </div>
-      ))}
-    </div>
-  );
+const median = vs => {
+  const s = [...vs].sort((a, b) => a - b), h = s.length >> 1;
+  return s.length % 2 ? s[h] : (s[h - 1] + s[h]) / 2;
 };
 
-// ─── ChartCard ───────────────────────────────────────────────
-function ChartCard({ title, dark, children, span2 }) {
-  return (
-    <div className={span2 ? "lg:col-span-2" : ""}>
-      <div style={{ ...D.card(dark), borderRadius:16, padding:"16px 20px" }}>
-        <p style={{ ...D.txt3(dark), fontSize:11, fontWeight:700, textTransform:"uppercase", letterSpacing:"0.1em", marginBottom:14 }}>
-          {title}
-        </p>
-        {children}
-      </div>
-    </div>
-  );
-}
-
-// ─── ChartsView ───────────────────────────────────────────────
-function ChartsView({ records, dark }) {
-  const annual   = useMemo(() => prepareAnnualData(records), [records]);
-  const bojler   = useMemo(() => prepareMonthly(records, "bojlerConsumption"), [records]);
-  const house    = useMemo(() => prepareMonthly(records, "householdConsumption"), [records]);
-  const car      = useMemo(() => prepareMonthly(records, "carConsumption"), [records]);
-  const years2   = useMemo(() => [...new Set(records.map(r=>r.year))].sort().slice(-2).map(String), [records]);
+// [{ key, rowId, year, month, meter, kind, value, expected }], oldest first
+function findAnomalies(rows, records, meters) {
+  const out = [];
+  meters.forEach(m => {
+    const field = consField(m);
+    const read = r => !!r.record && (m.type === "direct"
+      ? r.record[field] != null && r.record[field] !== ""
+      : hasReading(r.record, m));
+    // Cumulative meters only say something from their second reading on
+    let started = m.type === "direct";
+    const active = [];
 
-  // Year filter for debug card
-  const allYearsInData = useMemo(() => [...new Set(records.map(r => r.year))].sort((a,b) => b-a), [records]);
-  const [debugYear, setDebugYear] = useState(() => {
-    const currentYear = new Date().getFullYear();
-    return allYearsInData.includes(currentYear) ? currentYear : (allYearsInData[0] || currentYear);
-  });
+    rows.forEach(r => {
+      const measured = read(r) && !r.estimated[m.id];
+      if (!started) { started = measured; return; }
+      if (!measured && !r.estimated[m.id]) return;
+      const value = Number(r[field]) || 0;
+      const add = (kind, v, expected) => out.push({ key: `${r.id}-${m.id}`, rowId: r.id, year: r.year, month: r.month, meter: m, kind, value: v, expected });
 
-  // Auto-update debug year when new year starts
-  useEffect(() => {
-    const currentYear = new Date().getFullYear();
-    if (currentYear !== debugYear && allYearsInData.includes(currentYear)) {
-      setDebugYear(currentYear);
-    }
-  }, [allYearsInData, debugYear]);
+      const sameMonth = active.filter(a => a.month === r.month).map(a => a.value);
+      const recent = active.slice(-ANOMALY.rollingMonths).map(a => a.value);
+      const refs = [
+        sameMonth.length ? sameMonth.reduce((s, v) => s + v, 0) / sameMonth.length : null,
+        active.length >= ANOMALY.minHistory ? median(recent) : null,
+      ].filter(v => v != null && v > 0);
+      active.push({ month: r.month, value });
+      if (!measured) return;
 
-  const ax = dark ? "#3f6080" : "#94a3b8";
-  const gr = dark ? "#15284a" : "#f1f5f9";
-  const H  = 220;
+      const state = r.record[stateField(m)];
+      if (m.type !== "direct" && hasState(r.record, m) && !hasOverride(r.record, m)) {
+        const base = getPreviousReading(records, r.year, r.month, m, r.record.id);
+        if (base != null && Number(state) < Number(base) && !isRollover(state, base, m.digits))
+          return add("drop", Number(state), Number(base));
+      }
+      if (!refs.length) return;
+      if (value === 0) return add("zero", 0, refs[0]);
+      if (refs.every(ref => value > ref * (1 + ANOMALY.ratio))) return add("high", value, refs[0]);
+      if (refs.every(ref => value < ref * (1 - ANOMALY.ratio))) add("low", value, refs[0]);
+    });
+  });
+  return out.sort((a, b) => a.rowId.localeCompare(b.rowId));
+}
 
-  const Lines = ({ data }) => (
-    <ResponsiveContainer width="100%" height={H}>
-      <LineChart data={data} margin={{ top:4, right:8, left:-14, bottom:2 }}>
-        <CartesianGrid strokeDasharray="3 3" stroke={gr} />
-        <XAxis dataKey="month" tick={{ fill:ax, fontSize:11 }} axisLine={false} tickLine={false} />
-        <YAxis tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={40} />
-        <Tooltip content={<CustomTooltip dark={dark} />} />
-        <Legend wrapperStyle={{ fontSize:12, color: dark?"#7fa3c8":"#64748b" }} />
-        {years2.map((y,i) => (
-          <Line key={y} type="monotone" dataKey={y} name={y} stroke={LINE_COLORS[i]}
-            strokeWidth={2.5} dot={{ r:3, fill:LINE_COLORS[i] }} activeDot={{ r:5 }} connectNulls />
-        ))}
-      </LineChart>
-    </ResponsiveContainer>
-  );
+function anomalyText(a) {
+  const { unit } = a.meter;
+  if (a.kind === "drop") return `stav ${a.value} je nižší než předchozí ${a.expected}`;
+  if (a.kind === "zero") return `0 ${unit}, obvykle ~${Math.round(a.expected)} ${unit}`;
+  const pct = Math.round((a.value / a.expected - 1) * 100);
+  return `${round2(a.value)} ${unit}, obvykle ~${Math.round(a.expected)} ${unit} (${pct > 0 ? "+" : ""}${pct} %)`;
+}
 
-  if (!records.length) return (
-    <div style={{ ...D.card(dark), borderRadius:16, height:240, display:"flex", flexDirection:"column", alignItems:"center", justifyContent:"center", gap:12 }}>
-      <BarChart2 size={44} style={D.txt3(dark)} />
-      <p style={D.txt2(dark)}>Nejsou k dispozici žádná data pro zobrazení grafů.</p>
-    </div>
-  );
+function makePlan(records, next, meters, fromKey, targetId) {
+  const recalculated = recalcFrom(next, meters, fromKey);
+  return {
+    next: recalculated,
+    target: recalculated.find(r => r.id === targetId) ?? null,
+    affected: diffRecords(records, recalculated, meters, targetId),
+  };
+}
 
-  return (
-    <div style={{ display:"grid", gridTemplateColumns:"repeat(1, 1fr)", gap:16 }} className="lg:grid-cols-2-custom">
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-        <ChartCard title="Roční spotřeba celkem (kWh)" dark={dark}>
-          <ResponsiveContainer width="100%" height={260}>
-            <BarChart data={annual} margin={{ top:32, right:8, left:-14, bottom:2 }} barCategoryGap="20%" barGap={3}>
-              <CartesianGrid strokeDasharray="3 3" stroke={gr} vertical={false} />
-              <XAxis dataKey="year" tick={{ fill:ax, fontSize:12 }} axisLine={false} tickLine={false} />
-              <YAxis tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={40} />
-              <Tooltip content={<CustomTooltip dark={dark} />} />
-              <Legend wrapperStyle={{ fontSize:12, color: dark?"#7fa3c8":"#64748b" }} />
-              <Bar dataKey="household" name="Domácnost" fill="#38bdf8" radius={[4,4,0,0]} />
-              <Bar dataKey="car" name="Auto" fill="#34d399" radius={[4,4,0,0]} />
-              <Bar dataKey="bojler" name="Bojler" fill="#fb923c" radius={[4,4,0,0]}>
-                {/* Total sum above entire group */}
-                <LabelList dataKey="total" position="top"
-                  style={{ fill: dark?"#dce9f8":"#1e293b", fontSize:13, fontWeight:800 }}
-                  formatter={v => v > 0 ? Math.round(v) : ""}
-                  offset={8}
-                />
-              </Bar>
-            </BarChart>
-          </ResponsiveContainer>
-        </ChartCard>
+// Derives state/consumption fields of every meter for one record.
+// Empty form values fall back to `existing` (used when merging into a month);
+// an existing manual override survives the merge unless a new reading is given.
+function deriveMeterValues(fd, records, meters, year, month, excludeId = null, existing = null) {
+  const pick = k => fd[k] !== "" && fd[k] != null ? fd[k] : existing?.[k];
+  const out = {};
+  let total = 0;
+  meters.forEach(m => {
+    let cons;
+    if (m.type === "direct") {
+      cons = Number(pick(consField(m))) || 0;
+    } else {
+      const state = pick(stateField(m));
+      const keepOld = existing && (fd[stateField(m)] === "" || fd[stateField(m)] == null) && hasOverride(existing, m);
+      const ov = fd[overrideField(m)] ?? (keepOld ? existing[overrideField(m)] : null);
+      cons = ov != null ? Number(ov) : meterConsumption(records, m, year, month, state, excludeId).value;
+      out[stateField(m)] = state === "" || state == null ? null : Number(state);
+      out[overrideField(m)] = ov != null ? Number(ov) : null;
+    }
+    out[consField(m)] = cons;
+    if (m.vehicle) {
+      const odo = pick(odometerField(m));
+      out[odometerField(m)] = odo === "" || odo == null ? null : Number(odo);
+    }
+    if (isUsage(m)) total += cons;
+  });
+  out.totalConsumption = total;
+  return out;
+}
 
-        {/* Debug: Show breakdown for selected year */}
-        <ChartCard title={`🔍 Kontrola součtů (${debugYear})`} dark={dark}>
-          <div style={{ fontSize:12, ...D.txt2(dark) }}>
-            {/* Year filter buttons */}
-            {allYearsInData.length > 1 && (
-              <div style={{ display:"flex", gap:6, marginBottom:12, flexWrap:"wrap" }}>
-                {allYearsInData.map(y => (
-                  <button key={y} onClick={() => setDebugYear(y)} style={{
-                    padding:"4px 12px", borderRadius:999, fontSize:11, fontWeight:700,
-                    border:"none", cursor:"pointer", transition:"all 0.15s",
-                    background: debugYear === y ? "#0ea5e9" : dark ? "var(--nb-hover)" : "#f1f5f9",
-                    color: debugYear === y ? "#fff" : dark ? "var(--nb-txt2)" : "#64748b",
-                    boxShadow: debugYear === y ? "0 2px 8px rgba(14,165,233,0.3)" : "none",
-                  }}>
-                    {y}
-                  </button>
-                ))}
-              </div>
-            )}
+// ─── Tariff & cost helpers ────────────────────────────────────
+// A price list is valid from `validFrom` to `validTo` (both "YYYY-MM",
+// inclusive, empty validTo = open-ended). Prices are Kč/kWh without VAT,
+// an empty `priceNT` means a single-rate tariff. `ntShare` holds the % of
+// each meter's consumption billed at the low (NT) rate; a meter without an
+// entry is billed fully at VT.
+// A `spot` tariff has no VT/NT energy price: the energy costs the month's
+// spot price (see Spot prices) plus `spotMarkup`, and `fixedPrice` is the
+// fixed energy price it is compared with. Distribution stays VT/NT.
+const BLANK_TARIFF = (meters = []) => ({
+  name: "", validFrom: `${CURRENT_YEAR}-01`, validTo: "",
+  priceVT: "", priceNT: "", distributionVT: "", distributionNT: "",
+  monthlyFee: "", vat: 21,
+  ntShare: Object.fromEntries(meters.filter(isUsage).map(m => [m.id, 0])),
+  spot: false, spotMarkup: "", fixedPrice: "",
+});
 
-            {(() => {
-              const yearRecords = records.filter(r => r.year === debugYear).sort((a,b) => a.month - b.month);
-              if (yearRecords.length === 0) return <p>Žádná data pro rok {debugYear}</p>;
-              
-              const sumH = yearRecords.reduce((s,r) => s + (r.householdConsumption||0), 0);
-              const sumC = yearRecords.reduce((s,r) => s + (r.carConsumption||0), 0);
-              const sumB = yearRecords.reduce((s,r) => s + (r.bojlerConsumption||0), 0);
-              
-              return (
-                <div>
-                  <div style={{ marginBottom:12, padding:8, background: dark?"var(--nb-input)":"#f8fafc", borderRadius:8 }}>
-                    <div style={{ display:"flex", justifyContent:"space-between", marginBottom:4 }}>
-                      <span>🏠 Domácnost:</span>
-                      <strong style={D.txt1(dark)}>{Math.round(sumH)} kWh</strong>
-                    </div>
-                    <div style={{ display:"flex", justifyContent:"space-between", marginBottom:4 }}>
-                      <span style={{ color:"#34d399" }}>🚗 Auto:</span>
-                      <strong style={{ color:"#34d399" }}>{Math.round(sumC)} kWh</strong>
-                    </div>
-                    <div style={{ display:"flex", justifyContent:"space-between", marginBottom:4 }}>
-                      <span>🛁 Bojler:</span>
-                      <strong style={D.txt1(dark)}>{Math.round(sumB)} kWh</strong>
-                    </div>
-                    <div style={{ borderTop:`1px solid ${dark?"var(--nb-border)":"#e2e8f0"}`, paddingTop:8, marginTop:8, display:"flex", justifyContent:"space-between" }}>
-                      <span style={{ fontWeight:700 }}>∑ Celkem:</span>
-                      <strong style={D.txt1(dark)}>{Math.round(sumH + sumC + sumB)} kWh</strong>
-                    </div>
-                  </div>
+const isDualRate = t => {
+  const nt = t.spot ? t.distributionNT : t.priceNT;
+  return nt !== "" && nt != null;
+};
 
-                  <div style={{ maxHeight:140, overflowY:"auto", fontSize:11 }}>
-                    <table style={{ width:"100%", borderCollapse:"collapse" }}>
-                      <thead style={{ position:"sticky", top:0, background: dark?"var(--nb-card)":"#fff" }}>
-                        <tr style={{ borderBottom:`1px solid ${dark?"var(--nb-border)":"#e2e8f0"}` }}>
-                          <th style={{ textAlign:"left", padding:"4px 0", ...D.txt3(dark) }}>Měsíc</th>
-                          <th style={{ textAlign:"right", padding:"4px 0", ...D.txt3(dark) }}>🏠</th>
-                          <th style={{ textAlign:"right", padding:"4px 0", color:"#34d399" }}>🚗</th>
-                          <th style={{ textAlign:"right", padding:"4px 0", ...D.txt3(dark) }}>🛁</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {yearRecords.map(r => (
-                          <tr key={r.id} style={{ borderBottom:`1px solid ${dark?"var(--nb-border)":"#f8fafc"}` }}>
-                            <td style={{ padding:"4px 0", ...D.txt2(dark) }}>{MONTHS_CZ[r.month-1]}</td>
-                            <td style={{ textAlign:"right", padding:"4px 0", ...D.txt1(dark) }}>{r.householdConsumption||0}</td>
-                            <td style={{ textAlign:"right", padding:"4px 0", color:"#34d399", fontWeight: (r.carConsumption||0) > 100 ? 700 : 400 }}>
-                              {r.carConsumption||0}
-                            </td>
-                            <td style={{ textAlign:"right", padding:"4px 0", ...D.txt1(dark) }}>{r.bojlerConsumption||0}</td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                </div>
-              );
-            })()}
-          </div>
-        </ChartCard>
+function findTariff(tariffs, year, month) {
+  const key = ymKey(year, month);
+  const valid = tariffs.filter(t => t.validFrom && t.validFrom <= key && (!t.validTo || key <= t.validTo));
+  // Overlapping price lists → the most recently started one wins
+  return valid.sort((a, b) => b.validFrom.localeCompare(a.validFrom))[0] || null;
+}
 
-        <ChartCard title="Bojler – porovnání měsíců" dark={dark}><Lines data={bojler} /></ChartCard>
-        <ChartCard title="Domácnost – porovnání měsíců" dark={dark}><Lines data={house} /></ChartCard>
-        <ChartCard title="Auto – porovnání měsíců" dark={dark} span2><Lines data={car} /></ChartCard>
-      </div>
-    </div>
-  );
+// Effective Kč/kWh without VAT for a given NT share (0–100 %). `energy`
+// replaces the VT and NT energy price – the spot price of a month.
+function kwhPrice(tariff, ntPct, energy = null) {
+  const vt = (energy ?? (Number(tariff.priceVT) || 0)) + (Number(tariff.distributionVT) || 0);
+  if (!isDualRate(tariff)) return vt;
+  const nt = (energy ?? (Number(tariff.priceNT) || 0)) + (Number(tariff.distributionNT) || 0);
+  const share = Math.min(100, Math.max(0, Number(ntPct) || 0)) / 100;
+  return vt * (1 - share) + nt * share;
 }
 
-// ─── InputForm ────────────────────────────────────────────────
-const BLANK = () => ({
-  year: CURRENT_YEAR, month: new Date().getMonth() + 1,
-  householdState: "", householdConsumptionOverride: null,
-  carState: "", carConsumptionOverride: null,
-  bojlerConsumption: "",
-});
+const costField = m => `${m.id}Cost`;
 
-function InputForm({ records, onSave, editRecord, onCancelEdit, dark }) {
-  const [form, setForm] = useState(BLANK());
-  const [override, setOverride] = useState({ household: false, car: false });
-  const [preview, setPreview] = useState(null);
-  const [saved, setSaved] = useState(null);
+// Under a spot tariff the row also gets `spotPrice` (consumption-weighted
+// spot price, Kč/kWh without VAT), `spotAvg` (the month's plain average) and
+// `compareCost` (the same month at the tariff's fixed price); without spot
+// prices for the month it stays unpriced.
+function calcCosts(record, tariffs, meters, spot = {}) {
+  const t = findTariff(tariffs, record.year, record.month);
+  const kwhMeters = meters.filter(isUsage);
+  const out = { fixedCost: null, totalCost: null, tariffName: t?.name ?? null, spotPrice: null, spotAvg: null, compareCost: null };
+  kwhMeters.forEach(m => { out[costField(m)] = null; });
+  const month = t?.spot ? spot[ymKey(record.year, record.month)] : null;
+  if (!t || (t.spot && !month)) return out;
+
+  const vat = 1 + (Number(t.vat) || 0) / 100;
+  const cons = m => Number(record[consField(m)]) || 0;
+  const energy = m => month ? (month.weighted[m.id] ?? month.avg) + (Number(t.spotMarkup) || 0) : null;
+  out.fixedCost = round2((Number(t.monthlyFee) || 0) * vat);
+  out.totalCost = out.fixedCost;
+  kwhMeters.forEach(m => {
+    const cost = round2(cons(m) * kwhPrice(t, t.ntShare?.[m.id] ?? 0, energy(m)) * vat);
+    out[costField(m)] = cost;
+    out.totalCost = round2(out.totalCost + cost);
+  });
+  if (month) {
+    out.spotAvg = month.avg;
+    const kwh = kwhMeters.reduce((s, m) => s + cons(m), 0);
+    out.spotPrice = kwh ? round4(kwhMeters.reduce((s, m) => s + cons(m) * (month.weighted[m.id] ?? month.avg), 0) / kwh) : month.avg;
+    if (t.fixedPrice !== "" && t.fixedPrice != null) out.compareCost = round2(out.fixedCost +
+      kwhMeters.reduce((s, m) => s + cons(m) * kwhPrice(t, t.ntShare?.[m.id] ?? 0, Number(t.fixedPrice)) * vat, 0));
+  }
+  return out;
+}
+
+const applyTariffs = (records, tariffs, meters, spot = {}) => records.map(r => ({ ...r, ...calcCosts(r, tariffs, meters, spot) }));
+
+// ─── Year-end forecast ────────────────────────────────────────
+// Each earlier year with a full January–December record is scaled by how the
+// current year-to-date compares to its own, and its remaining months become
+// one projection. The mean of the projections is the forecast, their spread
+// the band – never narrower than `minBand`. Without history the year-to-date
+// monthly average is carried forward with a wider band.
+const FORECAST = { minBand: 0.1, fallbackBand: 0.25 };
+
+const sumOf = (rows, m) => rows.reduce((s, r) => s + (Number(r[consField(m)]) || 0), 0);
+
+// { year, months: [monthly rows flagged `forecast`, with `low`/`high` per
+//   meter], totals: { <meterId>: { actual, projected, low, high } }, cost } –
+// null when the year has no data yet or is already complete
+function forecastYear(rows, meters, tariffs, year = CURRENT_YEAR) {
+  const current = rows.filter(r => r.year === year);
+  if (!current.length) return null;
+  const last = Math.max(...current.map(r => r.month));
+  if (last === 12) return null;
+
+  const history = [...new Set(rows.map(r => r.year))]
+    .filter(y => y < year && rows.filter(r => r.year === y).length === 12)
+    .map(y => rows.filter(r => r.year === y));
+  const remaining = Array.from({ length: 12 - last }, (_, i) => last + 1 + i);
+  const months = remaining.map(month => ({
+    id: ymKey(year, month), year, month, forecast: true, estimated: {}, low: {}, high: {},
+  }));
+
+  meters.forEach(m => {
+    const ytd = sumOf(current, m);
+    // The first reading of a cumulative meter has no consumption – its year is no reference
+    const first = m.type === "direct" ? null : rows.find(r => r.record && hasReading(r.record, m));
+    const projections = history
+      .filter(h => !first || h[0].year > first.year)
+      .map(h => ({ h, base: sumOf(h.filter(r => r.month <= last), m) }))
+      .filter(p => p.base > 0)
+      .map(p => remaining.map(month => (Number(p.h.find(r => r.month === month)[consField(m)]) || 0) * ytd / p.base));
+    months.forEach((x, i) => {
+      const values = projections.length ? projections.map(p => p[i]) : [ytd / current.length];
+      const band = projections.length ? FORECAST.minBand : FORECAST.fallbackBand;
+      const value = values.reduce((s, v) => s + v, 0) / values.length;
+      x[consField(m)] = round2(value);
+      x.low[m.id] = round2(Math.min(...values, value * (1 - band)));
+      x.high[m.id] = round2(Math.max(...values, value * (1 + band)));
+    });
+  });
+
+  const withCosts = months.map(x => {
+    const at = bound => Object.fromEntries(meters.map(m => [consField(m), x[bound][m.id]]));
+    return {
+      ...withTotal(x, meters), ...calcCosts(x, tariffs, meters),
+      lowCost: calcCosts({ ...x, ...at("low") }, tariffs, meters).totalCost,
+      highCost: calcCosts({ ...x, ...at("high") }, tariffs, meters).totalCost,
+    };
+  });
+
+  const totals = Object.fromEntries(meters.map(m => {
+    const actual = sumOf(current, m);
+    return [m.id, {
+      actual: round2(actual),
+      projected: round2(actual + sumOf(withCosts, m)),
+      low: round2(actual + withCosts.reduce((s, x) => s + x.low[m.id], 0)),
+      high: round2(actual + withCosts.reduce((s, x) => s + x.high[m.id], 0)),
+    }];
+  }));
+  const kwh = meters.filter(isUsage);
+  totals.total = Object.fromEntries(["actual", "projected", "low", "high"]
+    .map(k => [k, round2(kwh.reduce((s, m) => s + totals[m.id][k], 0))]));
+
+  // Costs only when every month of the year has a price list
+  const priced = [...current, ...withCosts].every(r => r.totalCost != null);
+  const actualCost = current.reduce((s, r) => s + (r.totalCost || 0), 0);
+  const cost = priced ? {
+    actual: round2(actualCost),
+    projected: round2(actualCost + withCosts.reduce((s, x) => s + x.totalCost, 0)),
+    low: round2(actualCost + withCosts.reduce((s, x) => s + x.lowCost, 0)),
+    high: round2(actualCost + withCosts.reduce((s, x) => s + x.highCost, 0)),
+  } : null;
+
+  return { year, months: withCosts, totals, cost };
+}
+
+// ─── Billing periods ──────────────────────────────────────────
+// A period runs from `from` to `to` ("YYYY-MM", inclusive) – suppliers often
+// bill June–May. `advance` is the monthly advance payment in Kč; the invoice
+// fields stay empty until the bill arrives. Metered consumption is
+// totalConsumption of the monthly rows; months without data yet are taken
+// from the forecast, or from the average of the same month in earlier years.
+const BLANK_BILLING = () => ({
+  name: "", from: `${CURRENT_YEAR}-01`, to: `${CURRENT_YEAR}-12`,
+  advance: "", invoicedKwh: "", invoicedAmount: "",
+});
+
+function periodMonths(from, to) {
+  const out = [];
+  let [year, month] = from.split("-").map(Number);
+  while (ymKey(year, month) <= to) {
+    out.push({ year, month });
+    if (++month > 12) { month = 1; year++; }
+  }
+  return out;
+}
+
+function expectedMonth(year, month, monthly, forecast, tariffs, meters) {
+  const fc = forecast?.months.find(r => r.year === year && r.month === month);
+  if (fc) return fc;
+  const same = monthly.filter(r => r.month === month);
+  if (!same.length) return null;
+  const row = { year, month, ...Object.fromEntries(meters.map(m => [consField(m), sumOf(same, m) / same.length])) };
+  return { ...withTotal(row, meters), ...calcCosts(row, tariffs, meters) };
+}
+
+// Metered vs. invoiced consumption and the expected settlement of a period.
+// `balance` > 0 is an overpayment (přeplatek), < 0 an underpayment.
+function billingSummary(period, monthly, forecast, tariffs, meters, today = new Date()) {
+  const months = periodMonths(period.from, period.to);
+  const nowKey = ymKey(today.getFullYear(), today.getMonth() + 1);
+  let kwh = 0, cost = 0, measured = 0, projected = 0, priced = true;
+  months.forEach(({ year, month }) => {
+    const actual = monthly.find(r => r.year === year && r.month === month);
+    const row = actual ?? expectedMonth(year, month, monthly, forecast, tariffs, meters);
+    if (actual) measured++; else if (row) projected++;
+    if (!row) return;
+    kwh += row.totalConsumption || 0;
+    if (row.totalCost == null) priced = false; else cost += row.totalCost;
+  });
+
+  const advance = Number(period.advance) || 0;
+  const advances = advance * months.length;
+  const paid = advance * months.filter(m => ymKey(m.year, m.month) <= nowKey).length;
+  const invoiced = period.invoicedAmount !== "" && period.invoicedAmount != null;
+  const complete = measured + projected === months.length;
+  const expectedCost = invoiced ? Number(period.invoicedAmount) : priced && complete ? round2(cost) : null;
+  const invoicedKwh = period.invoicedKwh !== "" && period.invoicedKwh != null ? Number(period.invoicedKwh) : null;
+
+  return {
+    months: months.length, measured, projected, complete,
+    kwh: round2(kwh), invoicedKwh,
+    kwhDiff: invoicedKwh != null && kwh ? round2((invoicedKwh / kwh - 1) * 100) : null,
+    meteredCost: priced ? round2(cost) : null,
+    advances, paid, invoiced, expectedCost,
+    balance: expectedCost == null ? null : round2(advances - expectedCost),
+    // Next advance: the expected cost spread over the period, rounded up to 100 Kč
+    suggestedAdvance: expectedCost == null ? null : Math.ceil(expectedCost / months.length / 100) * 100,
+  };
+}
+
+const fmtKc = v => v == null ? "–" : `${Math.round(v).toLocaleString("cs-CZ")} Kč`;
+
+// ─── Supplier offers ──────────────────────────────────────────
+// Offers are price lists without a validity, kept with the property's
+// config. Each is replayed over one year of the actual monthly consumption –
+// month by month through calcCosts, so NT shares and spot offers are priced
+// exactly like the real tariffs.
+// New offers start with the NT shares of the newest tariff
+const BLANK_OFFER = (tariffs = [], meters = []) => {
+  const latest = [...tariffs].sort((a, b) => b.validFrom.localeCompare(a.validFrom))[0];
+  const blank = BLANK_TARIFF(meters);
+  return { ...blank, ntShare: { ...blank.ntShare, ...latest?.ntShare } };
+};
+
+// → { total, fixed, variable, byMeter } | null when a month cannot be priced
+function offerCost(rows, offer, meters, spot = {}) {
+  const tariff = { ...offer, validFrom: "0000-01", validTo: "" };
+  const out = { total: 0, fixed: 0, byMeter: Object.fromEntries(meters.filter(isUsage).map(m => [m.id, 0])) };
+  for (const r of rows) {
+    const c = calcCosts(r, [tariff], meters, spot);
+    if (c.totalCost == null) return null;
+    out.total += c.totalCost; out.fixed += c.fixedCost;
+    Object.keys(out.byMeter).forEach(id => { out.byMeter[id] += c[`${id}Cost`]; });
+  }
+  return { ...out, variable: out.total - out.fixed };
+}
+
+// What the months really cost under the tariffs in force
+function actualCost(rows, meters) {
+  if (!rows.length || rows.some(r => r.totalCost == null)) return null;
+  const byMeter = Object.fromEntries(meters.filter(isUsage).map(m => [m.id, rows.reduce((s, r) => s + r[costField(m)], 0)]));
+  const total = rows.reduce((s, r) => s + r.totalCost, 0), fixed = rows.reduce((s, r) => s + r.fixedCost, 0);
+  return { total, fixed, variable: total - fixed, byMeter };
+}
+
+// Offers of one year ranked from the cheapest: [{ offer, total, fixed,
+// byMeter, diff, breakEven, cheaperAbove }], the current tariffs included
+// as { current: true }. `breakEven` is the yearly consumption (kWh, all
+// circuits scaled alike) at which an offer costs the same as the cheapest:
+// a lower fixed fee wins below it, a lower price per kWh above.
+function compareOffers(rows, offers, meters, spot = {}) {
+  const kwh = rows.reduce((s, r) => s + (Number(r.totalConsumption) || 0), 0);
+  const current = actualCost(rows, meters);
+  const priced = [
+    ...(current ? [{ current: true, offer: { name: "Současný ceník" }, ...current }] : []),
+    ...offers.map(offer => ({ offer, ...offerCost(rows, offer, meters, spot) })),
+  ];
+  const ranked = priced.filter(p => p.total != null).sort((a, b) => a.total - b.total);
+  const best = ranked[0];
+  return [
+    ...ranked.map(p => {
+      const dv = p.variable - best.variable, df = best.fixed - p.fixed;
+      const scale = p !== best && dv ? df / dv : null;
+      return {
+        ...p, diff: round2(p.total - best.total),
+        breakEven: scale > 0 && kwh ? Math.round(scale * kwh) : null,
+        cheaperAbove: dv < 0,
+      };
+    }),
+    ...priced.filter(p => p.total == null).map(p => ({ ...p, unpriced: true })),
+  ];
+}
+
+// ─── Vehicle efficiency ───────────────────────────────────────
+// Between two odometer readings the kilometres driven are set against what
+// the charger meter recorded – and cost – in the months after the first
+// reading up to the second. A lower odometer (another car) starts over.
+const fuelCostPer100 = v => (Number(v.fuelPer100) || 0) * (Number(v.fuelPrice) || 0);
+
+// → [{ id, year, month, km, kwh, per100, costPer100, fuelPer100Kc }] per interval
+function vehicleEfficiency(rows, meter) {
+  const out = [];
+  let prev = null;
+  rows.forEach((r, i) => {
+    const odo = r.record?.[odometerField(meter)];
+    if (odo == null || odo === "") return;
+    if (prev && Number(odo) > prev.odo) {
+      const span = rows.slice(prev.i + 1, i + 1);
+      const km = Number(odo) - prev.odo;
+      const kwh = sumOf(span, meter);
+      const cost = span.every(x => x[costField(meter)] != null)
+        ? span.reduce((s, x) => s + x[costField(meter)], 0) : null;
+      out.push({
+        id: r.id, year: r.year, month: r.month, km, kwh: round2(kwh),
+        per100: round2(kwh / km * 100),
+        costPer100: cost == null ? null : round2(cost / km * 100),
+        fuelPer100Kc: round2(fuelCostPer100(meter.vehicle)),
+      });
+    }
+    prev = { i, odo: Number(odo) };
+  });
+  return out;
+}
+
+// Whole-history figures; `saving` is what the reference car would have cost more
+function efficiencySummary(list, meter) {
+  const km = list.reduce((s, e) => s + e.km, 0);
+  if (!km) return null;
+  const kwh = list.reduce((s, e) => s + e.kwh, 0);
+  const priced = list.every(e => e.costPer100 != null);
+  const cost = priced ? list.reduce((s, e) => s + e.costPer100 * e.km / 100, 0) : null;
+  const fuel = fuelCostPer100(meter.vehicle) * km / 100;
+  return {
+    km, kwh: round2(kwh), per100: round2(kwh / km * 100),
+    costPerKm: cost == null ? null : round2(cost / km),
+    fuelPerKm: round2(fuel / km),
+    saving: cost == null ? null : round2(fuel - cost),
+  };
+}
+
+// ─── Energy balance ───────────────────────────────────────────
+// With PV, self-consumption is what was produced but not exported. The
+// household used grid import plus self-consumption; without an import
+// register the load meters' total is taken as consumption and the grid
+// covered the rest.
+const hasPv = meters => meters.some(m => meterRole(m) === "production");
+const roleSum = (row, meters, role) =>
+  meters.filter(m => meterRole(m) === role).reduce((s, m) => s + (Number(row[consField(m)]) || 0), 0);
+
+function balanceOf(sums) {
+  const { production, exported, imported, consumption } = sums;
+  const selfUse = round2(Math.max(0, production - exported));
+  return {
+    production: round2(production), exported: round2(exported), selfUse,
+    imported: round2(imported), consumption: round2(consumption),
+    selfSufficiency: consumption > 0 ? round2(Math.min(100, selfUse / consumption * 100)) : null,
+    selfUseRate: production > 0 ? round2(selfUse / production * 100) : null,
+  };
+}
+
+// → { production, exported, selfUse, imported, consumption, selfSufficiency %, selfUseRate % }
+function energyBalance(row, meters) {
+  const production = roleSum(row, meters, "production");
+  const exported = roleSum(row, meters, "export");
+  const selfUse = Math.max(0, production - exported);
+  const gridMeter = meters.some(m => meterRole(m) === "import");
+  const imported = gridMeter ? roleSum(row, meters, "import") : Math.max(0, roleSum(row, meters, "load") - selfUse);
+  return balanceOf({ production, exported, imported, consumption: gridMeter ? imported + selfUse : roleSum(row, meters, "load") });
+}
+
+// Per year, summed from the monthly balances; `estimated` when a month of
+// it was prorated
+function annualBalance(rows, meters) {
+  const map = {};
+  rows.forEach(r => {
+    const b = energyBalance(r, meters);
+    const y = map[r.year] ??= { year: r.year, production: 0, exported: 0, imported: 0, consumption: 0, estimated: false };
+    ["production", "exported", "imported", "consumption"].forEach(k => { y[k] += b[k]; });
+    if (r.isEstimated || meters.some(m => meterRole(m) !== "load" && r.estimated?.[m.id])) y.estimated = true;
+  });
+  return Object.values(map).sort((a, b) => a.year - b.year)
+    .map(y => ({ year: y.year, estimated: y.estimated, ...balanceOf(y) }));
+}
+
+// ─── CSV import / export ──────────────────────────────────────
+// Czech spreadsheets: semicolon separator, decimal comma, month names.
+const CSV_DELIMITERS = { ";": "Středník ;", ",": "Čárka ,", "\t": "Tabulátor" };
+
+const plain = s => String(s).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+
+function csvCell(v, delimiter) {
+  const s = v == null ? "" : String(v);
+  return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(header, rows, delimiter = ";") {
+  return [header, ...rows].map(r => r.map(v => csvCell(v, delimiter)).join(delimiter)).join("\r\n");
+}
+
+const csvNumber = v => v == null || v === "" ? "" : String(v).replace(".", ",");
+
+// Rows of the DataTable view – one per calendar month
+function monthlyCsv(rows, meters) {
+  const kwhMeters = meters.filter(isUsage);
+  const hasCosts = rows.some(r => r.totalCost != null);
+  const hasSpot = rows.some(r => r.spotPrice != null);
+  const pv = hasPv(meters);
+  const header = [
+    "Rok", "Měsíc", "Datum odečtu",
+    ...meters.flatMap(m => [
+      ...(m.type === "direct" ? [] : [`${m.name} – stav`]),
+      `${m.name} – spotřeba (${m.unit})`,
+    ]),
+    "Celkem (kWh)",
+    ...(pv ? ["Vlastní spotřeba FVE (kWh)", "Odběr ze sítě (kWh)", "Přetoky (kWh)", "Soběstačnost (%)"] : []),
+    ...(hasCosts ? [...kwhMeters.map(m => `${m.name} – náklady (Kč)`), "Stálé platby (Kč)", "Celkem (Kč)"] : []),
+    ...(hasSpot ? ["Vážená spotová cena (Kč/kWh)", "Průměrná spotová cena (Kč/kWh)", "Při pevné ceně (Kč)"] : []),
+    "Odhad",
+  ];
+  const body = rows.map(r => [
+    r.year, MONTHS_CZ[r.month-1], r.record?.readingDate ?? "",
+    ...meters.flatMap(m => [
+      ...(m.type === "direct" ? [] : [csvNumber(r[stateField(m)])]),
+      csvNumber(r[consField(m)]),
+    ]),
+    csvNumber(r.totalConsumption),
+    ...(pv ? (b => [csvNumber(b.selfUse), csvNumber(b.imported), csvNumber(b.exported), csvNumber(b.selfSufficiency)])(energyBalance(r, meters)) : []),
+    ...(hasCosts ? [...kwhMeters.map(m => csvNumber(r[costField(m)])), csvNumber(r.fixedCost), csvNumber(r.totalCost)] : []),
+    ...(hasSpot ? [csvNumber(r.spotPrice), csvNumber(r.spotAvg), csvNumber(r.compareCost)] : []),
+    r.isEstimated ? "ano" : "",
+  ]);
+  return toCsv(header, body);
+}
+
+function downloadFile(name, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = name; a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Quoted cells may contain the delimiter, quotes ("") and line breaks
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i+1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delimiter) { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i+1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += c;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+function detectDelimiter(text) {
+  const line = text.split(/\r?\n/).find(l => l.trim()) ?? "";
+  return Object.keys(CSV_DELIMITERS)
+    .map(d => [d, line.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// "1 234,5" → decimal comma; "1,234.5" or "1234.5" → decimal point
+function detectDecimal(rows, delimiter) {
+  if (delimiter === ",") return ".";
+  const cells = rows.flat().map(c => c.trim());
+  const comma = cells.filter(c => /^-?[\d\s\u00a0.]*\d,\d+$/.test(c)).length;
+  const point = cells.filter(c => /^-?[\d\s\u00a0,]*\d\.\d+$/.test(c) && !/^\d{1,2}\.\d{1,2}\.?$/.test(c)).length;
+  return comma >= point ? "," : ".";
+}
+
+function parseCzNumber(s, decimal) {
+  const t = String(s).replace(/[\s\u00a0]/g, "").replace(/(kWh|m³|m3|GJ|Kč)$/i, "");
+  if (t === "") return null;
+  const n = Number(decimal === "," ? t.replace(/\./g, "").replace(",", ".") : t.replace(/,/g, ""));
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// Full names, genitives ("března") and the usual abbreviations (čvn, čvc)
+const MONTH_ALIASES = Object.fromEntries([
+  ["leden","ledna","led"], ["unor","unora","uno"], ["brezen","brezna","bre"], ["duben","dubna","dub"],
+  ["kveten","kvetna","kve"], ["cerven","cervna","cvn"], ["cervenec","cervence","cvc"], ["srpen","srpna","srp"],
+  ["zari","zar"], ["rijen","rijna","rij"], ["listopad","listopadu","lis"], ["prosinec","prosince","pro"],
+].flatMap((names, i) => names.map(n => [n, i + 1])));
+
+function parseMonth(s) {
+  const t = plain(s).replace(/\.$/, "");
+  if (/^\d{1,2}$/.test(t)) return Number(t) >= 1 && Number(t) <= 12 ? Number(t) : null;
+  return MONTH_ALIASES[t] ?? null;
+}
+
+// → "YYYY-MM-DD"; 15.3.2024, 15. 3. 2024, 15/03/2024, 2024-03-15, 15. března 2024
+function parseCzDate(s) {
+  const t = plain(s);
+  let m = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return validDate(+m[1], +m[2], +m[3]);
+  m = t.match(/^(\d{1,2})\s*[./]\s*(\d{1,2})\s*[./]\s*(\d{4})/);
+  if (m) return validDate(+m[3], +m[2], +m[1]);
+  m = t.match(/^(\d{1,2})\.?\s+([a-z]+)\s+(\d{4})$/);
+  if (m && MONTH_ALIASES[m[2]]) return validDate(+m[3], MONTH_ALIASES[m[2]], +m[1]);
+  return null;
+}
+
+function validDate(y, mo, d) {
+  const dt = new Date(Date.UTC(y, mo - 1, d));
+  return dt.getUTCMonth() === mo - 1 && dt.getUTCDate() === d ? dt.toISOString().slice(0, 10) : null;
+}
+
+// "03/2024", "3.2024", "2024-03", "Březen 2024" → { year, month }
+function parsePeriod(s) {
+  const t = plain(s);
+  let m = t.match(/^(\d{4})\s*[-/.]\s*(\d{1,2})$/);
+  if (m) return { year: +m[1], month: +m[2] };
+  m = t.match(/^(\d{1,2})\s*[-/.]\s*(\d{4})$/);
+  if (m) return { year: +m[2], month: +m[1] };
+  m = t.match(/^([a-z]+)\.?\s+(\d{4})$/);
+  if (m && MONTH_ALIASES[m[1]]) return { year: +m[2], month: MONTH_ALIASES[m[1]] };
+  return null;
+}
+
+// Fields a CSV column can be mapped to; cumulative meters take the meter
+// state, direct ones the monthly consumption
+function csvTargets(meters) {
+  return [
+    { key: "year", label: "Rok" },
+    { key: "month", label: "Měsíc" },
+    { key: "period", label: "Období (měsíc a rok)" },
+    { key: "readingDate", label: "Datum odečtu" },
+    ...meters.map(m => m.type === "direct"
+      ? { key: consField(m), label: `${m.icon} ${m.name} – spotřeba`, meter: m }
+      : { key: stateField(m), label: `${m.icon} ${m.name} – stav`, meter: m }),
+    ...meters.filter(m => m.vehicle).map(m => ({ key: odometerField(m), label: `${m.icon} ${m.name} – tachometr (km)`, meter: m })),
+  ];
+}
+
+// Each target goes to the first column whose plain header `match` maps to it
+function guessColumns(header, match) {
+  const used = new Set();
+  return header.map(h => {
+    const key = match(plain(h));
+    return key && !used.has(key) ? (used.add(key), key) : "";
+  });
+}
+
+const guessMapping = (header, meters) => guessColumns(header, t => {
+  if (/obdobi|period/.test(t)) return "period";
+  if (/datum|date/.test(t)) return "readingDate";
+  if (/^(rok|year)\b/.test(t)) return "year";
+  if (/^(mesic|month)\b/.test(t)) return "month";
+  // Derived columns of our own export are not readings
+  const derived = /naklad|kc\b|celkem|odhad|kwh\/100/.test(t);
+  const meter = meters.find(m => t.includes(plain(m.name)) || t.includes(plain(m.id)));
+  if (/tachometr|odometer|\bkm\b/.test(t) && !derived) {
+    const vehicle = meter?.vehicle ? meter : meters.find(m => m.vehicle);
+    return vehicle ? odometerField(vehicle) : "";
+  }
+  if (!meter || derived) return "";
+  if (meter.type === "direct") return consField(meter);
+  return /spotreba/.test(t) ? "" : stateField(meter);
+});
+
+// → [{ line, fd, error }] where fd is what InputForm would submit
+function parseCsvRows(rows, { mapping, decimal }, meters) {
+  const targets = csvTargets(meters).filter(t => t.meter);
+  return rows.map((cells, i) => {
+    const fd = {};
+    let period = {}, error = null;
+    const fail = msg => { error ??= msg; };
+    mapping.forEach((key, col) => {
+      const raw = (cells[col] ?? "").trim();
+      if (!key || raw === "") return;
+      if (key === "year") {
+        if (/^\d{4}$/.test(raw)) period.year = Number(raw); else fail(`neplatný rok „${raw}“`);
+      } else if (key === "month") {
+        const mo = parseMonth(raw);
+        if (mo) period.month = mo; else fail(`neznámý měsíc „${raw}“`);
+      } else if (key === "period") {
+        const p = parsePeriod(raw);
+        if (p && p.month >= 1 && p.month <= 12) period = { ...period, ...p }; else fail(`neznámé období „${raw}“`);
+      } else if (key === "readingDate") {
+        const d = parseCzDate(raw);
+        if (d) fd.readingDate = d; else fail(`neplatné datum „${raw}“`);
+      } else {
+        const n = parseCzNumber(raw, decimal);
+        if (Number.isNaN(n)) fail(`neplatné číslo „${raw}“`); else fd[key] = n;
+      }
+    });
+    // Without a year/month column the reading date decides the month
+    if (fd.readingDate && (!period.year || !period.month)) {
+      period = { year: Number(fd.readingDate.slice(0, 4)), month: Number(fd.readingDate.slice(5, 7)), ...period };
+    }
+    if (!period.year || !period.month) fail("chybí rok nebo měsíc");
+    if (!targets.some(t => fd[t.key] != null)) fail("žádná hodnota měřidla");
+    return { line: i + 1, fd: { ...fd, year: period.year, month: period.month }, error };
+  });
+}
+
+// ─── Weather normalisation ────────────────────────────────────
+// Daily mean temperatures come from a CSV – a nearby station export or an own
+// sensor log – and are kept per day with the property's config. Heating
+// degree days follow ČSN 38 3350: Σ (19 − t) over the days with a mean
+// below 13 °C.
+// Per meter, monthly consumption is regressed on the month's degree days;
+// where that explains enough (R² ≥ minR2) consumption can be normalised to
+// the average weather of the imported years.
+const HDD = { indoor: 19, limit: 13 };
+const WEATHER = { minMonths: 6, minR2: 0.3, minCoverage: 0.8 };
+const WEATHER_TARGETS = [
+  { key: "date", label: "Datum" }, { key: "year", label: "Rok" }, { key: "month", label: "Měsíc" },
+  { key: "day", label: "Den" }, { key: "temp", label: "Teplota (°C)" },
+];
+
+const guessWeatherMapping = header => guessColumns(header, t => {
+  if (/datum|date|cas|time/.test(t)) return "date";
+  if (/^(rok|year)\b/.test(t)) return "year";
+  if (/^(mesic|month)\b/.test(t)) return "month";
+  if (/^(den|day)\b/.test(t)) return "day";
+  if (/teplot|temp|hodnota|value|prumer|\bt\b/.test(t)) return "temp";
+  return "";
+});
+
+// → { days: { "YYYY-MM-DD": mean °C }, errors } – several values of one day
+// (a sensor logging hourly) are averaged
+function parseWeatherRows(rows, { mapping, decimal }) {
+  const col = key => mapping.indexOf(key);
+  const sums = {};
+  let errors = 0;
+  rows.forEach(cells => {
+    const get = key => (cells[col(key)] ?? "").trim();
+    const date = col("date") >= 0 ? parseCzDate(get("date"))
+      : validDate(Number(get("year")), parseMonth(get("month")) ?? 0, Number(get("day")));
+    const temp = parseCzNumber(get("temp"), decimal);
+    if (!date || temp == null || Number.isNaN(temp)) { errors++; return; }
+    const s = sums[date] ??= { sum: 0, n: 0 };
+    s.sum += temp; s.n++;
+  });
+  const days = Object.fromEntries(Object.entries(sums).map(([d, s]) => [d, round2(s.sum / s.n)]));
+  return { days, errors };
+}
+
+// Months covered well enough: { "YYYY-MM": { hdd, days, mean } }. A month
+// with a few days missing is scaled up to its full length.
+function degreeDays(days) {
+  const months = {};
+  Object.entries(days).forEach(([date, t]) => {
+    const m = months[date.slice(0, 7)] ??= { hdd: 0, days: 0, sum: 0 };
+    if (t < HDD.limit) m.hdd += HDD.indoor - t;
+    m.days++; m.sum += t;
+  });
+  return Object.fromEntries(Object.entries(months).flatMap(([key, m]) => {
+    const [y, mo] = key.split("-").map(Number);
+    const length = new Date(Date.UTC(y, mo, 0)).getUTCDate();
+    if (m.days < length * WEATHER.minCoverage) return [];
+    return [[key, { hdd: round2(m.hdd * length / m.days), days: m.days, mean: round2(m.sum / m.days) }]];
+  }));
+}
+
+// Least squares consumption = a + b · HDD over measured months → { a, b, r2,
+// n, usable, normal: average HDD per calendar month, points } | null
+function weatherModel(rows, meter, hdd) {
+  const points = rows
+    .filter(r => !r.estimated?.[meter.id] && hdd[r.id] && r[consField(meter)] != null)
+    .map(r => ({ id: r.id, year: r.year, month: r.month, hdd: hdd[r.id].hdd, value: Number(r[consField(meter)]) || 0 }));
+  if (points.length < WEATHER.minMonths) return null;
+  const n = points.length;
+  const mx = points.reduce((s, p) => s + p.hdd, 0) / n, my = points.reduce((s, p) => s + p.value, 0) / n;
+  const sxy = points.reduce((s, p) => s + (p.hdd - mx) * (p.value - my), 0);
+  const sxx = points.reduce((s, p) => s + (p.hdd - mx) ** 2, 0);
+  const syy = points.reduce((s, p) => s + (p.value - my) ** 2, 0);
+  if (!sxx) return null;
+  const b = sxy / sxx, a = my - b * mx;
+  const r2 = syy ? sxy * sxy / (sxx * syy) : 0;
+
+  const normal = Array.from({ length: 12 }, (_, i) => {
+    const same = Object.entries(hdd).filter(([k]) => Number(k.slice(5)) === i + 1).map(([, m]) => m.hdd);
+    return same.length ? same.reduce((s, v) => s + v, 0) / same.length : null;
+  });
+  return { a: round2(a), b: Math.round(b * 1000) / 1000, r2: round2(r2), n, usable: b > 0 && r2 >= WEATHER.minR2, normal, points };
+}
+
+// Monthly rows with the consumption of weather-dependent meters moved to the
+// average degree days of their calendar month
+function normaliseRows(rows, meters, models, hdd) {
+  return rows.map(r => {
+    const next = { ...r };
+    meters.forEach(m => {
+      const model = models[m.id], normal = model?.normal[r.month - 1];
+      if (!model?.usable || !hdd[r.id] || normal == null) return;
+      next[consField(m)] = round2(Math.max(0, r[consField(m)] + model.b * (normal - hdd[r.id].hdd)));
+    });
+    return withTotal(next, meters);
+  });
+}
+
+// ─── Interval data ────────────────────────────────────────────
+// Load profiles from the distributor's customer portal: one row per 15
+// minutes or per hour, stamped with the start or – more often – the end of
+// the interval, in kWh or as average kW. They are kept per meter and day as
+// 96 quarter-hour values in kWh (null where the file has none); an hourly
+// value is spread evenly over its four quarters.
+// Complete months are summed into the monthly records wherever a meter has
+// no reading of its own. A cumulative meter gets a state carried on from
+// its last reading, so the next manual reading absorbs any drift; months
+// read by hand keep their reading and are only compared against the profile.
+const SLOTS = 96;
+const SLOT_MIN = 15;
+// A day counts as complete from 92 quarters – the spring DST day has 92
+const INTERVAL = { minSlots: 92 };
+const INTERVAL_UNITS = { kwh: "kWh za interval", kw: "kW (průměrný výkon)" };
+
+// Timestamp columns: one date-and-time column, or a date and a time (or
+// hour) column
+const TIME_TARGETS = [
+  { key: "datetime", label: "Datum a čas" },
+  { key: "date", label: "Datum" },
+  { key: "time", label: "Čas / hodina" },
+];
+
+const guessTimeColumn = t =>
+  /(datum|date).*(cas|time)|timestamp/.test(t) ? "datetime"
+  : /datum|date|^den\b/.test(t) ? "date"
+  : /^(cas|time|od|do|interval|perioda|period|hodina|hour)\b/.test(t) ? "time"
+  : "";
+
+const hasTimeColumns = mapping => mapping.includes("datetime") || ["date", "time"].every(k => mapping.includes(k));
+
+// End stamps start the day at 00:15 (01:00), start stamps at 00:00
+function stampsAtEnd(data, mapping) {
+  const first = data.map(cells => intervalTime(cells, mapping)).find(Boolean);
+  return first ? first.minutes !== 0 : true;
+}
+
+// Fields a column of the export can be mapped to – one value column per meter
+function intervalTargets(meters) {
+  return [...TIME_TARGETS, ...meters.filter(isKwh).map(m => ({ key: consField(m), label: `${m.icon} ${m.name}`, meter: m }))];
+}
+
+function guessIntervalMapping(header, meters) {
+  const kwh = meters.filter(isKwh);
+  const byRole = role => kwh.find(m => meterRole(m) === role);
+  return guessColumns(header, t => {
+    const meter = kwh.find(m => t.includes(plain(m.name)) || t.includes(plain(m.id)));
+    if (meter) return consField(meter);
+    const time = guessTimeColumn(t);
+    if (time) return time;
+    if (/-a\b|dodavk|pretok|export/.test(t)) return byRole("export") ? consField(byRole("export")) : "";
+    if (/\+a\b|odber|spotreb|hodnota|value|kwh|\bkw\b|vykon/.test(t)) {
+      const load = byRole("import") ?? kwh.find(isUsage);
+      return load ? consField(load) : "";
+    }
+    return "";
+  });
+}
+
+// Date and minutes since midnight of one row – a time of 24:00 stays 1440.
+// A bare number in the time column is an hour ("Hodina 1–24" of OTE files).
+function intervalTime(cells, mapping) {
+  const get = key => (cells[mapping.indexOf(key)] ?? "").trim();
+  const hour = !mapping.includes("datetime") && /^\d{1,2}$/.test(get("time"));
+  const text = mapping.includes("datetime") ? get("datetime") : `${get("date")} ${hour ? `${get("time")}:00` : get("time")}`;
+  const date = parseCzDate(text);
+  const m = text.slice(/^\d{4}-/.test(text) ? 10 : 0).match(/(\d{1,2}):(\d{2})/);
+  if (!date || !m || Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+  return { date, minutes: Number(m[1]) * 60 + Number(m[2]) };
+}
+
+// Day and first quarter of the interval a row stands for – end stamps at
+// 00:00 belong to the day before
+function intervalStart({ date, minutes }, step, end) {
+  if (end) minutes -= step;
+  if (minutes < 0) { date = shiftDate(date, -1); minutes += 1440; }
+  if (minutes >= 1440) { date = shiftDate(date, 1); minutes -= 1440; }
+  return { date, first: Math.floor(minutes / SLOT_MIN) };
+}
+
+const validStep = step => step > 0 && step % SLOT_MIN === 0 && 1440 % step === 0;
+
+const shiftDate = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+
+// Interval length in minutes – the most common gap between rows
+function detectStep(times) {
+  const counts = {};
+  times.forEach((t, i) => {
+    const prev = times[i - 1];
+    if (!t || !prev) return;
+    const gap = (Date.parse(t.date) - Date.parse(prev.date)) / 60000 + t.minutes - prev.minutes;
+    if (gap > 0) counts[gap] = (counts[gap] || 0) + 1;
+  });
+  const [step] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] ?? [SLOT_MIN];
+  return Number(step);
+}
+
+// → { profile: { meterId: { "YYYY-MM-DD": [96 × kWh | null] } }, step, errors }
+function parseIntervalRows(rows, { mapping, decimal, unit, end }, meters) {
+  const targets = intervalTargets(meters).filter(t => t.meter && mapping.includes(t.key));
+  const times = rows.map(cells => intervalTime(cells, mapping));
+  const step = detectStep(times);
+  const profile = {};
+  let errors = 0;
+  if (!validStep(step)) return { profile, step, errors: rows.length };
+  const quarters = step / SLOT_MIN;
+
+  rows.forEach((cells, i) => {
+    if (!times[i]) { errors++; return; }
+    const { date, first } = intervalStart(times[i], step, end);
+    let ok = false;
+    targets.forEach(({ key, meter }) => {
+      const v = parseCzNumber(cells[mapping.indexOf(key)] ?? "", decimal);
+      if (v == null || Number.isNaN(v)) return;
+      const kwh = unit === "kw" ? v * step / 60 : v;
+      const slots = (profile[meter.id] ??= {})[date] ??= Array(SLOTS).fill(null);
+      // Repeated times (the autumn DST hour) add up
+      for (let q = first; q < Math.min(SLOTS, first + quarters); q++) slots[q] = (slots[q] ?? 0) + kwh / quarters;
+      ok = true;
+    });
+    if (!ok) errors++;
+  });
+  return { profile, step, errors };
+}
+
+// A new import replaces the days it contains
+function mergeProfiles(a, b) {
+  const out = { ...a };
+  Object.entries(b).forEach(([id, days]) => { out[id] = { ...out[id], ...days }; });
+  return out;
+}
+
+const isCompleteDay = slots => slots.filter(v => v != null).length >= INTERVAL.minSlots;
+const monthLength = key => new Date(Date.UTC(Number(key.slice(0, 4)), Number(key.slice(5, 7)), 0)).getUTCDate();
+
+// One meter's complete months → { "YYYY-MM": kWh }
+function intervalMonths(days) {
+  const months = {};
+  Object.entries(days).forEach(([date, slots]) => {
+    const m = months[date.slice(0, 7)] ??= { sum: 0, complete: 0 };
+    m.sum += slots.reduce((s, v) => s + (v ?? 0), 0);
+    if (isCompleteDay(slots)) m.complete++;
+  });
+  return Object.fromEntries(Object.entries(months)
+    .filter(([key, m]) => m.complete === monthLength(key))
+    .map(([key, m]) => [key, round2(m.sum)]));
+}
+
+// Rows for importReadings: the complete months where a meter has no reading
+function intervalReadings(profile, records, meters) {
+  const rows = {};
+  let recs = records;
+  meters.filter(m => profile[m.id]).forEach(m => {
+    Object.entries(intervalMonths(profile[m.id])).sort(([a], [b]) => a.localeCompare(b)).forEach(([key, kwh]) => {
+      const [year, month] = key.split("-").map(Number);
+      const existing = recs.find(r => r.year === year && r.month === month);
+      if (existing && (m.type === "direct" ? Number(existing[consField(m)]) : hasReading(existing, m))) return;
+      let field = consField(m), value = kwh;
+      if (m.type !== "direct") {
+        const prev = getPreviousReading(recs, year, month, m);
+        // Before the first reading there is nothing to carry on from
+        if (prev == null) field = overrideField(m);
+        else {
+          field = stateField(m);
+          value = Math.round((Number(prev) + kwh) * 1000) / 1000;
+          if (m.digits) value %= 10 ** Number(m.digits);
+          recs = existing
+            ? recs.map(r => r.id === existing.id ? { ...r, [field]: value } : r)
+            : [...recs, { id: key, year, month, [field]: value }];
+        }
+      }
+      rows[key] = { ...rows[key], year, month, [field]: value };
+    });
+  });
+  return sortAsc(Object.values(rows));
+}
+
+// Months with both a profile and a measured monthly value: { key, year,
+// month, profile, measured, diff } – how far the readings and the profile part
+function intervalReconciliation(days, rows, meter) {
+  const months = intervalMonths(days);
+  return rows
+    .filter(r => months[r.id] != null && !r.estimated?.[meter.id])
+    .map(r => {
+      const measured = Number(r[consField(meter)]) || 0;
+      return { key: r.id, year: r.year, month: r.month, profile: months[r.id], measured,
+        diff: measured ? round2((months[r.id] - measured) / measured * 100) : null };
+    });
+}
+
+const slotLabel = q => `${String(Math.floor(q / 4)).padStart(2, "0")}:${String(q % 4 * SLOT_MIN).padStart(2, "0")}`;
+
+// One day as average kW per quarter hour
+const dayProfile = slots => (slots ?? []).map((v, q) => ({ time: slotLabel(q), kw: v == null ? null : round2(v * 60 / SLOT_MIN) }));
+
+// Average kW per quarter hour over working days and weekends of one month
+// ("YYYY-MM") or of everything. Public holidays count as working days.
+function weekProfile(days, month = null) {
+  const acc = { weekday: { sums: Array(SLOTS).fill(0), n: 0 }, weekend: { sums: Array(SLOTS).fill(0), n: 0 } };
+  Object.entries(days).forEach(([date, slots]) => {
+    if ((month && !date.startsWith(month)) || !isCompleteDay(slots)) return;
+    const a = acc[[0, 6].includes(new Date(date).getUTCDay()) ? "weekend" : "weekday"];
+    slots.forEach((v, q) => { a.sums[q] += v ?? 0; });
+    a.n++;
+  });
+  const avg = (a, q) => a.n ? round2(a.sums[q] / a.n * 60 / SLOT_MIN) : null;
+  return {
+    days: { weekday: acc.weekday.n, weekend: acc.weekend.n },
+    rows: Array.from({ length: SLOTS }, (_, q) => ({ time: slotLabel(q), weekday: avg(acc.weekday, q), weekend: avg(acc.weekend, q) })),
+  };
+}
+
+// Highest quarter-hour demand per month: [{ id, year, month, kw, at }]
+function peakDemand(days) {
+  const months = {};
+  Object.entries(days).forEach(([date, slots]) => slots.forEach((v, q) => {
+    const key = date.slice(0, 7);
+    if (v != null && (!months[key] || v > months[key].v)) months[key] = { v, at: `${date} ${slotLabel(q)}` };
+  }));
+  return Object.entries(months).sort(([a], [b]) => a.localeCompare(b)).map(([key, p]) => ({
+    id: key, year: Number(key.slice(0, 4)), month: Number(key.slice(5)), kw: round2(p.v * 60 / SLOT_MIN), at: p.at,
+  }));
+}
+
+// ─── Spot prices ──────────────────────────────────────────────
+// Hourly (or quarter-hourly) day-ahead prices, e.g. the OTE export, kept per
+// day as 96 quarter-hour prices in Kč/kWh without VAT. A spot tariff prices
+// each meter's month at its consumption-weighted spot price where the load
+// profile covers the month, at the plain monthly average otherwise.
+const SPOT = { eurRate: 25 };
+const SPOT_UNITS = { mwh: "Kč/MWh", kwh: "Kč/kWh", eur: "EUR/MWh" };
+const SPOT_TARGETS = [...TIME_TARGETS, { key: "price", label: "Cena" }];
+
+const guessSpotMapping = header => guessColumns(header, t =>
+  guessTimeColumn(t) || (/cena|price|eur|czk|\bkc\b/.test(t) ? "price" : ""));
+
+// → { prices: { "YYYY-MM-DD": [96 × Kč/kWh | null] }, step, errors }
+function parseSpotRows(rows, { mapping, decimal, unit, rate, end }) {
+  const times = rows.map(cells => intervalTime(cells, mapping));
+  const step = detectStep(times);
+  const prices = {};
+  let errors = 0;
+  if (!validStep(step)) return { prices, step, errors: rows.length };
+  const toKwh = { mwh: 1 / 1000, kwh: 1, eur: (Number(rate) || 0) / 1000 }[unit];
+  rows.forEach((cells, i) => {
+    const v = parseCzNumber(cells[mapping.indexOf("price")] ?? "", decimal);
+    if (!times[i] || v == null || Number.isNaN(v)) { errors++; return; }
+    const { date, first } = intervalStart(times[i], step, end);
+    const slots = prices[date] ??= Array(SLOTS).fill(null);
+    for (let q = first; q < Math.min(SLOTS, first + step / SLOT_MIN); q++) slots[q] = round4(v * toKwh);
+  });
+  return { prices, errors, step };
+}
+
+// Months with prices for every day → { "YYYY-MM": { avg, weighted: { meterId: Kč/kWh } } }
+function spotMonths(prices, profile, meters) {
+  const months = {};
+  Object.entries(prices).forEach(([date, slots]) => {
+    const m = months[date.slice(0, 7)] ??= { sum: 0, n: 0, complete: 0 };
+    slots.forEach(p => { if (p != null) { m.sum += p; m.n++; } });
+    if (isCompleteDay(slots)) m.complete++;
+  });
+  const profiled = meters.filter(m => isUsage(m) && profile[m.id])
+    .map(m => ({ meter: m, days: profile[m.id], months: intervalMonths(profile[m.id]) }));
+  const out = {};
+  Object.entries(months).forEach(([key, m]) => {
+    if (m.complete < monthLength(key)) return;
+    const weighted = {};
+    profiled.filter(p => p.months[key] != null).forEach(({ meter, days }) => {
+      let kwh = 0, cost = 0, priced = true;
+      Object.entries(days).filter(([date]) => date.startsWith(key)).forEach(([date, slots]) => slots.forEach((v, q) => {
+        if (v == null) return;
+        const price = prices[date]?.[q];
+        if (price == null) priced = false; else { kwh += v; cost += v * price; }
+      }));
+      if (priced && kwh) weighted[meter.id] = round4(cost / kwh);
+    });
+    out[key] = { avg: round4(m.sum / m.n), weighted };
+  });
+  return out;
+}
+
+// ─── Record sync ──────────────────────────────────────────────
+// Records carry `rev` – the sheet's revision they are based on (0 = never
+// stored) – and `updatedAt`, both assigned by the Apps Script. Local writes
+// are sent as create/update/delete operations against that revision; the
+// script refuses a stale one and returns its own version as a conflict.
+const SYNC_FIELDS = ["rev", "updatedAt"];
+
+function sameRecord(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(k => SYNC_FIELDS.includes(k) || (a[k] ?? null) === (b[k] ?? null));
+}
+
+// Operations turning `prev` into `next`; base revisions are added when sent
+function recordOps(prev, next) {
+  return recordChanges(prev, next).map(c =>
+    !c.after ? { op: "delete", id: c.id } : { op: c.before ? "update" : "create", id: c.id, record: c.after });
+}
+
+const revisionMap = recs => new Map(recs.map(r => [r.id, Number(r.rev) || 0]));
+
+function stampRevisions(records, applied) {
+  const byId = new Map(applied.filter(a => !a.deleted).map(a => [a.id, a]));
+  return records.map(r => byId.has(r.id) ? { ...r, rev: byId.get(r.id).rev, updatedAt: byId.get(r.id).updatedAt } : r);
+}
+
+// ─── Change log ───────────────────────────────────────────────
+// Every write through useDataStore leaves an entry with the records before
+// and after (the recalculated months included), newest first. Entries are
+// kept locally and appended to the "Log" sheet.
+const LOG_KEY = "log";
+const LOG_LIMIT = 300;
+const DEVICE_KEY = "electricity_device";
+const LOG_ACTIONS = {
+  add:     { label: "Přidání",  color: "#34d399" },
+  update:  { label: "Úprava",   color: "#38bdf8" },
+  delete:  { label: "Smazání",  color: "#f87171" },
+  import:  { label: "Import",   color: "#fbbf24" },
+  meters:  { label: "Měřidla",  color: "#a78bfa" },
+  undo:    { label: "Zpět",     color: "#94a3b8" },
+  restore: { label: "Obnovení", color: "#34d399" },
+};
+
+const withoutSync = r => Object.fromEntries(Object.entries(r).filter(([k]) => !SYNC_FIELDS.includes(k)));
+
+// [{ id, before, after }] – null before = created, null after = deleted
+function recordChanges(prev, next) {
+  const before = new Map(prev.map(r => [r.id, r]));
+  const changes = [];
+  next.forEach(r => {
+    const old = before.get(r.id);
+    if (!old || !sameRecord(old, r)) changes.push({ id: r.id, before: old ? withoutSync(old) : null, after: withoutSync(r) });
+    before.delete(r.id);
+  });
+  before.forEach(r => changes.push({ id: r.id, before: withoutSync(r), after: null }));
+  return changes;
+}
+
+// Undo only applies while the records still look as the entry left them
+function canRevert(records, entry) {
+  return !!entry?.changes.length && entry.changes.every(c => {
+    const current = records.find(r => r.id === c.id);
+    return c.after ? current && sameRecord(current, c.after) : !current;
+  });
+}
+
+// The entry undo targets: this device's newest change. Other devices' entries
+// and earlier undos are skipped, so the button never reverts someone else's
+// edit that happened to arrive last.
+const lastOwnEntry = (log, device) => log.find(e => e.device === device.name && e.action !== "undo") ?? null;
+
+// Reverted records keep their current revision so the sync sees an update
+function revertChanges(records, changes) {
+  const ids = new Set(changes.map(c => c.id));
+  const current = new Map(records.map(r => [r.id, r]));
+  return [
+    ...records.filter(r => !ids.has(r.id)),
+    ...changes.filter(c => c.before).map(c => ({ ...c.before, rev: current.get(c.id)?.rev, updatedAt: current.get(c.id)?.updatedAt })),
+  ];
+}
+
+function mergeLogs(a, b) {
+  const byId = new Map([...a, ...b].map(e => [e.id, e]));
+  return [...byId.values()].sort((x, y) => y.at.localeCompare(x.at)).slice(0, LOG_LIMIT);
+}
+
+function loadDevice() {
+  const s = localStorage.getItem(DEVICE_KEY);
+  if (s) return JSON.parse(s);
+  const ua = navigator.userAgent;
+  const kind = /iPhone/.test(ua) ? "iPhone" : /iPad/.test(ua) ? "iPad" : /Android/.test(ua) ? "Android"
+    : /Mac/.test(ua) ? "Mac" : /Windows/.test(ua) ? "Windows" : "Prohlížeč";
+  const device = { id: genId(), name: `${kind} ${Math.random().toString(36).slice(2, 6)}` };
+  localStorage.setItem(DEVICE_KEY, JSON.stringify(device));
+  return device;
+}
+
+// ─── JSON import ──────────────────────────────────────────────
+// Backups are validated record by record; invalid ones are reported and
+// skipped. Sync metadata of the file is dropped – revisions belong to the
+// sheet the app is connected to, not to the backup.
+const BACKUP_KEY = "backup";
+
+function validateImport(data, meters) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.records) ? data.records : null;
+  if (!list) return { records: [], errors: [{ index: null, message: "Soubor neobsahuje seznam záznamů." }] };
+
+  const numeric = [
+    ...meters.flatMap(m => m.type === "direct" ? [consField(m)] : [stateField(m), consField(m), overrideField(m)]),
+    ...meters.filter(m => m.vehicle).map(odometerField),
+  ];
+  const ids = new Set(), months = new Set();
+  const records = [], errors = [];
+
+  list.forEach((raw, index) => {
+    const fail = message => errors.push({ index, id: raw?.id, message });
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) return fail("Záznam není objekt.");
+    const id = typeof raw.id === "number" ? String(raw.id) : raw.id;
+    if (typeof id !== "string" || !id.trim()) return fail("Chybí id.");
+    if (ids.has(id)) return fail(`Duplicitní id „${id}“.`);
+
+    const year = Number(raw.year), month = Number(raw.month);
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) return fail(`Neplatný rok „${raw.year}“.`);
+    if (!Number.isInteger(month) || month < 1 || month > 12) return fail(`Neplatný měsíc „${raw.month}“.`);
+    if (months.has(ymKey(year, month))) return fail(`${MONTHS_CZ[month-1]} ${year} je v souboru dvakrát.`);
+
+    const readingDate = raw.readingDate || null;
+    if (readingDate && !(typeof readingDate === "string" && validDate(...readingDate.split("-").map(Number)) === readingDate)) {
+      return fail(`Neplatné datum odečtu „${readingDate}“.`);
+    }
+
+    const rec = Object.fromEntries(Object.entries(raw).filter(([k]) => !SYNC_FIELDS.includes(k)));
+    for (const f of numeric) {
+      const v = raw[f];
+      if (v == null || v === "") { if (f in rec) rec[f] = null; continue; }
+      if (!Number.isFinite(Number(v))) return fail(`Pole ${f} není číslo („${v}“).`);
+      rec[f] = Number(v);
+    }
+    // Without a stored consumption there is nothing to keep as an override
+    meters.filter(m => m.type !== "direct" && !(consField(m) in raw)).forEach(m => { rec[overrideField(m)] = null; });
+    ids.add(id); months.add(ymKey(year, month));
+    records.push({ ...rec, id, year, month, readingDate });
+  });
+  return { records, errors };
+}
+
+// Incoming records against the current ones: new ids are added, known ids
+// changed; a record landing on a month another record already holds is a
+// conflict
+function importDiff(current, incoming) {
+  const byId = new Map(current.map(r => [r.id, r]));
+  const diff = { added: [], changed: [], conflicts: [], unchanged: 0 };
+  incoming.forEach(r => {
+    const existing = byId.get(r.id) ?? null;
+    const clash = current.find(c => c.id !== r.id && c.year === r.year && c.month === r.month);
+    if (clash) diff.conflicts.push({ current: clash, existing, incoming: r });
+    else if (!existing) diff.added.push(r);
+    else if (sameRecord(existing, r)) diff.unchanged++;
+    else diff.changed.push({ before: existing, after: r });
+  });
+  const incomingIds = new Set(incoming.map(r => r.id));
+  diff.removed = current.filter(r => !incomingIds.has(r.id));
+  return diff;
+}
+
+// "replace" takes the file as is; "merge" adds/updates records and keeps the
+// current month on a conflict unless `overwrite` is set
+function applyImport(current, incoming, meters, mode, overwrite) {
+  const recs = migrateOverrides(incoming, meters);
+  if (mode === "replace") return recs;
+
+  const { added, changed, conflicts } = importDiff(current, recs);
+  const taken = overwrite ? conflicts : [];
+  const drop = new Set(taken.map(c => c.current.id));
+  const updates = new Map([...changed.map(c => c.after), ...taken.filter(c => c.existing).map(c => c.incoming)].map(r => [r.id, r]));
+  const next = [
+    ...current.filter(r => !drop.has(r.id)).map(r => updates.has(r.id) ? { ...updates.get(r.id), rev: r.rev, updatedAt: r.updatedAt } : r),
+    ...added,
+    ...taken.filter(c => !c.existing).map(c => c.incoming),
+  ];
+  const touched = [...added, ...updates.values(), ...taken.map(c => c.incoming)];
+  return touched.length ? recalcFrom(next, meters, touched.map(r => ymKey(r.year, r.month)).sort()[0]) : current;
+}
+
+// ─── Outbox ───────────────────────────────────────────────────
+// Writes waiting for the sheet, kept in the local store so they survive
+// going offline and closing the app. A newer operation on a record replaces the
+// queued one; `meters`/`headers` hold the latest registry to send along and
+// `log` the change-log entries not yet appended to the sheet.
+const OUTBOX_KEY = "outbox";
+const EMPTY_OUTBOX = { ops: [], meters: null, headers: [], log: [] };
+
+const outboxSize = box => box.ops.length + (box.meters ? 1 : 0);
+
+function enqueue(box, ops, revs, meters, headers, entry = null) {
+  const byId = new Map(box.ops.map(o => [o.id, o]));
+  // The base revision is resolved again when sending; this one is the
+  // fallback for records that are gone locally after a reload
+  ops.forEach(o => byId.set(o.id, { ...o, seq: genId(), baseRev: revs.get(o.id) ?? 0 }));
+  return { ops: [...byId.values()], meters: meters ?? box.meters, headers, log: entry ? [...box.log, entry] : box.log };
+}
+
+// ─── useDataStore hook ────────────────────────────────────────
+// Registries saved before vehicles existed: the default car is the EV charger
+const withVehicleDefaults = list =>
+  list.map(m => m.id === "car" && !("vehicle" in m) ? { ...m, vehicle: DEFAULT_VEHICLE } : m);
+
+// Another property as last stored on this device
+async function loadPropertyMonthly(propertyId) {
+  const store = await openLocalStore(propertyId);
+  const meters = withVehicleDefaults((await store.get("meters")) ?? DEFAULT_METERS);
+  const records = (await store.get("records")) ?? [];
+  const tariffs = (await store.get("tariffs")) ?? [];
+  const spot = spotMonths((await store.get("spot")) ?? {}, (await store.get("intervals")) ?? {}, meters);
+  return { meters, monthly: applyTariffs(prorateMonthly(records, meters), tariffs, meters, spot) };
+}
+
+function useDataStore(propertyId) {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [syncError, setSyncError] = useState(null);
+  // Everything below is filled from the local store once it is open; the
+  // backend stays null until then
+  const [tariffs, setTariffs] = useState([]);
+  const [offers, setOffers] = useState([]);
+  const [billing, setBilling] = useState([]);
+  const [weather, setWeather] = useState({});
+  const [intervals, setIntervals] = useState({});
+  const [spot, setSpot] = useState({});
+  const [meters, setMeters] = useState(DEFAULT_METERS);
+  const [conflicts, setConflicts] = useState([]);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [syncing, setSyncing] = useState(false);
+  const [pending, setPending] = useState(0);
+  const [connected, setConnected] = useState(false);
+  const [backend, setBackend] = useState(null);
+  const [log, setLog] = useState([]);
+  const [backup, setBackup] = useState(null);
+  const [device, setDevice] = useState(loadDevice);
+  const local = useRef(null);
+  // Last revision the sheet confirmed per record id
+  const revs = useRef(new Map());
+  const outbox = useRef(EMPTY_OUTBOX);
+  const syncQueue = useRef(Promise.resolve());
+
+  const save = useCallback((name, value) => {
+    local.current?.set(name, value).catch(err => setSyncError("Uložení v zařízení selhalo: " + err.message));
+  }, []);
+
+  const writeOutbox = useCallback((box) => {
+    outbox.current = box;
+    save(OUTBOX_KEY, box);
+    setPending(outboxSize(box));
+  }, [save]);
+
+  const updateLog = useCallback((fn) => setLog(l => {
+    const next = fn(l);
+    save(LOG_KEY, next);
+    return next;
+  }), [save]);
+
+  const updateConflicts = useCallback((fn) => setConflicts(cs => {
+    const next = fn(cs);
+    save("conflicts", next);
+    return next;
+  }), [save]);
+
+  // Sends the outbox. Runs are chained so each batch is based on the
+  // revisions the previous one brought back; a failed run leaves the outbox
+  // as it is for the next attempt.
+  const flush = useCallback(() => {
+    const remote = remoteFor(backend);
+    if (!remote) return Promise.resolve();
+    const run = async () => {
+      const box = outbox.current;
+      if ((!outboxSize(box) && !box.log.length) || !navigator.onLine) return;
+      const ops = box.ops.map(o => ({ op: o.op, id: o.id, record: o.record, baseRev: revs.current.get(o.id) ?? o.baseRev }));
+      setSyncing(true);
+      try {
+        const res = await remote.sync({ ops, headers: box.headers, meters: box.meters, log: box.log });
+        res.applied.forEach(a => a.deleted ? revs.current.delete(a.id) : revs.current.set(a.id, a.rev));
+        if (res.applied.length) setRecords(rs => {
+          const next = stampRevisions(rs, res.applied);
+          save("records", next);
+          return next;
+        });
+        if (res.conflicts.length) updateConflicts(cs => [
+          ...cs.filter(c => !res.conflicts.some(n => n.id === c.id)),
+          ...res.conflicts.map(c => ({ ...c, local: ops.find(o => o.id === c.id)?.record ?? null })),
+        ]);
+        // Whatever was queued meanwhile stays for the next run
+        const sent = new Set([...box.ops.map(o => o.seq), ...box.log.map(e => e.id)]);
+        const now = outbox.current;
+        writeOutbox({ ...now, ops: now.ops.filter(o => !sent.has(o.seq)), log: now.log.filter(e => !sent.has(e.id)),
+          meters: now.meters === box.meters ? null : now.meters });
+        setSyncError(null);
+        setConnected(true);
+      } catch (err) {
+        setSyncError("Synchronizace selhala: " + err.message);
+        setConnected(false);
+      } finally {
+        setSyncing(false);
+      }
+    };
+    return (syncQueue.current = syncQueue.current.then(run));
+  }, [backend, save, writeOutbox, updateConflicts]);
+
+  const queueOps = useCallback((ops, mtrs, recs, metersChanged, entry = null) => {
+    if (!isRemote(backend) || (!ops.length && !metersChanged && !entry)) return Promise.resolve();
+    writeOutbox(enqueue(outbox.current, ops, revs.current, metersChanged ? mtrs : null, sheetHeaders(mtrs, recs), entry));
+    return flush();
+  }, [backend, writeOutbox, flush]);
 
   useEffect(() => {
-    if (editRecord) {
-      setForm({ year:editRecord.year, month:editRecord.month,
-        householdState:editRecord.householdState, householdConsumptionOverride:null,
-        carState:editRecord.carState, carConsumptionOverride:null,
-        bojlerConsumption:editRecord.bojlerConsumption });
-      setOverride({ household:false, car:false });
-    } else { setForm(BLANK()); setOverride({ household:false, car:false }); }
-  }, [editRecord]);
+    const up = () => { setOnline(true); flush(); };
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => { window.removeEventListener("online", up); window.removeEventListener("offline", down); };
+  }, [flush]);
+
+  // Opens the property's local store and reads its config first; the
+  // records load after that and again whenever the backend settings change
+  useEffect(() => {
+    (async () => {
+      try {
+        if (!backend) {
+          const store = local.current = await openLocalStore(propertyId);
+          const get = async (name, fallback) => (await store.get(name)) ?? fallback;
+          setTariffs(await get("tariffs", []));
+          setBilling(await get("billing", []));
+          setWeather(await get("weather", {}));
+          setIntervals(await get("intervals", {}));
+          setSpot(await get("spot", {}));
+          setOffers(await get("offers", []));
+          setMeters(withVehicleDefaults(await get("meters", DEFAULT_METERS)));
+          setConflicts(await get("conflicts", []));
+          setLog(await get(LOG_KEY, []));
+          setBackup(await get(BACKUP_KEY, null));
+          outbox.current = { ...EMPTY_OUTBOX, ...(await get(OUTBOX_KEY, {})) };
+          setPending(outboxSize(outbox.current));
+          setBackend(await get(BACKEND_KEY, defaultBackend(propertyId)));
+          return;
+        }
+        const saved = (await local.current.get("records")) ?? [];
+        const savedMeters = withVehicleDefaults((await local.current.get("meters")) ?? DEFAULT_METERS);
+        const loadLocal = () => {
+          revs.current = revisionMap(saved);
+          setRecords(migrateOverrides(saved, savedMeters));
+        };
+        // Unsent local changes win over the sheet until they are replayed
+        const remote = remoteFor(backend);
+        if (remote && !outboxSize(outbox.current)) {
+          try {
+            const json = await remote.pull();
+            const pulled = json.records || [];
+            const mtrs = json.meters?.length ? withVehicleDefaults(json.meters) : savedMeters;
+            setConnected(true);
+            if (json.log?.length) updateLog(l => mergeLogs(l, json.log));
+            if (!pulled.length && saved.length) {
+              // A freshly connected, empty sheet gets what this device has
+              loadLocal();
+              revs.current = new Map();
+              writeOutbox(enqueue(EMPTY_OUTBOX, recordOps([], saved), revs.current, mtrs, sheetHeaders(mtrs, saved)));
+            } else {
+              revs.current = revisionMap(pulled);
+              setRecords(migrateOverrides(pulled, mtrs));
+              // Local copy for offline start and the overview of all properties
+              save("records", pulled);
+            }
+            if (json.meters?.length) {
+              setMeters(mtrs);
+              save("meters", mtrs);
+            }
+          } catch (err) {
+            setConnected(false);
+            setSyncError("Server nedostupný: " + err.message);
+            loadLocal();
+          }
+        } else {
+          loadLocal();
+        }
+        setLoading(false);
+        flush();
+      } catch (err) {
+        // A store that cannot be opened or read leaves the app empty but usable
+        setSyncError("Načtení dat selhalo: " + err.message);
+        setLoading(false);
+      }
+    })();
+  }, [propertyId, backend, flush, save, writeOutbox, updateLog]);
+
+  // Switching backends reloads the data from the new one. Queued writes belong
+  // to the old backend: they are sent there first, and whatever cannot be sent
+  // is dropped after confirmation rather than replayed against the new one.
+  const saveBackend = useCallback(async (cfg) => {
+    if (outboxSize(outbox.current) || outbox.current.log.length) {
+      await flush();
+      const left = outboxSize(outbox.current);
+      if (left && !confirm(`Změny čekající na odeslání (${left}) se nepodařilo odeslat na původní úložiště. Zahodit je a přepnout?`)) return;
+      writeOutbox(EMPTY_OUTBOX);
+    }
+    save(BACKEND_KEY, cfg);
+    setLoading(true); setSyncError(null); setConnected(false);
+    setBackend(cfg);
+  }, [save, flush, writeOutbox]);
+
+  // `prev` is what the sheet is assumed to hold – only the difference is
+  // queued. With `logAs` ({ action, summary }) the write goes to the change log.
+  const persist = useCallback(async (recs, mtrs = meters, prev = records, logAs = null) => {
+    save("records", recs);
+    save("meters", mtrs);
+    const changes = recordChanges(prev, recs);
+    const entry = logAs && (changes.length || mtrs !== meters)
+      ? { id: genId(), at: new Date().toISOString(), device: device.name, ...logAs, changes }
+      : null;
+    if (entry) updateLog(l => [entry, ...l].slice(0, LOG_LIMIT));
+    await queueOps(recordOps(prev, recs), mtrs, recs, mtrs !== meters, entry);
+  }, [meters, records, device, save, updateLog, queueOps]);
+
+  const saveDevice = useCallback((name) => {
+    const next = { ...device, name: name.trim() || device.name };
+    localStorage.setItem(DEVICE_KEY, JSON.stringify(next));
+    setDevice(next);
+  }, [device]);
+
+  // Keeping the local version re-sends it on top of the sheet's revision;
+  // taking the sheet's version replaces the local one and re-derives the
+  // months after it.
+  const resolveConflict = useCallback(async (conflict, keepLocal) => {
+    updateConflicts(cs => cs.filter(c => c.id !== conflict.id));
+    const { server } = conflict;
+    const local = records.find(r => r.id === conflict.id) ?? null;
+    if (server) revs.current.set(server.id, Number(server.rev) || 0);
+
+    if (keepLocal) {
+      if (!server) revs.current.delete(conflict.id);
+      const ops = [];
+      // Another record holds the same month in the sheet
+      if (server && server.id !== conflict.id) ops.push({ op: "delete", id: server.id });
+      ops.push(local ? { op: "update", id: local.id, record: local } : { op: "delete", id: conflict.id });
+      await queueOps(ops, meters, records, false);
+      return;
+    }
+
+    const base = records.filter(r => r.id !== conflict.id && r.id !== server?.id);
+    const prev = server ? [...base, server] : base;
+    const from = [local, server].filter(Boolean).map(r => ymKey(r.year, r.month)).sort()[0];
+    const next = from ? recalcFrom(prev, meters, from) : prev;
+    setRecords(next); await persist(next, meters, prev);
+  }, [records, meters, updateConflicts, queueOps, persist]);
+
+  // Writes are planned first: the new list with every later month re-derived
+  // plus the other records whose consumption changes, so the UI can preview
+  // the ripple before committing it.
+  const planAdd = useCallback((fd) => {
+    const year = Number(fd.year), month = Number(fd.month);
+    const existing = records.find(r => r.year === year && r.month === month);
+
+    if (existing) {
+      const values = deriveMeterValues(fd, records, meters, year, month, existing.id, existing);
+      const readingDate = fd.readingDate || existing.readingDate || null;
+      const next = records.map(r => r.id !== existing.id ? r : { ...r, readingDate, ...values });
+      const plan = makePlan(records, next, meters, ymKey(year, month), existing.id);
+      return { ...plan, result: { record: plan.target, merged: true }, log: { action: "update", summary: periodLabel(existing) } };
+    }
+
+    const rec = {
+      id: genId(), year, month, readingDate: fd.readingDate || null,
+      ...deriveMeterValues(fd, records, meters, year, month),
+    };
+    const plan = makePlan(records, [...records, rec], meters, ymKey(year, month), rec.id);
+    return { ...plan, result: plan.target, log: { action: "add", summary: periodLabel(rec) } };
+  }, [records, meters]);
+
+  const planUpdate = useCallback((id, fd) => {
+    const year = Number(fd.year), month = Number(fd.month);
+    const old = records.find(r => r.id === id);
+    const values = deriveMeterValues(fd, records, meters, year, month, id);
+    const next = records.map(r => r.id !== id ? r : { ...r, year, month, readingDate: fd.readingDate || null, ...values });
+    const from = [ymKey(year, month), ymKey(old.year, old.month)].sort()[0];
+    return { ...makePlan(records, next, meters, from, id), result: {}, log: { action: "update", summary: periodLabel({ year, month }) } };
+  }, [records, meters]);
+
+  const planDelete = useCallback((id) => {
+    const old = records.find(r => r.id === id);
+    const next = records.filter(r => r.id !== id);
+    return { ...makePlan(records, next, meters, ymKey(old.year, old.month), id), removed: old, result: {},
+      log: { action: "delete", summary: periodLabel(old) } };
+  }, [records, meters]);
+
+  const commitPlan = useCallback(async (plan) => {
+    setRecords(plan.next); await persist(plan.next, meters, records, plan.log);
+    return plan.result;
+  }, [meters, records, persist]);
+
+  const addRecord    = useCallback(fd => commitPlan(planAdd(fd)), [commitPlan, planAdd]);
+  const updateRecord = useCallback((id, fd) => commitPlan(planUpdate(id, fd)), [commitPlan, planUpdate]);
+  const deleteRecord = useCallback(id => commitPlan(planDelete(id)), [commitPlan, planDelete]);
+
+  // Validated records from a JSON backup. The state before the import is kept
+  // so it can be rolled back – locally and in the sheet.
+  const importData = useCallback(async (incoming, { mode, overwrite }) => {
+    const snapshot = { at: new Date().toISOString(), records, meters };
+    save(BACKUP_KEY, snapshot);
+    setBackup(snapshot);
+    const next = applyImport(records, incoming, meters, mode, overwrite);
+    setRecords(next);
+    await persist(next, meters, records, { action: "import", summary: mode === "replace" ? "JSON – nahrazení dat" : "JSON – sloučení" });
+  }, [records, meters, save, persist]);
+
+  const restoreBackup = useCallback(async () => {
+    if (!backup) return;
+    setMeters(backup.meters); setRecords(backup.records);
+    await persist(backup.records, backup.meters, records, { action: "undo", summary: "Vrácení importu" });
+    local.current.remove(BACKUP_KEY);
+    setBackup(null);
+  }, [backup, records, persist]);
+  // The backup names its property so it is not restored into another by mistake
+  const exportData = useCallback((property) =>
+    JSON.stringify({ property: { id: property.id, name: property.name }, records }, null, 2), [records]);
+
+  // Readings from the CSV import – merged month by month like manual entry,
+  // then everything from the earliest imported month on is re-derived
+  const importReadings = useCallback(async (rows, summary = `CSV – ${rows.length} řádků`) => {
+    let next = records;
+    rows.forEach(fd => {
+      const existing = next.find(r => r.year === fd.year && r.month === fd.month);
+      const values = deriveMeterValues(fd, next, meters, fd.year, fd.month, existing?.id ?? null, existing);
+      next = existing
+        ? next.map(r => r.id !== existing.id ? r : { ...r, readingDate: fd.readingDate || r.readingDate || null, ...values })
+        : [...next, { id: genId(), year: fd.year, month: fd.month, readingDate: fd.readingDate || null, ...values }];
+    });
+    const updated = recalcFrom(next, meters, rows.map(r => ymKey(r.year, r.month)).sort()[0]);
+    setRecords(updated);
+    await persist(updated, meters, records, { action: "import", summary });
+  }, [records, meters, persist]);
+
+  // Meter registry – stored next to the records (local store + backend).
+  // Removing a meter only hides it; its fields stay in the records.
+  const saveMeter = useCallback(async (m) => {
+    const list = m.id && meters.some(x => x.id === m.id)
+      ? meters.map(x => x.id === m.id ? m : x)
+      : [...meters, { ...m, id: meterIdFromName(m.name, meters) }];
+    // Digit count drives rollover detection → re-derive everything
+    const updated = recalcFrom(records, list);
+    setMeters(list); setRecords(updated);
+    await persist(updated, list, records, { action: "meters", summary: `Měřidlo ${m.name}` });
+  }, [meters, records, persist]);
+
+  const deleteMeter = useCallback(async (id) => {
+    const list = meters.filter(m => m.id !== id);
+    setMeters(list);
+    await persist(records, list, records, { action: "meters", summary: `Odebráno měřidlo ${meters.find(m => m.id === id)?.name}` });
+  }, [meters, records, persist]);
+
+  // Meter replacement events – records from the event on are re-derived
+  const saveMeterChanges = useCallback(async (meterId, changes, event) => {
+    const list = meters.map(m => m.id === meterId ? { ...m, changes } : m);
+    const updated = recalcFrom(records, list, ymKey(event.year, event.month));
+    setMeters(list); setRecords(updated);
+    await persist(updated, list, records, { action: "meters", summary: `Výměna měřidla ${periodLabel(event)}` });
+  }, [meters, records, persist]);
+
+  const addMeterChange = useCallback(async (meterId, change) => {
+    const meter = meters.find(m => m.id === meterId);
+    const event = { ...change, id: genId(), year: Number(change.year), month: Number(change.month),
+      oldFinal: Number(change.oldFinal), newStart: Number(change.newStart) || 0 };
+    await saveMeterChanges(meterId, [...(meter.changes || []), event], event);
+  }, [meters, saveMeterChanges]);
+
+  const deleteMeterChange = useCallback(async (meterId, changeId) => {
+    const meter = meters.find(m => m.id === meterId);
+    const event = meter.changes.find(c => c.id === changeId);
+    await saveMeterChanges(meterId, meter.changes.filter(c => c.id !== changeId), event);
+  }, [meters, saveMeterChanges]);
+
+  // Undo reverts the records of this device's newest log entry – only while
+  // nothing has touched them since
+  const undoLast = useCallback(async () => {
+    const entry = lastOwnEntry(log, device);
+    if (!canRevert(records, entry)) return;
+    const next = revertChanges(records, entry.changes);
+    setRecords(next);
+    await persist(next, meters, records, { action: "undo", summary: `${LOG_ACTIONS[entry.action]?.label ?? entry.action}: ${entry.summary}` });
+  }, [log, device, records, meters, persist]);
+
+  const restoreRecord = useCallback(async (rec) => {
+    if (records.some(r => r.id === rec.id || (r.year === rec.year && r.month === rec.month))) return;
+    const next = recalcFrom([...records, rec], meters, ymKey(rec.year, rec.month));
+    setRecords(next);
+    await persist(next, meters, records, { action: "restore", summary: periodLabel(rec) });
+  }, [records, meters, persist]);
+
+  // Price lists live only in the local store – they are config, not readings
+  const persistTariffs = useCallback((list) => {
+    setTariffs(list);
+    save("tariffs", list);
+  }, [save]);
+
+  const saveTariff = useCallback((t) => {
+    persistTariffs(t.id
+      ? tariffs.map(x => x.id === t.id ? t : x)
+      : [...tariffs, { ...t, id: genId() }]);
+  }, [tariffs, persistTariffs]);
+
+  const deleteTariff = useCallback((id) => {
+    persistTariffs(tariffs.filter(t => t.id !== id));
+  }, [tariffs, persistTariffs]);
+
+  // Supplier offers are config like the tariffs they are compared with
+  const persistOffers = useCallback((list) => {
+    setOffers(list);
+    save("offers", list);
+  }, [save]);
+
+  const saveOffer = useCallback((o) => {
+    persistOffers(o.id
+      ? offers.map(x => x.id === o.id ? o : x)
+      : [...offers, { ...o, id: genId() }]);
+  }, [offers, persistOffers]);
+
+  const deleteOffer = useCallback((id) => {
+    persistOffers(offers.filter(o => o.id !== id));
+  }, [offers, persistOffers]);
+
+  // Billing periods are config too
+  const persistBilling = useCallback((list) => {
+    setBilling(list);
+    save("billing", list);
+  }, [save]);
+
+  const saveBilling = useCallback((b) => {
+    persistBilling(b.id
+      ? billing.map(x => x.id === b.id ? b : x)
+      : [...billing, { ...b, id: genId() }]);
+  }, [billing, persistBilling]);
+
+  const deleteBilling = useCallback((id) => {
+    persistBilling(billing.filter(b => b.id !== id));
+  }, [billing, persistBilling]);
+
+  // Daily temperatures – a new import overrides the days it contains
+  const persistWeather = useCallback((days) => {
+    setWeather(days);
+    save("weather", days);
+  }, [save]);
+
+  const importWeather = useCallback((days) => {
+    persistWeather({ ...weather, ...days });
+  }, [weather, persistWeather]);
+
+  const clearWeather = useCallback(() => persistWeather({}), [persistWeather]);
+
+  // Load profiles stay on this device like the temperatures; only the
+  // monthly readings derived from them are synced
+  const importIntervals = useCallback(async (profile) => {
+    const merged = mergeProfiles(intervals, profile);
+    setIntervals(merged);
+    save("intervals", merged);
+    const rows = intervalReadings(merged, records, meters);
+    if (rows.length) await importReadings(rows, `Profil – ${rows.length} měsíců`);
+    return rows.length;
+  }, [intervals, records, meters, save, importReadings]);
+
+  const clearIntervals = useCallback(() => {
+    setIntervals({});
+    save("intervals", {});
+  }, [save]);
+
+  // Spot prices – a new import overrides the days it contains
+  const persistSpot = useCallback((prices) => {
+    setSpot(prices);
+    save("spot", prices);
+  }, [save]);
+
+  const importSpot = useCallback((prices) => {
+    persistSpot({ ...spot, ...prices });
+  }, [spot, persistSpot]);
+
+  const clearSpot = useCallback(() => persistSpot({}), [persistSpot]);
+
+  // Readings prorated into calendar months, with costs per month
+  const spotPrices = useMemo(() => spotMonths(spot, intervals, meters), [spot, intervals, meters]);
+  const monthly = useMemo(() => applyTariffs(prorateMonthly(records, meters), tariffs, meters, spotPrices),
+    [records, tariffs, meters, spotPrices]);
+
+  return {
+    records, monthly, loading, addRecord, updateRecord, deleteRecord, importData, exportData, importReadings,
+    backup, restoreBackup, log, undoLast, restoreRecord, device, saveDevice,
+    sync: { enabled: isRemote(backend), kind: BACKEND_MODES[backend?.mode], online, syncing, pending, connected, error: syncError }, syncNow: flush,
+    backend, saveBackend,
+    conflicts, resolveConflict,
+    planAdd, planUpdate, planDelete, commitPlan,
+    meters, saveMeter, deleteMeter, addMeterChange, deleteMeterChange,
+    tariffs, saveTariff, deleteTariff,
+    offers, saveOffer, deleteOffer,
+    billing, saveBilling, deleteBilling,
+    weather, importWeather, clearWeather,
+    intervals, importIntervals, clearIntervals,
+    spot, importSpot, clearSpot, spotPrices,
+  };
+}
+
+// ─── Chart data helpers ───────────────────────────────────────
+// Estimated (prorated) values are kept under a separate `<key>Est` series
+const estKey = key => `${key}Est`;
+const alertKey = key => `${key}Alert`;
+// Forecast months: `<key>Fc` for the value, `<key>Band` for [low, high]
+const fcKey = key => `${key}Fc`;
+const bandKey = key => `${key}Band`;
+
+function prepareAnnualData(records, meters, forecast = null) {
+  const kwhMeters = meters.filter(isUsage);
+  const map = {};
+  records.forEach(r => {
+    if (!map[r.year]) map[r.year] = {
+      year: String(r.year), total:0,
+      ...Object.fromEntries(kwhMeters.flatMap(m => [[m.id, 0], [estKey(m.id), 0], [fcKey(m.id), 0]])),
+    };
+
+    kwhMeters.forEach(m => {
+      // Parse values to ensure they're numbers
+      const v = Number(r[consField(m)]) || 0;
+      map[r.year][r.estimated?.[m.id] ? estKey(m.id) : m.id] += v;
+      map[r.year].total += v;
+    });
+  });
+  // Rest of the current year as ghost segments on top
+  forecast?.months.forEach(r => kwhMeters.forEach(m => { map[r.year][fcKey(m.id)] += r[consField(m)]; }));
+
+  return Object.values(map).sort((a,b) => Number(a.year)-Number(b.year));
+}
+
+function prepareAnnualCost(records, meters, forecast = null) {
+  const kwhMeters = meters.filter(isUsage);
+  const map = {};
+  records.forEach(r => {
+    if (r.totalCost == null) return;
+    if (!map[r.year]) map[r.year] = { year: String(r.year), fixed:0, total:0, [fcKey("total")]:0, ...Object.fromEntries(kwhMeters.map(m => [m.id, 0])) };
+    kwhMeters.forEach(m => { map[r.year][m.id] += r[costField(m)] || 0; });
+    map[r.year].fixed += r.fixedCost;
+    map[r.year].total += r.totalCost;
+  });
+  if (forecast?.cost && map[forecast.year]) map[forecast.year][fcKey("total")] = forecast.cost.projected - forecast.cost.actual;
+  return Object.values(map).sort((a,b) => Number(a.year)-Number(b.year));
+}
+
+// Consumed kWh and costs per property and year: chart rows keyed by
+// property id plus `<id>Cost`
+function compareProperties(entries) {
+  const map = {};
+  entries.forEach(({ property, monthly, meters }) => {
+    const usage = meters.filter(isUsage);
+    monthly.forEach(r => {
+      const y = map[r.year] ??= { year: String(r.year) };
+      y[property.id] = round2((y[property.id] ?? 0) + usage.reduce((s, m) => s + (Number(r[consField(m)]) || 0), 0));
+      if (r.totalCost != null) y[`${property.id}Cost`] = round2((y[`${property.id}Cost`] ?? 0) + r.totalCost);
+    });
+  });
+  return Object.values(map).sort((a, b) => Number(a.year) - Number(b.year));
+}
+
+// Measured months go to `<year>`, estimated ones to `<year>Est`. The estimated
+// series also takes the measured neighbours so its dashed segment connects.
+// Flagged months are repeated in `<year>Alert` to be drawn as markers, and
+// the forecast continues the current year from its last month on.
+// `years` defaults to the last two. All years before the newest shown one
+// are the reference: their monthly average in `prevAvg`, the lowest and
+// highest value of each month in `prevRange`.
+function prepareMonthly(records, meter, anomalies = [], forecast = null, years = null) {
+  const all = [...new Set(records.map(r => r.year))].sort();
+  years = years ? years.map(Number) : all.slice(-2);
+  const field = consField(meter);
+  const rows = MONTHS_CZ.map(name => ({ month: name.slice(0, 3) }));
+  const prev = all.filter(y => y < Math.max(...years));
+  rows.forEach((row, i) => {
+    const vals = records.filter(r => prev.includes(r.year) && r.month === i+1).map(r => r[field] ?? 0);
+    if (!vals.length) return;
+    row.prevAvg = round2(vals.reduce((a, b) => a + b, 0) / vals.length);
+    if (vals.length > 1) row.prevRange = [Math.min(...vals), Math.max(...vals)];
+  });
+  years.forEach(y => {
+    const found = MONTHS_CZ.map((_, i) => records.find(r => r.year===y && r.month===i+1));
+    const isEst = f => !!f?.estimated?.[meter.id];
+    found.forEach((f, i) => {
+      if (!f) return;
+      const v = f[field] ?? 0;
+      if (!isEst(f)) rows[i][String(y)] = v;
+      if (isEst(f) || isEst(found[i-1]) || isEst(found[i+1])) rows[i][estKey(y)] = v;
+      if (anomalies.some(a => a.meter.id === meter.id && a.rowId === f.id)) rows[i][alertKey(y)] = v;
+    });
+  });
+  if (forecast && years.includes(forecast.year)) {
+    const y = forecast.year;
+    const start = forecast.months[0].month - 2;
+    const from = rows[start]?.[String(y)] ?? rows[start]?.[estKey(y)];
+    if (from != null) { rows[start][fcKey(y)] = from; rows[start][bandKey(y)] = [from, from]; }
+    forecast.months.forEach(f => {
+      rows[f.month - 1][fcKey(y)] = f[field];
+      rows[f.month - 1][bandKey(y)] = [f.low[meter.id], f.high[meter.id]];
+    });
+  }
+  return rows;
+}
+
+// Running total from January per year (`<year>`), for one meter or – with
+// `meter` null – all kWh meters together. A year stops at its last month.
+function prepareCumulative(records, meter, years) {
+  const field = meter ? consField(meter) : "totalConsumption";
+  const rows = MONTHS_CZ.map(name => ({ month: name.slice(0, 3) }));
+  years.forEach(y => {
+    const found = records.filter(r => String(r.year) === String(y));
+    const last = Math.max(0, ...found.map(r => r.month));
+    let sum = 0;
+    for (let i = 0; i < last; i++) {
+      sum += Number(found.find(r => r.month === i+1)?.[field]) || 0;
+      rows[i][y] = round2(sum);
+    }
+  });
+  return rows;
+}
+
+// Sum of the last 12 months per meter and in total, from the 12th month on –
+// a gap in the months restarts the window
+function prepareRolling(records, meters) {
+  const kwhMeters = meters.filter(isUsage);
+  const keys = ["total", ...kwhMeters.map(m => m.id)];
+  const field = k => k === "total" ? "totalConsumption" : consField(kwhMeters.find(m => m.id === k));
+  const sorted = [...records].sort((a, b) => a.year - b.year || a.month - b.month);
+  return sorted.flatMap((r, i) => {
+    const window = sorted.slice(Math.max(0, i - 11), i + 1);
+    if (window.length < 12 || (r.year - window[0].year) * 12 + r.month - window[0].month !== 11) return [];
+    return [{
+      label: `${MONTHS_CZ[r.month-1].slice(0,3)} ${String(r.year).slice(2)}`,
+      ...Object.fromEntries(keys.map(k => [k, round2(window.reduce((s, w) => s + (Number(w[field(k)]) || 0), 0))])),
+    }];
+  });
+}
+
+const LINE_COLORS = ["#38bdf8","#34d399","#fb923c","#a78bfa","#f472b6","#facc15","#2dd4bf","#f87171"];
+
+// ─── Themed helpers ───────────────────────────────────────────
+// Returns an inline style object based on dark/light token
+const D = {
+  page:    d => ({ background: d ? "var(--nb-page)"   : "#f8fafc" }),
+  card:    d => ({ background: d ? "var(--nb-card)"   : "#ffffff", border: `1px solid ${d ? "var(--nb-border)" : "#e2e8f0"}` }),
+  inner:   d => ({ background: d ? "var(--nb-input)"  : "#f8fafc", border: `1px solid ${d ? "var(--nb-border)" : "#e2e8f0"}` }),
+  hover:   d => ({ background: d ? "var(--nb-hover)"  : "#f1f5f9" }),
+  txt1:    d => ({ color: d ? "var(--nb-txt1)" : "#1e293b" }),
+  txt2:    d => ({ color: d ? "var(--nb-txt2)" : "#64748b" }),
+  txt3:    d => ({ color: d ? "var(--nb-txt3)" : "#94a3b8" }),
+  divider: d => ({ borderColor: d ? "var(--nb-border)" : "#f1f5f9" }),
+};
+
+// Input/select styles shared by the forms
+const inputStyle = (dark, extra = {}) => ({
+  width:"100%", padding:"10px 12px", borderRadius:10, fontSize:14, outline:"none",
+  transition:"border-color 0.15s",
+  ...(dark ? {
+    background:"var(--nb-input)",
+    border:"1px solid var(--nb-border2)",
+    color:"var(--nb-txt1)",
+  } : {
+    background:"#fff",
+    border:"1px solid #e2e8f0",
+    color:"#1e293b",
+  }),
+  ...extra,
+});
+
+function FieldLabel({ dark, children }) {
+  return (
+    <label style={{ display:"block", fontSize:11, fontWeight:700, textTransform:"uppercase",
+      letterSpacing:"0.08em", marginBottom:6, color: dark?"var(--nb-txt2)":"#64748b" }}>
+      {children}
+    </label>
+  );
+}
+
+// ─── CustomTooltip ────────────────────────────────────────────
+// `uniqueNames` shows only the first entry per series name – used where an
+// estimated series repeats the measured point it starts from. Range values
+// ([low, high] of a forecast band) show as "low–high". `units` overrides the
+// unit per dataKey in charts mixing quantities.
+const CustomTooltip = ({ active, payload, label, dark, unit = "kWh", units = null, uniqueNames = false }) => {
+  if (!active || !payload?.length) return null;
+  const items = payload.filter((p, i) => p.value != null &&
+    !(String(p.dataKey).endsWith("Fc") && !p.value) &&
+    !(Array.isArray(p.value) && p.value[0] === p.value[1]) &&
+    !(uniqueNames && payload.slice(0, i).some(q => q.value != null && q.name === p.name)));
+  const fmt = (v, u = unit) => v?.toFixed(u === "Kč" ? 0 : 1);
+  return (
+    <div style={{ ...D.card(dark), padding:"12px 14px", borderRadius:12, boxShadow:"0 8px 32px rgba(0,0,0,0.4)" }}>
+      <p style={{ ...D.txt1(dark), fontWeight:600, marginBottom:6, fontSize:13 }}>{label}</p>
+      {items.map((p,i) => (
+        <div key={i} style={{ color:p.color, display:"flex", alignItems:"center", gap:8, fontSize:12 }}>
+          <span style={{ width:8, height:8, borderRadius:"50%", background:p.color, display:"inline-block" }} />
+          {p.name}: <strong>{/(Est|Fc)$/.test(String(p.dataKey)) && "≈ "}
+            {Array.isArray(p.value) ? `${fmt(p.value[0])}–${fmt(p.value[1])}` : fmt(p.value, units?.[p.dataKey])} {units?.[p.dataKey] ?? unit}</strong>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// ─── ChartCard ───────────────────────────────────────────────
+function ChartCard({ title, dark, children, span2 }) {
+  return (
+    <div className={span2 ? "lg:col-span-2" : ""}>
+      <div style={{ ...D.card(dark), borderRadius:16, padding:"16px 20px" }}>
+        <p style={{ ...D.txt3(dark), fontSize:11, fontWeight:700, textTransform:"uppercase", letterSpacing:"0.1em", marginBottom:14 }}>
+          {title}
+        </p>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+// ─── MonthLines ──────────────────────────────────────────────
+// Month-by-month comparison of the chosen years for one meter. `color`
+// maps a year to its line colour so a year keeps it across selections;
+// `showAvg` / `showBand` add the reference of the previous years.
+function MonthLines({ data, years, color, unit, showAvg = false, showBand = false, dark }) {
+  const ax = dark ? "#3f6080" : "#94a3b8";
+  const gr = dark ? "#15284a" : "#f1f5f9";
+  const ref = dark ? "#7fa3c8" : "#94a3b8";
+  return (
+    <ResponsiveContainer width="100%" height={220}>
+      <ComposedChart data={data} margin={{ top:4, right:8, left:-14, bottom:2 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke={gr} />
+        <XAxis dataKey="month" tick={{ fill:ax, fontSize:11 }} axisLine={false} tickLine={false} />
+        <YAxis tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={40} />
+        <Tooltip content={<CustomTooltip dark={dark} unit={unit} uniqueNames />} />
+        <Legend wrapperStyle={{ fontSize:12, color: dark?"#7fa3c8":"#64748b" }} />
+        {showBand && (
+          <Area type="monotone" dataKey="prevRange" name="Min–max předchozích let" stroke="none"
+            fill={ref} fillOpacity={0.15} activeDot={false} isAnimationActive={false} />
+        )}
+        {showAvg && (
+          <Line type="monotone" dataKey="prevAvg" name="Průměr předchozích let" stroke={ref}
+            strokeWidth={2} strokeDasharray="6 3" dot={false} activeDot={{ r:4 }} />
+        )}
+        {/* Forecast of the rest of the year: band behind, ghost line on top */}
+        {years.map(y => (
+          <Area key={bandKey(y)} type="monotone" dataKey={bandKey(y)} name={`${y} rozpětí`} legendType="none"
+            stroke="none" fill={color(y)} fillOpacity={0.12} activeDot={false} isAnimationActive={false} />
+        ))}
+        {years.map(y => (
+          <Line key={y} type="monotone" dataKey={y} name={y} stroke={color(y)}
+            strokeWidth={2.5} dot={{ r:3, fill:color(y) }} activeDot={{ r:5 }} />
+        ))}
+        {/* Months without a reading: dashed, hollow dots */}
+        {years.map(y => (
+          <Line key={estKey(y)} type="monotone" dataKey={estKey(y)} name={y} stroke={color(y)} legendType="none"
+            strokeWidth={2} strokeDasharray="5 4" dot={{ r:3, fill: dark?"#091626":"#fff" }} activeDot={{ r:5 }} />
+        ))}
+        {/* Months flagged by the anomaly check: red ring around the point */}
+        {years.map(y => (
+          <Line key={alertKey(y)} dataKey={alertKey(y)} name={y} stroke="none" legendType="none" isAnimationActive={false}
+            dot={{ r:7, fill:"none", stroke:"#f87171", strokeWidth:2 }} activeDot={false} />
+        ))}
+        {years.map(y => (
+          <Line key={fcKey(y)} type="monotone" dataKey={fcKey(y)} name={y} stroke={color(y)} legendType="none"
+            strokeOpacity={0.6} strokeWidth={2} strokeDasharray="2 4" dot={false} activeDot={{ r:4 }} />
+        ))}
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
+
+// ─── EfficiencyChart ──────────────────────────────────────────
+// kWh/100 km of one vehicle over time, with the cost per 100 km against the
+// reference combustion car
+function EfficiencyChart({ records, meter, dark }) {
+  const data = useMemo(() => vehicleEfficiency(records, meter)
+    .map(e => ({ ...e, label: `${MONTHS_CZ[e.month-1].slice(0,3)} ${String(e.year).slice(2)}` })), [records, meter]);
+  const summary = useMemo(() => efficiencySummary(data, meter), [data, meter]);
+  const ax = dark ? "#3f6080" : "#94a3b8";
+  const gr = dark ? "#15284a" : "#f1f5f9";
+  const kc = v => v.toLocaleString("cs-CZ", { minimumFractionDigits:2, maximumFractionDigits:2 });
+
+  if (!data.length) return (
+    <p style={{ ...D.txt2(dark), fontSize:13, margin:0 }}>
+      Zadejte stav tachometru alespoň ve dvou odečtech – efektivita se počítá mezi nimi.
+    </p>
+  );
+  return (
+    <>
+      <ResponsiveContainer width="100%" height={220}>
+        <ComposedChart data={data} margin={{ top:4, right:0, left:-14, bottom:2 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke={gr} />
+          <XAxis dataKey="label" tick={{ fill:ax, fontSize:11 }} axisLine={false} tickLine={false} />
+          <YAxis yAxisId="kwh" tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={40} />
+          <YAxis yAxisId="kc" orientation="right" tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={44} />
+          <Tooltip content={<CustomTooltip dark={dark} units={{ per100:"kWh/100 km", costPer100:"Kč/100 km", fuelPer100Kc:"Kč/100 km" }} />} />
+          <Legend wrapperStyle={{ fontSize:12, color: dark?"#7fa3c8":"#64748b" }} />
+          <Line yAxisId="kwh" type="monotone" dataKey="per100" name="kWh/100 km" stroke={meter.color}
+            strokeWidth={2.5} dot={{ r:3, fill:meter.color }} activeDot={{ r:5 }} />
+          {summary.costPerKm != null && (
+            <Line yAxisId="kc" type="monotone" dataKey="costPer100" name="Kč/100 km" stroke="#a78bfa"
+              strokeWidth={2} dot={{ r:3, fill:"#a78bfa" }} activeDot={{ r:5 }} />
+          )}
+          <Line yAxisId="kc" type="monotone" dataKey="fuelPer100Kc" name="Kč/100 km – spalovací" stroke="#94a3b8"
+            strokeWidth={1.5} strokeDasharray="5 4" dot={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+      <div style={{ display:"flex", flexWrap:"wrap", gap:"4px 16px", fontSize:12, marginTop:10, ...D.txt2(dark) }}>
+        <span>{summary.km.toLocaleString("cs-CZ")} km</span>
+        <span>Průměr <strong style={{ color:meter.color }}>{summary.per100.toFixed(1)} kWh/100 km</strong></span>
+        {summary.costPerKm != null && (
+          <span><strong style={D.txt1(dark)}>{kc(summary.costPerKm)} Kč/km</strong> vs. {kc(summary.fuelPerKm)} Kč/km
+            ({meter.vehicle.fuelPer100} l/100 km à {meter.vehicle.fuelPrice} Kč)</span>
+        )}
+        {summary.saving != null && (
+          <span style={{ color: summary.saving >= 0 ? "#34d399" : "#f87171", fontWeight:700 }}>
+            {summary.saving >= 0 ? "Ušetřeno" : "Dráž o"} {fmtKc(Math.abs(summary.saving))}
+          </span>
+        )}
+      </div>
+    </>
+  );
+}
+
+// ─── WeatherChart ─────────────────────────────────────────────
+// Monthly consumption against heating degree days with the fitted line
+const WeatherTooltip = ({ active, payload, meter, dark }) => {
+  const p = active && payload?.[0]?.payload;
+  if (!p) return null;
+  return (
+    <div style={{ ...D.card(dark), padding:"10px 12px", borderRadius:12, boxShadow:"0 8px 32px rgba(0,0,0,0.4)", fontSize:12 }}>
+      <p style={{ ...D.txt1(dark), fontWeight:600, margin:"0 0 4px", fontSize:13 }}>{MONTHS_CZ[p.month-1]} {p.year}</p>
+      <div style={D.txt2(dark)}>{Math.round(p.hdd)} denostupňů</div>
+      <div style={{ color:meter.color }}><strong>{p.value.toFixed(1)} {meter.unit}</strong></div>
+    </div>
+  );
+};
+
+function WeatherChart({ model, meter, dark }) {
+  const ax = dark ? "#3f6080" : "#94a3b8";
+  const gr = dark ? "#15284a" : "#f1f5f9";
+  const maxHdd = Math.max(...model.points.map(p => p.hdd));
+  return (
+    <ResponsiveContainer width="100%" height={220}>
+      <ScatterChart margin={{ top:4, right:8, left:-14, bottom:2 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke={gr} />
+        <XAxis type="number" dataKey="hdd" name="Denostupně" tick={{ fill:ax, fontSize:11 }} axisLine={false} tickLine={false} />
+        <YAxis type="number" dataKey="value" name={meter.unit} tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={40} />
+        <Tooltip content={<WeatherTooltip meter={meter} dark={dark} />} cursor={{ strokeDasharray:"3 3" }} />
+        <ReferenceLine segment={[{ x:0, y:model.a }, { x:maxHdd, y:model.a + model.b * maxHdd }]}
+          stroke={meter.color} strokeOpacity={0.6} strokeWidth={2} strokeDasharray="5 4" ifOverflow="extendDomain" />
+        <Scatter data={model.points} fill={meter.color} />
+      </ScatterChart>
+    </ResponsiveContainer>
+  );
+}
+
+// ─── Interval charts ──────────────────────────────────────────
+// What only a load profile can show: a single day, the average working day
+// against the weekend, the monthly peak demand and how the profile agrees
+// with the readings
+const PeakTooltip = ({ active, payload, dark }) => {
+  const p = active && payload?.[0]?.payload;
+  if (!p) return null;
+  return (
+    <div style={{ ...D.card(dark), padding:"10px 12px", borderRadius:12, boxShadow:"0 8px 32px rgba(0,0,0,0.4)", fontSize:12 }}>
+      <p style={{ ...D.txt1(dark), fontWeight:600, margin:"0 0 4px", fontSize:13 }}>{MONTHS_CZ[p.month-1]} {p.year}</p>
+      <div style={{ color:"#f87171" }}><strong>{p.kw.toFixed(1)} kW</strong></div>
+      <div style={D.txt2(dark)}>{p.at}</div>
+    </div>
+  );
+};
+
+function IntervalCards({ profile, meters, rows, onClear, dark }) {
+  const shown = useMemo(() => meters.filter(m => profile[m.id]), [meters, profile]);
+  const [meterId, setMeterId] = useState(null);
+  const meter = shown.find(m => m.id === meterId) ?? shown[0];
+  const days = profile[meter.id];
+  const dates = useMemo(() => Object.keys(days).sort(), [days]);
+  const months = useMemo(() => [...new Set(dates.map(d => d.slice(0, 7)))], [dates]);
+  const [date, setDate] = useState("");
+  const [month, setMonth] = useState("");
+  const day = days[date] ? date : dates[dates.length - 1];
+  const dayData = useMemo(() => dayProfile(days[day]), [days, day]);
+  const week = useMemo(() => weekProfile(days, month || null), [days, month]);
+  const peaks = useMemo(() => peakDemand(days), [days]);
+  const checks = useMemo(() => intervalReconciliation(days, rows, meter).slice(-12), [days, rows, meter]);
+  const dayKwh = round2((days[day] ?? []).reduce((s, v) => s + (v ?? 0), 0));
+  const ax = dark ? "#3f6080" : "#94a3b8";
+  const gr = dark ? "#15284a" : "#f1f5f9";
+  const inp = (extra = {}) => inputStyle(dark, { padding:"5px 10px", fontSize:12, width:"auto", ...extra });
+  const cell = { padding:"4px 6px", textAlign:"right", whiteSpace:"nowrap" };
+  const timeAxis = <XAxis dataKey="time" interval={11} tick={{ fill:ax, fontSize:11 }} axisLine={false} tickLine={false} />;
+
+  return (
+    <>
+      <ChartCard title="⏱️ Denní profil (kW)" dark={dark}>
+        <div style={{ display:"flex", gap:6, marginBottom:12, flexWrap:"wrap", alignItems:"center" }}>
+          {shown.length > 1 && shown.map(m => (
+            <button key={m.id} onClick={() => setMeterId(m.id)} style={{
+              padding:"4px 12px", borderRadius:999, fontSize:11, fontWeight:700,
+              border:"none", cursor:"pointer", transition:"all 0.15s",
+              background: meter.id === m.id ? m.color : dark ? "var(--nb-hover)" : "#f1f5f9",
+              color: meter.id === m.id ? "#fff" : dark ? "var(--nb-txt2)" : "#64748b",
+            }}>
+              {m.icon} {m.name}
+            </button>
+          ))}
+          <input type="date" style={inp({ marginLeft:"auto" })} value={day} min={dates[0]} max={dates[dates.length-1]}
+            onChange={e => setDate(e.target.value)} />
+        </div>
+        <ResponsiveContainer width="100%" height={220}>
+          <ComposedChart data={dayData} margin={{ top:4, right:8, left:-14, bottom:2 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke={gr} />
+            {timeAxis}
+            <YAxis tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={40} />
+            <Tooltip content={<CustomTooltip dark={dark} unit="kW" />} />
+            <Area type="stepAfter" dataKey="kw" name={meter.name} stroke={meter.color} fill={meter.color} fillOpacity={0.25} />
+          </ComposedChart>
+        </ResponsiveContainer>
+        <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", gap:8, marginTop:10, fontSize:11, ...D.txt3(dark) }}>
+          <span>
+            {day}: <strong style={D.txt1(dark)}>{dayKwh} kWh</strong>. Profil {dates.length} dní ({dates[0]} – {dates[dates.length-1]}).
+          </span>
+          <button onClick={() => { if (confirm("Smazat importované průběhy? Měsíční záznamy zůstanou.")) onClear(); }} style={{
+            display:"flex", alignItems:"center", gap:4, fontSize:11, padding:"4px 10px", borderRadius:8, cursor:"pointer",
+            background:"transparent", border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`, color:"#f87171", whiteSpace:"nowrap",
+          }}><Trash2 size={12}/>Smazat průběhy</button>
+        </div>
+      </ChartCard>
+
+      <ChartCard title={`📅 Pracovní dny vs. víkend – ${meter.name} (kW)`} dark={dark}>
+        <div style={{ display:"flex", gap:8, marginBottom:12, alignItems:"center", fontSize:12, ...D.txt2(dark) }}>
+          <select style={inp({ cursor:"pointer" })} value={month} onChange={e => setMonth(e.target.value)}>
+            <option value="">Celé období</option>
+            {months.map(k => <option key={k} value={k}>{MONTHS_CZ[Number(k.slice(5))-1]} {k.slice(0, 4)}</option>)}
+          </select>
+          <span>{week.days.weekday} pracovních dní, {week.days.weekend} víkendových</span>
+        </div>
+        <ResponsiveContainer width="100%" height={220}>
+          <ComposedChart data={week.rows} margin={{ top:4, right:8, left:-14, bottom:2 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke={gr} />
+            {timeAxis}
+            <YAxis tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={40} />
+            <Tooltip content={<CustomTooltip dark={dark} unit="kW" />} />
+            <Legend wrapperStyle={{ fontSize:12, color: dark?"#7fa3c8":"#64748b" }} />
+            <Line type="monotone" dataKey="weekday" name="Pracovní den" stroke={meter.color} strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="weekend" name="Víkend" stroke="#a78bfa" strokeWidth={2} strokeDasharray="5 4" dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </ChartCard>
+
+      <ChartCard title={`📈 Špičkový odběr – ${meter.name} (kW)`} dark={dark}>
+        <ResponsiveContainer width="100%" height={220}>
+          <BarChart data={peaks.map(p => ({ ...p, label: `${MONTHS_CZ[p.month-1].slice(0, 3)} ${String(p.year).slice(2)}` }))}
+            margin={{ top:4, right:8, left:-14, bottom:2 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke={gr} vertical={false} />
+            <XAxis dataKey="label" tick={{ fill:ax, fontSize:11 }} axisLine={false} tickLine={false} />
+            <YAxis tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={40} />
+            <Tooltip content={<PeakTooltip dark={dark} />} />
+            <Bar dataKey="kw" name="Špička" fill="#f87171" radius={[4,4,0,0]} />
+          </BarChart>
+        </ResponsiveContainer>
+        <p style={{ ...D.txt3(dark), fontSize:11, margin:"8px 0 0" }}>
+          Nejvyšší čtvrthodinový průměrný výkon v měsíci. U hodinových dat jde o hodinový průměr.
+        </p>
+      </ChartCard>
+
+      {checks.length > 0 && (
+        <ChartCard title={`⚖️ Profil vs. odečty – ${meter.name} (kWh)`} dark={dark}>
+          <table style={{ width:"100%", borderCollapse:"collapse", fontSize:12 }}>
+            <thead>
+              <tr style={{ borderBottom:`1px solid ${dark?"var(--nb-border)":"#e2e8f0"}`, ...D.txt3(dark) }}>
+                <th style={{ ...cell, textAlign:"left" }}>Měsíc</th>
+                <th style={cell}>Profil</th>
+                <th style={cell}>Odečty</th>
+                <th style={cell}>Rozdíl</th>
+              </tr>
+            </thead>
+            <tbody>
+              {checks.map(c => (
+                <tr key={c.key} style={{ borderBottom:`1px solid ${dark?"var(--nb-border)":"#f8fafc"}`, ...D.txt1(dark) }}>
+                  <td style={{ ...cell, textAlign:"left", ...D.txt2(dark) }}>{MONTHS_CZ[c.month-1]} {c.year}</td>
+                  <td style={cell}>{c.profile.toFixed(1)}</td>
+                  <td style={cell}>{c.measured.toFixed(1)}</td>
+                  <td style={{ ...cell, color: c.diff == null ? undefined : Math.abs(c.diff) > 5 ? "#fbbf24" : "#34d399" }}>
+                    {c.diff == null ? "–" : `${c.diff > 0 ? "+" : ""}${c.diff.toFixed(1)} %`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p style={{ ...D.txt3(dark), fontSize:11, margin:"8px 0 0" }}>
+            Měsíce bez vlastního odečtu jsou doplněné z profilu. Větší rozdíl u ručních odečtů ukazuje na chybu odečtu
+            nebo na jiné měřidlo než u distributora.
+          </p>
+        </ChartCard>
+      )}
+    </>
+  );
+}
+
+// ─── Energy balance charts ────────────────────────────────────
+const BALANCE_COLORS = { selfUse: "#fbbf24", imported: "#38bdf8", exported: "#34d399", production: "#f59e0b", selfSufficiency: "#a78bfa" };
+const pct = v => v == null ? "–" : `${Math.round(v)} %`;
+
+// Month by month of one year: consumption split into own PV and grid, with
+// production, export and self-sufficiency on top
+function ProductionChart({ records, meters, dark }) {
+  const years = useMemo(() => [...new Set(records.map(r => r.year))].sort((a, b) => b - a), [records]);
+  const [year, setYear] = useState(null);
+  const shown = year ?? years[0];
+  const data = useMemo(() => sortAsc(records.filter(r => r.year === shown))
+    .map(r => ({ month: MONTHS_CZ[r.month-1].slice(0, 3), ...energyBalance(r, meters) })), [records, meters, shown]);
+  const ax = dark ? "#3f6080" : "#94a3b8";
+  const gr = dark ? "#15284a" : "#f1f5f9";
+  return (
+    <>
+      {years.length > 1 && (
+        <div style={{ display:"flex", gap:6, marginBottom:12, flexWrap:"wrap" }}>
+          {years.map(y => (
+            <button key={y} onClick={() => setYear(y)} style={{
+              padding:"4px 12px", borderRadius:999, fontSize:11, fontWeight:700,
+              border:"none", cursor:"pointer", transition:"all 0.15s",
+              background: shown === y ? "#0ea5e9" : dark ? "var(--nb-hover)" : "#f1f5f9",
+              color: shown === y ? "#fff" : dark ? "var(--nb-txt2)" : "#64748b",
+            }}>
+              {y}
+            </button>
+          ))}
+        </div>
+      )}
+      <ResponsiveContainer width="100%" height={240}>
+        <ComposedChart data={data} margin={{ top:4, right:0, left:-14, bottom:2 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke={gr} />
+          <XAxis dataKey="month" tick={{ fill:ax, fontSize:11 }} axisLine={false} tickLine={false} />
+          <YAxis yAxisId="kwh" tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={40} />
+          <YAxis yAxisId="pct" orientation="right" domain={[0, 100]} tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={36} />
+          <Tooltip content={<CustomTooltip dark={dark} units={{ selfSufficiency:"%" }} />} />
+          <Legend wrapperStyle={{ fontSize:12, color: dark?"#7fa3c8":"#64748b" }} />
+          <Bar yAxisId="kwh" dataKey="selfUse" name="Spotřeba z FVE" stackId="use" fill={BALANCE_COLORS.selfUse} />
+          <Bar yAxisId="kwh" dataKey="imported" name="Spotřeba ze sítě" stackId="use" fill={BALANCE_COLORS.imported} radius={[4,4,0,0]} />
+          <Line yAxisId="kwh" type="monotone" dataKey="production" name="Výroba" stroke={BALANCE_COLORS.production}
+            strokeWidth={2.5} dot={{ r:3, fill:BALANCE_COLORS.production }} activeDot={{ r:5 }} />
+          <Line yAxisId="kwh" type="monotone" dataKey="exported" name="Přetoky do sítě" stroke={BALANCE_COLORS.exported}
+            strokeWidth={2} strokeDasharray="5 4" dot={false} />
+          <Line yAxisId="pct" type="monotone" dataKey="selfSufficiency" name="Soběstačnost" stroke={BALANCE_COLORS.selfSufficiency}
+            strokeWidth={1.5} dot={{ r:2, fill:BALANCE_COLORS.selfSufficiency }} connectNulls />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </>
+  );
+}
+
+// Per year: what was used (own PV + grid) next to what was produced (used
+// at home + exported)
+function AnnualBalance({ records, meters, dark }) {
+  const years = useMemo(() => annualBalance(records, meters), [records, meters]);
+  const data = years.map(y => ({ ...y, year: String(y.year), pvSelf: y.selfUse }));
+  const ax = dark ? "#3f6080" : "#94a3b8";
+  const gr = dark ? "#15284a" : "#f1f5f9";
+  const fmt = v => Math.round(v).toLocaleString("cs-CZ");
+  const cell = { padding:"4px 6px", textAlign:"right", whiteSpace:"nowrap" };
+  return (
+    <>
+      <ResponsiveContainer width="100%" height={240}>
+        <BarChart data={data} margin={{ top:4, right:8, left:-14, bottom:2 }} barCategoryGap="20%" barGap={3}>
+          <CartesianGrid strokeDasharray="3 3" stroke={gr} vertical={false} />
+          <XAxis dataKey="year" tick={{ fill:ax, fontSize:12 }} axisLine={false} tickLine={false} />
+          <YAxis tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={40} />
+          <Tooltip content={<CustomTooltip dark={dark} />} />
+          <Legend wrapperStyle={{ fontSize:12, color: dark?"#7fa3c8":"#64748b" }} />
+          <Bar dataKey="selfUse" name="Spotřeba z FVE" stackId="use" fill={BALANCE_COLORS.selfUse} />
+          <Bar dataKey="imported" name="Spotřeba ze sítě" stackId="use" fill={BALANCE_COLORS.imported} radius={[4,4,0,0]} />
+          <Bar dataKey="pvSelf" name="Výroba spotřebovaná doma" stackId="pv" fill={BALANCE_COLORS.selfUse} fillOpacity={0.55} legendType="none" />
+          <Bar dataKey="exported" name="Přetoky do sítě" stackId="pv" fill={BALANCE_COLORS.exported} radius={[4,4,0,0]} />
+        </BarChart>
+      </ResponsiveContainer>
+      <div style={{ overflowX:"auto", marginTop:10 }}>
+        <table style={{ width:"100%", borderCollapse:"collapse", fontSize:12, ...D.txt2(dark) }}>
+          <thead>
+            <tr style={{ ...D.txt3(dark), borderBottom:`1px solid ${dark?"var(--nb-border)":"#e2e8f0"}` }}>
+              <th style={{ ...cell, textAlign:"left" }}>Rok</th>
+              <th style={cell}>Výroba</th>
+              <th style={cell}>Vlastní spotř.</th>
+              <th style={cell}>Přetoky</th>
+              <th style={cell}>Odběr ze sítě</th>
+              <th style={cell}>Spotřeba</th>
+              <th style={cell} title="Podíl spotřeby pokrytý vlastní výrobou">Soběstačnost</th>
+              <th style={cell} title="Podíl výroby spotřebovaný doma">Využití FVE</th>
+            </tr>
+          </thead>
+          <tbody>
+            {years.map(y => (
+              <tr key={y.year} style={{ borderBottom:`1px solid ${dark?"var(--nb-border)":"#f8fafc"}` }}>
+                <td style={{ ...cell, textAlign:"left", ...D.txt1(dark), fontWeight:700 }}>{y.year}{y.estimated && " ≈"}</td>
+                <td style={{ ...cell, color:BALANCE_COLORS.production, fontWeight:700 }}>{fmt(y.production)}</td>
+                <td style={cell}>{fmt(y.selfUse)}</td>
+                <td style={{ ...cell, color:BALANCE_COLORS.exported }}>{fmt(y.exported)}</td>
+                <td style={{ ...cell, color:BALANCE_COLORS.imported }}>{fmt(y.imported)}</td>
+                <td style={{ ...cell, ...D.txt1(dark), fontWeight:700 }}>{fmt(y.consumption)}</td>
+                <td style={{ ...cell, color:BALANCE_COLORS.selfSufficiency, fontWeight:700 }}>{pct(y.selfSufficiency)}</td>
+                <td style={cell}>{pct(y.selfUseRate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
+
+// ─── SpotChart ────────────────────────────────────────────────
+// Months under a spot tariff: what was paid against the fixed price, and the
+// consumption-weighted spot price against the plain monthly average
+function SpotChart({ records, dark }) {
+  const rows = records.filter(r => r.spotPrice != null);
+  const data = rows.map(r => ({ ...r, label: `${MONTHS_CZ[r.month-1].slice(0, 3)} ${String(r.year).slice(2)}` }));
+  const compared = rows.filter(r => r.compareCost != null);
+  const paid = compared.reduce((s, r) => s + r.totalCost, 0);
+  const fixed = compared.reduce((s, r) => s + r.compareCost, 0);
+  const ax = dark ? "#3f6080" : "#94a3b8";
+  const gr = dark ? "#15284a" : "#f1f5f9";
+  if (!rows.length) return (
+    <p style={{ ...D.txt2(dark), fontSize:13, margin:0 }}>
+      Žádný měsíc zatím není oceněný spotem. Přidejte v sekci Ceník spotový ceník platný pro měsíce s cenami.
+    </p>
+  );
+  return (
+    <>
+      <ResponsiveContainer width="100%" height={240}>
+        <ComposedChart data={data} margin={{ top:4, right:0, left:-6, bottom:2 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke={gr} />
+          <XAxis dataKey="label" tick={{ fill:ax, fontSize:11 }} axisLine={false} tickLine={false} />
+          <YAxis yAxisId="kc" tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={48} />
+          <YAxis yAxisId="price" orientation="right" tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={36} />
+          <Tooltip content={<CustomTooltip dark={dark} unit="Kč" units={{ spotPrice:"Kč/kWh", spotAvg:"Kč/kWh" }} />} />
+          <Legend wrapperStyle={{ fontSize:12, color: dark?"#7fa3c8":"#64748b" }} />
+          <Bar yAxisId="kc" dataKey="totalCost" name="Náklady se spotem" fill="#a78bfa" radius={[4,4,0,0]} />
+          {compared.length > 0 && (
+            <Bar yAxisId="kc" dataKey="compareCost" name="Při pevné ceně" fill="#a78bfa" fillOpacity={0.25}
+              stroke="#a78bfa" strokeDasharray="4 3" radius={[4,4,0,0]} />
+          )}
+          <Line yAxisId="price" type="monotone" dataKey="spotPrice" name="Vážená cena" stroke="#fbbf24"
+            strokeWidth={2.5} dot={{ r:3, fill:"#fbbf24" }} />
+          <Line yAxisId="price" type="monotone" dataKey="spotAvg" name="Průměr spotu" stroke="#fbbf24"
+            strokeWidth={1.5} strokeDasharray="5 4" dot={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+      {compared.length > 0 && (
+        <p style={{ ...D.txt2(dark), fontSize:12, margin:"10px 0 0" }}>
+          Za {compared.length} měs. se spotem <strong style={D.txt1(dark)}>{fmtKc(paid)}</strong>, při pevné ceně {fmtKc(fixed)} –{" "}
+          <strong style={{ color: paid <= fixed ? "#34d399" : "#f87171" }}>
+            {paid <= fixed ? "úspora" : "navíc"} {fmtKc(Math.abs(fixed - paid))}
+          </strong>.
+        </p>
+      )}
+    </>
+  );
+}
+
+// ─── PropertyComparison ───────────────────────────────────────
+// Yearly consumption of every property side by side, costs in the table
+function PropertyComparison({ entries, dark }) {
+  const data = useMemo(() => compareProperties(entries), [entries]);
+  const ax = dark ? "#3f6080" : "#94a3b8";
+  const gr = dark ? "#15284a" : "#f1f5f9";
+  const color = i => LINE_COLORS[i % LINE_COLORS.length];
+  const years = data.slice(-2);
+  const cell = { padding:"4px 6px", textAlign:"right", whiteSpace:"nowrap" };
+  const fmt = v => v == null ? "–" : Math.round(v).toLocaleString("cs-CZ");
+  return (
+    <>
+      <ResponsiveContainer width="100%" height={240}>
+        <BarChart data={data} margin={{ top:4, right:8, left:-14, bottom:2 }} barCategoryGap="20%" barGap={3}>
+          <CartesianGrid strokeDasharray="3 3" stroke={gr} vertical={false} />
+          <XAxis dataKey="year" tick={{ fill:ax, fontSize:12 }} axisLine={false} tickLine={false} />
+          <YAxis tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={44} />
+          <Tooltip content={<CustomTooltip dark={dark} />} />
+          <Legend wrapperStyle={{ fontSize:12, color: dark?"#7fa3c8":"#64748b" }} />
+          {entries.map(({ property }, i) => (
+            <Bar key={property.id} dataKey={property.id} name={`${property.icon} ${property.name}`} fill={color(i)} radius={[4,4,0,0]} />
+          ))}
+        </BarChart>
+      </ResponsiveContainer>
+      <div style={{ overflowX:"auto", marginTop:10 }}>
+        <table style={{ width:"100%", borderCollapse:"collapse", fontSize:12, ...D.txt2(dark) }}>
+          <thead>
+            <tr style={{ ...D.txt3(dark), borderBottom:`1px solid ${dark?"var(--nb-border)":"#e2e8f0"}` }}>
+              <th style={{ ...cell, textAlign:"left" }}>Nemovitost</th>
+              {years.flatMap(y => [
+                <th key={y.year} style={cell}>{y.year} kWh</th>,
+                <th key={`${y.year}Cost`} style={cell}>{y.year} Kč</th>,
+              ])}
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(({ property }, i) => (
+              <tr key={property.id} style={{ borderBottom:`1px solid ${dark?"var(--nb-border)":"#f8fafc"}` }}>
+                <td style={{ ...cell, textAlign:"left", color:color(i), fontWeight:700 }}>{property.icon} {property.name}</td>
+                {years.flatMap(y => [
+                  <td key={y.year} style={{ ...cell, ...D.txt1(dark), fontWeight:700 }}>{fmt(y[property.id])}</td>,
+                  <td key={`${y.year}Cost`} style={{ ...cell, color:"#a78bfa" }}>{fmt(y[`${property.id}Cost`])}</td>,
+                ])}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p style={{ ...D.txt3(dark), fontSize:11, margin:"8px 0 0" }}>
+        Ostatní nemovitosti podle dat naposledy uložených v tomto zařízení.
+      </p>
+    </>
+  );
+}
+
+// ─── ForecastSummary ──────────────────────────────────────────
+// Actual year-to-date next to the projected year total and its band
+function ForecastSummary({ forecast, meters, dark }) {
+  const fmt = v => Math.round(v).toLocaleString("cs-CZ");
+  const line = (key, label, color, t, unit, strong) => (
+    <div key={key} style={{ display:"flex", justifyContent:"space-between", gap:8, flexWrap:"wrap", marginBottom:3 }}>
+      <span style={{ color, fontWeight: strong ? 700 : 600 }}>{label}</span>
+      <span style={D.txt2(dark)}>
+        {fmt(t.actual)} → <strong style={D.txt1(dark)}>≈ {fmt(t.projected)} {unit}</strong>
+        <span style={{ ...D.txt3(dark), fontSize:11 }}> ({fmt(t.low)}–{fmt(t.high)})</span>
+      </span>
+    </div>
+  );
+  return (
+    <div style={{ ...D.inner(dark), borderRadius:10, padding:"8px 12px", marginTop:12, fontSize:12 }}>
+      <p style={{ ...D.txt3(dark), margin:"0 0 6px", fontSize:11 }}>
+        Prognóza {forecast.year}: zatím → odhad za celý rok (rozpětí), zbývá {forecast.months.length} měs.
+      </p>
+      {meters.map(m => line(m.id, `${m.icon} ${m.name}`, m.color, forecast.totals[m.id], m.unit))}
+      {line("total", "∑ Celkem", dark ? "var(--nb-txt1)" : "#1e293b", forecast.totals.total, "kWh", true)}
+      {forecast.cost && line("cost", "💰 Náklady", "#a78bfa", forecast.cost, "Kč", true)}
+    </div>
+  );
+}
+
+// ─── ChartsView ───────────────────────────────────────────────
+function ChartsView({ records, meters, anomalies, forecast, weather, onClearWeather, intervals, onClearIntervals, spot, onClearSpot, properties = null, dark }) {
+  const kwhMeters = useMemo(() => meters.filter(isUsage), [meters]);
+  const annual   = useMemo(() => prepareAnnualData(records, meters, forecast), [records, meters, forecast]);
+  const annualCost = useMemo(() => prepareAnnualCost(records, meters, forecast), [records, meters, forecast]);
+  // Years in the month comparisons – the last two until the user picks
+  const dataYears = useMemo(() => [...new Set(records.map(r => String(r.year)))].sort(), [records]);
+  const [pickedYears, setPickedYears] = useState(null);
+  const shownYears = useMemo(() => {
+    const picked = pickedYears?.filter(y => dataYears.includes(y));
+    return picked?.length ? picked : dataYears.slice(-2);
+  }, [pickedYears, dataYears]);
+  // At least one year stays shown
+  const toggleYear = y => setPickedYears(!shownYears.includes(y) ? [...shownYears, y].sort()
+    : shownYears.length > 1 ? shownYears.filter(x => x !== y) : shownYears);
+  const yearColor = y => LINE_COLORS[dataYears.indexOf(y) % LINE_COLORS.length];
+  const [showAvg, setShowAvg] = useState(false);
+  const [showBand, setShowBand] = useState(false);
+  const hasPrev = dataYears[0] < shownYears[shownYears.length - 1];
+
+  // Year to date for one kWh meter or all of them (null)
+  const [cumMeterId, setCumMeterId] = useState(null);
+  const cumMeter = kwhMeters.find(m => m.id === cumMeterId) ?? null;
+  const cumulative = useMemo(() => prepareCumulative(records, cumMeter, shownYears), [records, cumMeter, shownYears]);
+  // Newest shown year against the one before it, at the same month
+  const ytd = useMemo(() => {
+    const [prev, cur] = shownYears.slice(-2);
+    const i = cur ? cumulative.findLastIndex(r => r[cur] != null) : -1;
+    const row = cumulative[i];
+    return prev && row?.[prev] ? { prev, cur, month: i, diff: (row[cur] - row[prev]) / row[prev] * 100 } : null;
+  }, [cumulative, shownYears]);
+  const rolling = useMemo(() => prepareRolling(records, meters), [records, meters]);
+
+  // Weather: degree days per month and a consumption model per meter
+  const hdd = useMemo(() => degreeDays(weather), [weather]);
+  const models = useMemo(() => Object.fromEntries(meters.map(m => [m.id, weatherModel(records, m, hdd)])), [records, meters, hdd]);
+  const modelled = meters.filter(m => models[m.id]);
+  const [normalised, setNormalised] = useState(false);
+  const [weatherMeterId, setWeatherMeterId] = useState(null);
+  const weatherMeter = modelled.find(m => m.id === weatherMeterId) ?? modelled.find(m => models[m.id].usable) ?? modelled[0];
+  const weatherDays = Object.keys(weather).sort();
+  const isNormalised = m => normalised && !!models[m.id]?.usable;
+  const spotDays = Object.keys(spot).sort();
+
+  // Normalised lines leave out the anomaly rings and the forecast – both
+  // belong to the measured values
+  const monthly  = useMemo(() => {
+    const rows = normalised ? normaliseRows(records, meters, models, hdd) : records;
+    return Object.fromEntries(meters.map(m => [m.id, normalised
+      ? prepareMonthly(rows, m, [], null, shownYears)
+      : prepareMonthly(rows, m, anomalies, forecast, shownYears)]));
+  }, [records, meters, anomalies, forecast, normalised, models, hdd, shownYears]);
+
+  // Year filter for debug card
+  const allYearsInData = useMemo(() => [...new Set(records.map(r => r.year))].sort((a,b) => b-a), [records]);
+  const [debugYear, setDebugYear] = useState(() => {
+    const currentYear = new Date().getFullYear();
+    return allYearsInData.includes(currentYear) ? currentYear : (allYearsInData[0] || currentYear);
+  });
+
+  // Auto-update debug year when new year starts
+  useEffect(() => {
+    const currentYear = new Date().getFullYear();
+    if (currentYear !== debugYear && allYearsInData.includes(currentYear)) {
+      setDebugYear(currentYear);
+    }
+  }, [allYearsInData, debugYear]);
+
+  const ax = dark ? "#3f6080" : "#94a3b8";
+  const gr = dark ? "#15284a" : "#f1f5f9";
+
+  if (!records.length) return (
+    <div style={{ ...D.card(dark), borderRadius:16, height:240, display:"flex", flexDirection:"column", alignItems:"center", justifyContent:"center", gap:12 }}>
+      <BarChart2 size={44} style={D.txt3(dark)} />
+      <p style={D.txt2(dark)}>Nejsou k dispozici žádná data pro zobrazení grafů.</p>
+    </div>
+  );
+
+  return (
+    <div style={{ display:"grid", gridTemplateColumns:"repeat(1, 1fr)", gap:16 }} className="lg:grid-cols-2-custom">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <ChartCard title="Roční spotřeba celkem (kWh)" dark={dark}>
+          <ResponsiveContainer width="100%" height={260}>
+            <BarChart data={annual} margin={{ top:32, right:8, left:-14, bottom:2 }} barCategoryGap="20%" barGap={3}>
+              <CartesianGrid strokeDasharray="3 3" stroke={gr} vertical={false} />
+              <XAxis dataKey="year" tick={{ fill:ax, fontSize:12 }} axisLine={false} tickLine={false} />
+              <YAxis tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={40} />
+              <Tooltip content={<CustomTooltip dark={dark} />} />
+              <Legend wrapperStyle={{ fontSize:12, color: dark?"#7fa3c8":"#64748b" }} />
+              {kwhMeters.flatMap((m, i) => [
+                <Bar key={m.id} dataKey={m.id} name={m.name} stackId={m.id} fill={m.color} />,
+                // Estimated part of the year, stacked on top of the measured one
+                <Bar key={estKey(m.id)} dataKey={estKey(m.id)} name={`${m.name} (odhad)`} stackId={m.id}
+                  fill={m.color} fillOpacity={0.35} stroke={m.color} strokeDasharray="4 3" legendType="none" />,
+                // Forecast for the rest of the current year
+                <Bar key={fcKey(m.id)} dataKey={fcKey(m.id)} name={`${m.name} (prognóza)`} stackId={m.id}
+                  fill={m.color} fillOpacity={0.1} stroke={m.color} strokeOpacity={0.6} strokeDasharray="2 3" legendType="none" radius={[4,4,0,0]}>
+                  {/* Total sum above entire group */}
+                  {i === kwhMeters.length - 1 && (
+                    <LabelList dataKey="total" position="top"
+                      style={{ fill: dark?"#dce9f8":"#1e293b", fontSize:13, fontWeight:800 }}
+                      formatter={v => v > 0 ? Math.round(v) : ""}
+                      offset={8}
+                    />
+                  )}
+                </Bar>,
+              ])}
+            </BarChart>
+          </ResponsiveContainer>
+          {forecast && <ForecastSummary forecast={forecast} meters={kwhMeters} dark={dark}/>}
+        </ChartCard>
+
+        {properties && (
+          <ChartCard title="🏘️ Porovnání nemovitostí (kWh)" dark={dark}>
+            <PropertyComparison entries={properties} dark={dark} />
+          </ChartCard>
+        )}
+
+        {hasPv(meters) && (
+          <ChartCard title="☀️ Roční energetická bilance (kWh)" dark={dark}>
+            <AnnualBalance records={records} meters={meters} dark={dark} />
+          </ChartCard>
+        )}
+
+        <ChartCard title="Roční náklady (Kč)" dark={dark}>
+          {annualCost.length ? (
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={annualCost} margin={{ top:32, right:8, left:0, bottom:2 }} barCategoryGap="20%">
+                <CartesianGrid strokeDasharray="3 3" stroke={gr} vertical={false} />
+                <XAxis dataKey="year" tick={{ fill:ax, fontSize:12 }} axisLine={false} tickLine={false} />
+                <YAxis tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={52} />
+                <Tooltip content={<CustomTooltip dark={dark} unit="Kč" />} />
+                <Legend wrapperStyle={{ fontSize:12, color: dark?"#7fa3c8":"#64748b" }} />
+                {kwhMeters.map(m => (
+                  <Bar key={m.id} dataKey={m.id} name={m.name} stackId="c" fill={m.color} />
+                ))}
+                <Bar dataKey="fixed" name="Stálé platby" stackId="c" fill="#a78bfa" />
+                <Bar dataKey={fcKey("total")} name="Prognóza do konce roku" stackId="c" fill="#a78bfa" fillOpacity={0.1}
+                  stroke="#a78bfa" strokeOpacity={0.6} strokeDasharray="2 3" legendType="none" radius={[4,4,0,0]}>
+                  <LabelList dataKey="total" position="top"
+                    style={{ fill: dark?"#dce9f8":"#1e293b", fontSize:13, fontWeight:800 }}
+                    formatter={v => v > 0 ? Math.round(v).toLocaleString("cs-CZ") : ""}
+                    offset={8}
+                  />
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          ) : (
+            <p style={{ ...D.txt2(dark), fontSize:13, margin:0 }}>
+              Pro zaznamenaná období není zadán žádný ceník. Přidejte ho v sekci Ceník.
+            </p>
+          )}
+        </ChartCard>
+
+        {/* Debug: Show breakdown for selected year */}
+        <ChartCard title={`🔍 Kontrola součtů (${debugYear})`} dark={dark}>
+          <div style={{ fontSize:12, ...D.txt2(dark) }}>
+            {/* Year filter buttons */}
+            {allYearsInData.length > 1 && (
+              <div style={{ display:"flex", gap:6, marginBottom:12, flexWrap:"wrap" }}>
+                {allYearsInData.map(y => (
+                  <button key={y} onClick={() => setDebugYear(y)} style={{
+                    padding:"4px 12px", borderRadius:999, fontSize:11, fontWeight:700,
+                    border:"none", cursor:"pointer", transition:"all 0.15s",
+                    background: debugYear === y ? "#0ea5e9" : dark ? "var(--nb-hover)" : "#f1f5f9",
+                    color: debugYear === y ? "#fff" : dark ? "var(--nb-txt2)" : "#64748b",
+                    boxShadow: debugYear === y ? "0 2px 8px rgba(14,165,233,0.3)" : "none",
+                  }}>
+                    {y}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {(() => {
+              const yearRecords = records.filter(r => r.year === debugYear).sort((a,b) => a.month - b.month);
+              if (yearRecords.length === 0) return <p>Žádná data pro rok {debugYear}</p>;
+
+              const sums = Object.fromEntries(meters.map(m => [m.id, yearRecords.reduce((s,r) => s + (r[consField(m)]||0), 0)]));
+              const sumTotal = kwhMeters.reduce((s,m) => s + sums[m.id], 0);
+
+              return (
+                <div>
+                  <div style={{ marginBottom:12, padding:8, background: dark?"var(--nb-input)":"#f8fafc", borderRadius:8 }}>
+                    {meters.map(m => (
+                      <div key={m.id} style={{ display:"flex", justifyContent:"space-between", marginBottom:4 }}>
+                        <span style={{ color:m.color }}>{m.icon} {m.name}:</span>
+                        <strong style={{ color:m.color }}>{Math.round(sums[m.id])} {m.unit}</strong>
+                      </div>
+                    ))}
+                    <div style={{ borderTop:`1px solid ${dark?"var(--nb-border)":"#e2e8f0"}`, paddingTop:8, marginTop:8, display:"flex", justifyContent:"space-between" }}>
+                      <span style={{ fontWeight:700 }}>∑ Celkem:</span>
+                      <strong style={D.txt1(dark)}>{Math.round(sumTotal)} kWh</strong>
+                    </div>
+                  </div>
+
+                  <div style={{ maxHeight:140, overflowY:"auto", fontSize:11 }}>
+                    <table style={{ width:"100%", borderCollapse:"collapse" }}>
+                      <thead style={{ position:"sticky", top:0, background: dark?"var(--nb-card)":"#fff" }}>
+                        <tr style={{ borderBottom:`1px solid ${dark?"var(--nb-border)":"#e2e8f0"}` }}>
+                          <th style={{ textAlign:"left", padding:"4px 0", ...D.txt3(dark) }}>Měsíc</th>
+                          {meters.map(m => (
+                            <th key={m.id} style={{ textAlign:"right", padding:"4px 0", color:m.color }}>{m.icon}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {yearRecords.map(r => (
+                          <tr key={r.id} style={{ borderBottom:`1px solid ${dark?"var(--nb-border)":"#f8fafc"}` }}>
+                            <td style={{ padding:"4px 0", ...D.txt2(dark) }}>{MONTHS_CZ[r.month-1]}</td>
+                            {meters.map(m => (
+                              <td key={m.id} style={{ textAlign:"right", padding:"4px 0", ...D.txt1(dark) }}>{r[consField(m)]||0}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              );
+            })()}
+          </div>
+        </ChartCard>
+
+        {hasPv(meters) && (
+          <ChartCard title="☀️ Výroba vs. spotřeba (kWh)" dark={dark}>
+            <ProductionChart records={records} meters={meters} dark={dark} />
+          </ChartCard>
+        )}
+
+        {weatherDays.length > 0 && (
+          <ChartCard title="🌡️ Spotřeba vs. denostupně" dark={dark}>
+            <div style={{ display:"flex", gap:6, marginBottom:12, flexWrap:"wrap", alignItems:"center" }}>
+              {modelled.map(m => (
+                <button key={m.id} onClick={() => setWeatherMeterId(m.id)} style={{
+                  padding:"4px 12px", borderRadius:999, fontSize:11, fontWeight:700,
+                  border:"none", cursor:"pointer", transition:"all 0.15s",
+                  background: weatherMeter?.id === m.id ? m.color : dark ? "var(--nb-hover)" : "#f1f5f9",
+                  color: weatherMeter?.id === m.id ? "#fff" : dark ? "var(--nb-txt2)" : "#64748b",
+                }}>
+                  {m.icon} {m.name}
+                </button>
+              ))}
+              <label style={{ display:"flex", alignItems:"center", gap:6, fontSize:12, marginLeft:"auto", cursor:"pointer", ...D.txt2(dark) }}>
+                <input type="checkbox" checked={normalised} onChange={e => setNormalised(e.target.checked)}/>
+                Očistit o počasí
+              </label>
+            </div>
+            {weatherMeter ? (
+              <>
+                <WeatherChart model={models[weatherMeter.id]} meter={weatherMeter} dark={dark} />
+                <div style={{ display:"flex", flexWrap:"wrap", gap:"4px 16px", fontSize:12, marginTop:10, ...D.txt2(dark) }}>
+                  <span>
+                    Spotřeba ≈ <strong style={D.txt1(dark)}>{models[weatherMeter.id].a.toFixed(0)} + {models[weatherMeter.id].b.toFixed(2)} × D</strong> {weatherMeter.unit}
+                  </span>
+                  <span>R² = <strong style={D.txt1(dark)}>{models[weatherMeter.id].r2.toFixed(2)}</strong></span>
+                  <span>{models[weatherMeter.id].n} měsíců</span>
+                </div>
+                {!models[weatherMeter.id].usable && (
+                  <p style={{ color:"#fbbf24", fontSize:12, margin:"6px 0 0" }}>
+                    Spotřeba na počasí téměř nezávisí – při očištění zůstává beze změny.
+                  </p>
+                )}
+              </>
+            ) : (
+              <p style={{ ...D.txt2(dark), fontSize:13, margin:0 }}>
+                Teploty pokrývají méně než {WEATHER.minMonths} změřených měsíců – na výpočet závislosti to nestačí.
+              </p>
+            )}
+            <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", gap:8, marginTop:10, fontSize:11, ...D.txt3(dark) }}>
+              <span>
+                Teploty {weatherDays.length} dní ({weatherDays[0]} – {weatherDays[weatherDays.length-1]}).
+                D = Σ ({HDD.indoor} − t) za dny pod {HDD.limit} °C.
+              </span>
+              <button onClick={() => { if (confirm("Smazat importované teploty?")) { setNormalised(false); onClearWeather(); } }} style={{
+                display:"flex", alignItems:"center", gap:4, fontSize:11, padding:"4px 10px", borderRadius:8, cursor:"pointer",
+                background:"transparent", border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`, color:"#f87171", whiteSpace:"nowrap",
+              }}><Trash2 size={12}/>Smazat teploty</button>
+            </div>
+          </ChartCard>
+        )}
+
+        {spotDays.length > 0 && (
+          <ChartCard title="💹 Spotová cena vs. pevná cena" dark={dark}>
+            <SpotChart records={records} dark={dark} />
+            <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", gap:8, marginTop:10, fontSize:11, ...D.txt3(dark) }}>
+              <span>
+                Spotové ceny {spotDays.length} dní ({spotDays[0]} – {spotDays[spotDays.length-1]}). Vážená cena podle
+                průběhového měření, bez něj průměr měsíce.
+              </span>
+              <button onClick={() => { if (confirm("Smazat importované spotové ceny?")) onClearSpot(); }} style={{
+                display:"flex", alignItems:"center", gap:4, fontSize:11, padding:"4px 10px", borderRadius:8, cursor:"pointer",
+                background:"transparent", border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`, color:"#f87171", whiteSpace:"nowrap",
+              }}><Trash2 size={12}/>Smazat ceny</button>
+            </div>
+          </ChartCard>
+        )}
+
+        {meters.some(m => intervals[m.id]) && (
+          <IntervalCards profile={intervals} meters={meters} rows={records} onClear={onClearIntervals} dark={dark} />
+        )}
+
+        <div className="lg:col-span-2" style={{ ...D.card(dark), borderRadius:16, padding:"12px 20px",
+          display:"flex", gap:6, flexWrap:"wrap", alignItems:"center" }}>
+          <span style={{ ...D.txt3(dark), fontSize:11, fontWeight:700, textTransform:"uppercase", letterSpacing:"0.1em", marginRight:6 }}>
+            Porovnání měsíců
+          </span>
+          {dataYears.map(y => {
+            const on = shownYears.includes(y);
+            return (
+              <button key={y} onClick={() => toggleYear(y)} style={{
+                padding:"4px 12px", borderRadius:999, fontSize:11, fontWeight:700,
+                border:"none", cursor:"pointer", transition:"all 0.15s",
+                background: on ? yearColor(y) : dark ? "var(--nb-hover)" : "#f1f5f9",
+                color: on ? "#fff" : dark ? "var(--nb-txt2)" : "#64748b",
+              }}>
+                {y}
+              </button>
+            );
+          })}
+          {hasPrev && (
+            <div style={{ display:"flex", gap:12, marginLeft:"auto", fontSize:12, ...D.txt2(dark) }}>
+              <label style={{ display:"flex", alignItems:"center", gap:6, cursor:"pointer" }}>
+                <input type="checkbox" checked={showAvg} onChange={e => setShowAvg(e.target.checked)}/>
+                Průměr předchozích let
+              </label>
+              <label style={{ display:"flex", alignItems:"center", gap:6, cursor:"pointer" }}>
+                <input type="checkbox" checked={showBand} onChange={e => setShowBand(e.target.checked)}/>
+                Rozpětí min–max
+              </label>
+            </div>
+          )}
+        </div>
+
+        <ChartCard title={`📈 Kumulativně od začátku roku – ${cumMeter ? cumMeter.name : "celkem"} (kWh)`} dark={dark}>
+          <div style={{ display:"flex", gap:6, marginBottom:12, flexWrap:"wrap" }}>
+            {[null, ...kwhMeters].map(m => {
+              const on = (m?.id ?? null) === (cumMeter?.id ?? null);
+              return (
+                <button key={m?.id ?? "total"} onClick={() => setCumMeterId(m?.id ?? null)} style={{
+                  padding:"4px 12px", borderRadius:999, fontSize:11, fontWeight:700,
+                  border:"none", cursor:"pointer", transition:"all 0.15s",
+                  background: on ? (m?.color ?? "#0ea5e9") : dark ? "var(--nb-hover)" : "#f1f5f9",
+                  color: on ? "#fff" : dark ? "var(--nb-txt2)" : "#64748b",
+                }}>
+                  {m ? `${m.icon} ${m.name}` : "∑ Celkem"}
+                </button>
+              );
+            })}
+          </div>
+          <MonthLines data={cumulative} years={shownYears} color={yearColor} unit="kWh" dark={dark} />
+          {ytd && (
+            <p style={{ ...D.txt2(dark), fontSize:12, margin:"8px 0 0" }}>
+              {ytd.cur} ({MONTHS_CZ[0].toLowerCase()}{ytd.month ? `–${MONTHS_CZ[ytd.month].toLowerCase()}` : ""}): <strong style={{ color: ytd.diff > 0 ? "#f87171" : "#34d399" }}>
+                {ytd.diff > 0 ? "+" : ""}{ytd.diff.toFixed(1)} %</strong> oproti stejnému období {ytd.prev}
+            </p>
+          )}
+        </ChartCard>
+
+        {rolling.length > 0 && (
+          <ChartCard title="🔁 Klouzavý součet za 12 měsíců (kWh)" dark={dark}>
+            <ResponsiveContainer width="100%" height={260}>
+              <ComposedChart data={rolling} margin={{ top:4, right:8, left:-4, bottom:2 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={gr} />
+                <XAxis dataKey="label" tick={{ fill:ax, fontSize:11 }} axisLine={false} tickLine={false} minTickGap={16} />
+                <YAxis tick={{ fill:ax, fontSize:10 }} axisLine={false} tickLine={false} width={50} />
+                <Tooltip content={<CustomTooltip dark={dark} />} />
+                <Legend wrapperStyle={{ fontSize:12, color: dark?"#7fa3c8":"#64748b" }} />
+                {kwhMeters.map(m => (
+                  <Line key={m.id} type="monotone" dataKey={m.id} name={m.name} stroke={m.color} strokeWidth={2} dot={false} />
+                ))}
+                <Line type="monotone" dataKey="total" name="∑ Celkem" stroke={dark ? "#e2e8f0" : "#1e293b"} strokeWidth={2.5} dot={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+            <p style={{ ...D.txt3(dark), fontSize:11, margin:"8px 0 0" }}>
+              Každý bod je spotřeba za posledních 12 měsíců – sezónnost se vyruší a je vidět dlouhodobý trend.
+            </p>
+          </ChartCard>
+        )}
+
+        {meters.map(m => (
+          <ChartCard key={m.id} title={`${m.name} – porovnání měsíců${isNormalised(m) ? " (očištěno o počasí)" : ""}`} dark={dark}>
+            <MonthLines data={monthly[m.id]} years={shownYears} color={yearColor} unit={m.unit}
+              showAvg={showAvg && hasPrev} showBand={showBand && hasPrev} dark={dark} />
+          </ChartCard>
+        ))}
+
+        {kwhMeters.filter(m => m.vehicle).map(m => (
+          <ChartCard key={`${m.id}-eff`} title={`${m.name} – efektivita (kWh/100 km)`} dark={dark}>
+            <EfficiencyChart records={records} meter={m} dark={dark} />
+          </ChartCard>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ─── InputForm ────────────────────────────────────────────────
+const BLANK = (meters) => {
+  const f = { year: CURRENT_YEAR, month: new Date().getMonth() + 1, readingDate: "" };
+  meters.forEach(m => {
+    if (m.type === "direct") f[consField(m)] = "";
+    else { f[stateField(m)] = ""; f[overrideField(m)] = null; }
+    if (m.vehicle) f[odometerField(m)] = "";
+  });
+  return f;
+};
+
+function InputForm({ records, meters, onSave, editRecord, onCancelEdit, dark }) {
+  const [form, setForm] = useState(() => BLANK(meters));
+  const [override, setOverride] = useState({});
+  const [saved, setSaved] = useState(null);
+
+  useEffect(() => {
+    if (editRecord) {
+      const f = { ...BLANK(meters), year:editRecord.year, month:editRecord.month, readingDate:editRecord.readingDate || "" };
+      const ov = {};
+      meters.forEach(m => {
+        if (m.type === "direct") f[consField(m)] = editRecord[consField(m)] ?? "";
+        else {
+          f[stateField(m)] = editRecord[stateField(m)] ?? "";
+          if (hasOverride(editRecord, m)) { f[overrideField(m)] = editRecord[overrideField(m)]; ov[m.id] = true; }
+        }
+        if (m.vehicle) f[odometerField(m)] = editRecord[odometerField(m)] ?? "";
+      });
+      setForm(f); setOverride(ov);
+    } else { setForm(BLANK(meters)); setOverride({}); }
+  }, [editRecord, meters]);
+
+  const preview = useMemo(() => {
+    const byMeter = {};
+    let total = 0;
+    meters.forEach(m => {
+      if (m.type === "direct") {
+        byMeter[m.id] = { value: Number(form[consField(m)]) || 0 };
+      } else {
+        const detail = meterConsumption(records, m, form.year, form.month, form[stateField(m)], editRecord?.id);
+        const ov = form[overrideField(m)];
+        const base = getPreviousReading(records, form.year, form.month, m, editRecord?.id);
+        byMeter[m.id] = { ...detail, base, value: ov != null ? Number(ov) : detail.value };
+      }
+      if (m.vehicle) {
+        const prev = getPreviousRecord(records.filter(r => r[odometerField(m)] != null), form.year, form.month, editRecord?.id);
+        byMeter[m.id].odometer = prev?.[odometerField(m)] ?? null;
+      }
+      if (isUsage(m)) total += byMeter[m.id].value;
+    });
+    return { byMeter, total };
+  }, [form, records, meters, editRecord]);
+
+  const set = (k,v) => setForm(f => ({ ...f, [k]:v }));
+
+  // The reading date decides the record's month; picking another month drops a date outside it
+  const setPeriod = (k,v) => setForm(f => {
+    const next = { ...f, [k]:v };
+    if (next.readingDate && !next.readingDate.startsWith(ymKey(next.year, next.month))) next.readingDate = "";
+    return next;
+  });
+  const setReadingDate = (v) => setForm(f => v
+    ? { ...f, readingDate:v, year:Number(v.slice(0,4)), month:Number(v.slice(5,7)) }
+    : { ...f, readingDate:"" });
+
+  const toggleOverride = (m) => {
+    if (override[m.id]) set(overrideField(m), null);
+    setOverride(o => ({ ...o, [m.id]:!o[m.id] }));
+  };
+
+  const handleSave = async () => {
+    if (meters.every(m => !form[m.type === "direct" ? consField(m) : stateField(m)] && !(m.vehicle && form[odometerField(m)]))) return;
+    const res = await onSave(form);
+    if (res?.cancelled) return;
+    setForm(BLANK(meters)); setOverride({});
+    setSaved(res?.merged ? "merged" : "saved");
+    setTimeout(() => setSaved(null), 2500);
+  };
+
+  // Input/select common styles — inline for reliable dark-mode text rendering
+  const inp = (extra = {}) => inputStyle(dark, extra);
+
+  const isMerge = !editRecord && records.some(r => r.year===form.year && r.month===form.month);
+
+  return (
+    <div style={{ ...D.card(dark), borderRadius:18, padding:"20px 20px 20px", marginBottom:16 }}>
+      {/* Header */}
+      <div style={{ display:"flex", alignItems:"flex-start", justifyContent:"space-between", marginBottom:16 }}>
+        <div>
+          <h2 style={{ ...D.txt1(dark), margin:0, fontSize:15, fontWeight:700 }}>
+            {editRecord ? "✏️ Upravit záznam" : "➕ Přidat / doplnit záznam"}
+          </h2>
+          {isMerge && (
+            <p style={{ margin:"4px 0 0", fontSize:12, color:"#fbbf24" }}>
+              ⚡ Záznam pro {MONTHS_CZ[form.month-1]} {form.year} existuje — data budou sloučena.
+            </p>
+          )}
+        </div>
+        {editRecord && (
+          <button onClick={onCancelEdit} style={{
+            fontSize:12, padding:"6px 12px", borderRadius:8, cursor:"pointer",
+            background:"transparent", color: dark?"var(--nb-txt2)":"#64748b",
+            border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+          }}>Zrušit</button>
+        )}
+      </div>
+
+      {/* Year / Month / reading date row */}
+      <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr 1.2fr", gap:12, marginBottom:16 }}>
+        <div>
+          <FieldLabel dark={dark}>Rok</FieldLabel>
+          <select style={inp({ cursor:"pointer" })} value={form.year} onChange={e=>setPeriod("year",Number(e.target.value))}>
+            {yearOptions(records, form.year).map(y => <option key={y} value={y}>{y}</option>)}
+          </select>
+        </div>
+        <div>
+          <FieldLabel dark={dark}>Měsíc</FieldLabel>
+          <select style={inp({ cursor:"pointer" })} value={form.month} onChange={e=>setPeriod("month",Number(e.target.value))}>
+            {MONTHS_CZ.map((m,i) => <option key={i+1} value={i+1}>{m}</option>)}
+          </select>
+        </div>
+        <div>
+          <FieldLabel dark={dark}>Datum odečtu</FieldLabel>
+          <input type="date" style={inp()} value={form.readingDate} onChange={e=>setReadingDate(e.target.value)}
+            title="Nevyplněno = konec měsíce. Spotřeba se rozpočítá do kalendářních měsíců podle dnů." />
+        </div>
+      </div>
+
+      {/* Meter cards — single col on mobile, 3 col on md+ */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3" style={{ marginBottom:14 }}>
+        {meters.map(m => (
+          <div key={m.id} style={{ ...D.inner(dark), borderRadius:14, padding:14 }}>
+            <div style={{ display:"flex", alignItems:"center", gap:8, marginBottom:10 }}>
+              <span style={{ fontSize:20 }}>{m.icon}</span>
+              <span style={{ ...D.txt1(dark), fontWeight:600, fontSize:14 }}>{m.name}</span>
+            </div>
+            {m.type === "direct" ? (
+              <>
+                <FieldLabel dark={dark}>Spotřeba ({m.unit})</FieldLabel>
+                <input type="number" placeholder="" style={inp()} value={form[consField(m)] ?? ""} onChange={e=>set(consField(m),e.target.value)} />
+                <p style={{ ...D.txt3(dark), fontSize:12, margin:"8px 0 0" }}>Přímý vstup spotřeby</p>
+              </>
+            ) : (
+              <>
+                <FieldLabel dark={dark}>{METER_TYPES.cumulative}</FieldLabel>
+                <input type="number" placeholder="" style={inp()} value={form[stateField(m)] ?? ""} onChange={e=>set(stateField(m),e.target.value)} />
+                <p style={{ ...D.txt2(dark), fontSize:12, margin:"6px 0 0" }}>
+                  {preview.byMeter[m.id].changes.length > 0 && <span title="Výměna měřidla v tomto období">🔄 </span>}
+                  {preview.byMeter[m.id].rollover && <span title="Přetečení počítadla">↻ </span>}
+                  {preview.byMeter[m.id].base != null ? `Předch.: ${preview.byMeter[m.id].base} → ` : "Bez předch. → "}
+                  <span style={{ color:m.color, fontWeight:700 }}>{preview.byMeter[m.id].value} {m.unit}</span>
+                </p>
+                <button style={{ ...D.txt3(dark), fontSize:12, background:"none", border:"none", cursor:"pointer", padding:"6px 0 2px", textDecoration:"underline" }}
+                  onClick={() => toggleOverride(m)}>
+                  {override[m.id] ? "Skrýt ruční přepis" : "Zadat spotřebu ručně"}
+                </button>
+                {override[m.id] && (
+                  <input type="number" placeholder="" style={{ ...inp(), marginTop:8 }}
+                    value={form[overrideField(m)]??""} onChange={e=>set(overrideField(m), e.target.value!==""?e.target.value:null)} />
+                )}
+              </>
+            )}
+            {m.vehicle && (
+              <div style={{ marginTop:10 }}>
+                <FieldLabel dark={dark}>Tachometr (km)</FieldLabel>
+                <input type="number" placeholder="nepovinné" style={inp()} value={form[odometerField(m)] ?? ""} onChange={e=>set(odometerField(m),e.target.value)} />
+                {preview.byMeter[m.id].odometer != null && (
+                  <p style={{ ...D.txt3(dark), fontSize:12, margin:"6px 0 0" }}>
+                    Předch.: {preview.byMeter[m.id].odometer} km
+                    {form[odometerField(m)] !== "" && Number(form[odometerField(m)]) > preview.byMeter[m.id].odometer &&
+                      ` → ${Number(form[odometerField(m)]) - preview.byMeter[m.id].odometer} km`}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Preview strip */}
+      <div style={{ ...D.inner(dark), borderRadius:12, padding:"10px 16px", marginBottom:16,
+        display:"flex", flexWrap:"wrap", alignItems:"center", gap:16, fontSize:13 }}>
+        <span style={D.txt2(dark)}>Náhled:</span>
+        {meters.map(m => (
+          <span key={m.id} style={{ color:m.color, fontWeight:600 }}>{m.icon} {preview.byMeter[m.id].value} {m.unit}</span>
+        ))}
+        <span style={{ ...D.txt1(dark), fontWeight:700 }}>∑ {preview.total} kWh</span>
+      </div>
+
+      {/* Save button — full width on mobile */}
+      <button onClick={handleSave} style={{
+        display:"flex", alignItems:"center", justifyContent:"center", gap:8,
+        padding:"11px 24px", borderRadius:12, border:"none", cursor:"pointer",
+        fontWeight:700, fontSize:14, width:"100%", maxWidth:220,
+        background: saved==="merged" ? "#f59e0b" : saved==="saved" ? "#10b981" : "#0ea5e9",
+        color:"#fff", boxShadow: saved ? "none" : "0 4px 16px rgba(14,165,233,0.3)",
+        transition:"background 0.2s",
+      }}>
+        {saved==="merged" ? <><Check size={16}/>Sloučeno!</>
+         :saved==="saved"  ? <><Check size={16}/>Uloženo!</>
+         :editRecord       ? <><Check size={16}/>Uložit změny</>
+         :                   <><Plus  size={16}/>Uložit záznam</>}
+      </button>
+    </div>
+  );
+}
+
+// ─── RecalcDialog ─────────────────────────────────────────────
+// Confirms a write whose recalculation changes other months
+function RecalcDialog({ plan, onConfirm, onCancel, dark }) {
+  return (
+    <div onClick={onCancel} style={{ position:"fixed", inset:0, zIndex:60, background:"rgba(2,8,18,0.65)",
+      display:"flex", alignItems:"center", justifyContent:"center", padding:16 }}>
+      <div onClick={e => e.stopPropagation()} style={{ ...D.card(dark), borderRadius:18, padding:20,
+        width:"100%", maxWidth:520, maxHeight:"80vh", display:"flex", flexDirection:"column",
+        boxShadow:"0 16px 48px rgba(0,0,0,0.4)" }}>
+        <h2 style={{ ...D.txt1(dark), margin:"0 0 4px", fontSize:15, fontWeight:700 }}>🔁 Přepočet navazujících měsíců</h2>
+        <p style={{ ...D.txt2(dark), margin:"0 0 14px", fontSize:13 }}>
+          {plan.removed
+            ? `Smazání záznamu ${MONTHS_CZ[plan.removed.month-1]} ${plan.removed.year} změní spotřebu v těchto měsících:`
+            : "Uložení změní spotřebu v těchto měsících (ručně zadané hodnoty zůstávají):"}
+        </p>
+        <div style={{ overflowY:"auto", marginBottom:16 }}>
+          {plan.affected.map(({ record, fields }) => (
+            <div key={record.id} style={{ ...D.inner(dark), borderRadius:10, padding:"8px 12px", marginBottom:6, fontSize:13 }}>
+              <span style={{ ...D.txt1(dark), fontWeight:700 }}>{MONTHS_CZ[record.month-1]} {record.year}</span>
+              {fields.map(f => (
+                <div key={f.meter.id} style={{ display:"flex", justifyContent:"space-between", gap:8, ...D.txt2(dark) }}>
+                  <span style={{ color:f.meter.color }}>{f.meter.icon} {f.meter.name}</span>
+                  <span>{f.before} → <strong style={D.txt1(dark)}>{f.after}</strong> {f.meter.unit}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+        <div style={{ display:"flex", gap:8, justifyContent:"flex-end" }}>
+          <button onClick={onCancel} style={{
+            fontSize:13, padding:"9px 16px", borderRadius:10, cursor:"pointer", background:"transparent",
+            border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`, ...D.txt2(dark),
+          }}>Zrušit</button>
+          <button onClick={onConfirm} style={{
+            display:"flex", alignItems:"center", gap:6, fontSize:13, padding:"9px 16px", borderRadius:10,
+            border:"none", cursor:"pointer", fontWeight:700, background:"#0ea5e9", color:"#fff",
+          }}><Check size={14}/>{plan.removed ? "Smazat a přepočítat" : "Uložit a přepočítat"}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── CsvMappingDialog ─────────────────────────────────────────
+// Shared frame of the CSV imports: delimiter, decimal mark, header row and a
+// target per column. Each import brings its defaults, targets and parser;
+// `parse` turns the data rows into a result with an `errors` count,
+// `preview` shows it, `ready` decides whether it can be imported.
+const looksLikeData = c => c.trim() !== "" &&
+  (Number.isFinite(parseCzNumber(c, ",")) || !!parseCzDate(c) || !!parsePeriod(c) || !!parseMonth(c));
+
+// Options of a freshly opened file. Without a header the columns are taken
+// by position from `fallback`; `extra` adds import-specific options.
+function csvOptions(text, delimiter, guess, fallback = [], extra = () => ({})) {
+  const rows = parseCsv(text, delimiter);
+  const hasHeader = rows.length > 0 && !rows[0].some(looksLikeData);
+  const header = hasHeader ? rows[0] : null;
+  const data = rows.slice(hasHeader ? 1 : 0);
+  const mapping = header ? guess(header) : (rows[0] ?? []).map((_, i) => fallback[i] ?? "");
+  return {
+    delimiter, hasHeader, mapping,
+    decimal: detectDecimal(data, delimiter),
+    ...extra({ header, data, mapping }),
+  };
+}
+
+function CsvMappingDialog({ title, intro, text, fileName, defaults, targets, parse, preview, ready, importLabel,
+  onImport, options = null, decimalSample = "1 234,5", maxWidth = 640, columnWidth = 180, onCancel, dark }) {
+  const [opts, setOpts] = useState(() => defaults());
+  const rows = useMemo(() => parseCsv(text, opts.delimiter), [text, opts.delimiter]);
+  const dataRows = useMemo(() => opts.hasHeader ? rows.slice(1) : rows, [rows, opts.hasHeader]);
+  const columns = Math.max(0, ...rows.map(r => r.length));
+  const result = useMemo(() => parse(dataRows, opts), [parse, dataRows, opts]);
+  const ok = ready(result, opts);
+
+  const set = (k, v) => setOpts(o => ({ ...o, [k]: v }));
+  const setColumn = (col, key) => setOpts(o => ({
+    ...o, mapping: Array.from({ length: columns }, (_, i) => i === col ? key : o.mapping[i] === key ? "" : o.mapping[i] ?? ""),
+  }));
+  const inp = (extra = {}) => inputStyle(dark, { padding:"7px 10px", fontSize:13, ...extra });
+  const check = (k, label) => (
+    <label style={{ display:"flex", alignItems:"center", gap:6, fontSize:13, paddingBottom:8, cursor:"pointer", ...D.txt2(dark) }}>
+      <input type="checkbox" checked={opts[k]} onChange={e => set(k, e.target.checked)}/>
+      {label}
+    </label>
+  );
+
+  return (
+    <div onClick={onCancel} style={{ position:"fixed", inset:0, zIndex:60, background:"rgba(2,8,18,0.65)",
+      display:"flex", alignItems:"center", justifyContent:"center", padding:16 }}>
+      <div onClick={e => e.stopPropagation()} style={{ ...D.card(dark), borderRadius:18, padding:20,
+        width:"100%", maxWidth, maxHeight:"90vh", display:"flex", flexDirection:"column",
+        boxShadow:"0 16px 48px rgba(0,0,0,0.4)" }}>
+        <h2 style={{ ...D.txt1(dark), margin:"0 0 4px", fontSize:15, fontWeight:700 }}>{title}</h2>
+        <p style={{ ...D.txt3(dark), margin:"0 0 14px", fontSize:12 }}>
+          {fileName} · {dataRows.length} řádků. {intro}
+        </p>
+
+        <div style={{ overflowY:"auto", marginBottom:14 }}>
+          <div style={{ display:"flex", gap:12, flexWrap:"wrap", alignItems:"flex-end", marginBottom:14 }}>
+            <div>
+              <FieldLabel dark={dark}>Oddělovač</FieldLabel>
+              <select style={inp({ width:140, cursor:"pointer" })} value={opts.delimiter}
+                onChange={e => setOpts(defaults(e.target.value))}>
+                {Object.entries(CSV_DELIMITERS).map(([d, label]) => <option key={d} value={d}>{label}</option>)}
+              </select>
+            </div>
+            <div>
+              <FieldLabel dark={dark}>Desetinná čárka</FieldLabel>
+              <select style={inp({ width:140, cursor:"pointer" })} value={opts.decimal} onChange={e => set("decimal", e.target.value)}>
+                <option value=",">{decimalSample}</option>
+                <option value=".">{decimalSample.replace(/\s/g, "").replace(",", ".")}</option>
+              </select>
+            </div>
+            {options?.({ opts, set, inp, check })}
+            {check("hasHeader", "První řádek je záhlaví")}
+          </div>
+
+          <FieldLabel dark={dark}>Přiřazení sloupců</FieldLabel>
+          <div style={{ display:"grid", gridTemplateColumns:`repeat(auto-fill, minmax(${columnWidth}px, 1fr))`, gap:8, marginBottom:16 }}>
+            {Array.from({ length: columns }, (_, i) => (
+              <div key={i} style={{ ...D.inner(dark), borderRadius:10, padding:"8px 10px" }}>
+                <div style={{ ...D.txt1(dark), fontSize:12, fontWeight:700, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>
+                  {opts.hasHeader && rows[0][i] ? rows[0][i] : `Sloupec ${i + 1}`}
+                </div>
+                <div style={{ ...D.txt3(dark), fontSize:11, marginBottom:6, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>
+                  např. {dataRows[0]?.[i] || "—"}
+                </div>
+                <select style={inp({ cursor:"pointer" })} value={opts.mapping[i] ?? ""} onChange={e => setColumn(i, e.target.value)}>
+                  <option value="">— nepoužít —</option>
+                  {targets.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {preview(result, opts, ok)}
+        </div>
+
+        <div style={{ display:"flex", gap:8, justifyContent:"flex-end", alignItems:"center", flexWrap:"wrap" }}>
+          {ok && result.errors > 0 && (
+            <span style={{ color:"#fbbf24", fontSize:12, marginRight:"auto" }}>
+              Chybné řádky ({result.errors}) se přeskočí.
+            </span>
+          )}
+          <button onClick={onCancel} style={{
+            fontSize:13, padding:"9px 16px", borderRadius:10, cursor:"pointer", background:"transparent",
+            border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`, ...D.txt2(dark),
+          }}>Zrušit</button>
+          <button onClick={() => onImport(result)} disabled={!ok} style={{
+            display:"flex", alignItems:"center", gap:6, fontSize:13, padding:"9px 16px", borderRadius:10,
+            border:"none", cursor: ok ? "pointer" : "default", fontWeight:700,
+            background:"#0ea5e9", color:"#fff", opacity: ok ? 1 : 0.5,
+          }}><Upload size={14}/>Importovat {importLabel(result)}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Summary line under the column mapping of the imports without a row preview
+function ImportSummary({ dark, children }) {
+  return (
+    <div style={{ ...D.inner(dark), borderRadius:10, padding:"8px 12px", fontSize:13, ...D.txt2(dark) }}>
+      {children}
+    </div>
+  );
+}
+
+// ─── CsvImportDialog ──────────────────────────────────────────
+// Maps CSV columns to fields and previews the parsed rows before import
+const csvImportDefaults = (text, meters, delimiter = detectDelimiter(text)) =>
+  csvOptions(text, delimiter, header => guessMapping(header, meters));
+
+// → { rows, valid, errors }
+function parseCsvImport(dataRows, opts, meters) {
+  const rows = parseCsvRows(dataRows, opts, meters);
+  const valid = rows.filter(p => !p.error);
+  return { rows, valid, errors: rows.length - valid.length };
+}
+
+function CsvImportDialog({ text, fileName, meters, onImport, onCancel, dark }) {
+  const targets = csvTargets(meters);
+  const cell = { padding:"5px 8px", fontSize:12, borderBottom:`1px solid ${dark?"var(--nb-border)":"#f1f5f9"}`, whiteSpace:"nowrap" };
+
+  return (
+    <CsvMappingDialog title="📄 Import odečtů z CSV" text={text} fileName={fileName} dark={dark}
+      intro="Měsíce, které už existují, se doplní stejně jako při ručním zadání."
+      maxWidth={760} columnWidth={200} targets={targets}
+      defaults={delimiter => csvImportDefaults(text, meters, delimiter)}
+      parse={(rows, opts) => parseCsvImport(rows, opts, meters)}
+      ready={r => r.valid.length > 0}
+      importLabel={r => `${r.valid.length} řádků`}
+      onImport={r => onImport(r.valid.map(p => p.fd))} onCancel={onCancel}
+      preview={({ rows }, opts) => {
+        const mapped = targets.filter(t => t.meter && opts.mapping.includes(t.key));
+        return (
+          <>
+            <FieldLabel dark={dark}>Náhled</FieldLabel>
+            <div style={{ overflowX:"auto" }}>
+              <table style={{ width:"100%", borderCollapse:"collapse" }}>
+                <thead>
+                  <tr style={D.txt3(dark)}>
+                    <th style={{ ...cell, textAlign:"left" }}>Řádek</th>
+                    <th style={{ ...cell, textAlign:"left" }}>Období</th>
+                    <th style={{ ...cell, textAlign:"left" }}>Datum odečtu</th>
+                    {mapped.map(t => <th key={t.key} style={{ ...cell, textAlign:"right", color:t.meter.color }}>{t.label}</th>)}
+                    <th style={{ ...cell, textAlign:"left" }}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.slice(0, 100).map(p => (
+                    <tr key={p.line} style={{ ...D.txt1(dark), opacity: p.error ? 0.6 : 1 }}>
+                      <td style={cell}>{p.line}</td>
+                      <td style={cell}>{p.fd.year && p.fd.month ? `${MONTHS_CZ[p.fd.month-1]} ${p.fd.year}` : "—"}</td>
+                      <td style={cell}>{p.fd.readingDate ?? ""}</td>
+                      {mapped.map(t => <td key={t.key} style={{ ...cell, textAlign:"right" }}>{p.fd[t.key] ?? ""}</td>)}
+                      <td style={{ ...cell, color: p.error ? "#f87171" : "#34d399" }}>{p.error ?? "✓"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {rows.length > 100 && <p style={{ ...D.txt3(dark), fontSize:12 }}>… a dalších {rows.length - 100} řádků</p>}
+            </div>
+          </>
+        );
+      }}/>
+  );
+}
+
+// ─── WeatherImportDialog ──────────────────────────────────────
+// Daily temperatures from a CSV – one row per day, or several (averaged)
+const weatherImportDefaults = (text, delimiter = detectDelimiter(text)) =>
+  csvOptions(text, delimiter, guessWeatherMapping, ["date", "temp"]);
+
+const weatherDates = days => Object.keys(days).sort();
+
+function WeatherImportDialog({ text, fileName, onImport, onCancel, dark }) {
+  return (
+    <CsvMappingDialog title="🌡️ Import denních teplot z CSV" text={text} fileName={fileName} dark={dark}
+      intro="Průměrné denní teploty, např. export z meteostanice. Více hodnot za den se zprůměruje, už importované dny se přepíší."
+      decimalSample="-1,5" targets={WEATHER_TARGETS}
+      defaults={delimiter => weatherImportDefaults(text, delimiter)}
+      parse={parseWeatherRows}
+      ready={({ days }, opts) => {
+        const hasDate = opts.mapping.includes("date") || ["year", "month", "day"].every(k => opts.mapping.includes(k));
+        return weatherDates(days).length > 0 && hasDate && opts.mapping.includes("temp");
+      }}
+      importLabel={({ days }) => `${weatherDates(days).length} dní`}
+      onImport={({ days }) => onImport(days)} onCancel={onCancel}
+      preview={({ days }, _opts, ready) => {
+        const dates = weatherDates(days);
+        return (
+          <ImportSummary dark={dark}>
+            {ready ? (
+              <>
+                <strong style={D.txt1(dark)}>{dates.length} dní</strong> ({dates[0]} – {dates[dates.length-1]}),
+                z toho {Object.keys(degreeDays(days)).length} úplných měsíců pro výpočet denostupňů.
+              </>
+            ) : "Přiřaďte sloupec s datem (nebo rok, měsíc a den) a sloupec s teplotou."}
+          </ImportSummary>
+        );
+      }}/>
+  );
+}
+
+// ─── IntervalImportDialog ─────────────────────────────────────
+// 15-minute or hourly load profile exported from the distributor's portal
+function intervalImportDefaults(text, meters, delimiter = detectDelimiter(text)) {
+  const load = meters.find(isUsage);
+  return csvOptions(text, delimiter, header => guessIntervalMapping(header, meters),
+    ["datetime", load ? consField(load) : ""],
+    ({ header, data, mapping }) => ({
+      unit: header?.some(h => /\bkw\b/.test(plain(h))) ? "kw" : "kwh",
+      end: stampsAtEnd(data, mapping),
+    }));
+}
+
+const profileDates = (profile, meters) =>
+  [...new Set(meters.filter(m => profile[m.id]).flatMap(m => Object.keys(profile[m.id])))].sort();
+
+function IntervalImportDialog({ text, fileName, meters, onImport, onCancel, dark }) {
+  const targets = useMemo(() => intervalTargets(meters), [meters]);
+
+  return (
+    <CsvMappingDialog title="⏱️ Import průběhového měření z CSV" text={text} fileName={fileName} dark={dark}
+      intro={"Čtvrthodinová nebo hodinová data z portálu distributora. Úplné měsíce bez vlastního odečtu se doplní " +
+        "do záznamů, ruční odečty zůstanou a jen se porovnají s profilem."}
+      decimalSample="0,25" targets={targets}
+      defaults={delimiter => intervalImportDefaults(text, meters, delimiter)}
+      parse={(rows, opts) => parseIntervalRows(rows, opts, meters)}
+      ready={({ profile }, opts) => profileDates(profile, meters).length > 0 && hasTimeColumns(opts.mapping)}
+      importLabel={({ profile }) => `${profileDates(profile, meters).length} dní`}
+      onImport={({ profile }) => onImport(profile)} onCancel={onCancel}
+      options={({ opts, set, inp, check }) => (
+        <>
+          <div>
+            <FieldLabel dark={dark}>Hodnoty</FieldLabel>
+            <select style={inp({ width:180, cursor:"pointer" })} value={opts.unit} onChange={e => set("unit", e.target.value)}>
+              {Object.entries(INTERVAL_UNITS).map(([u, label]) => <option key={u} value={u}>{label}</option>)}
+            </select>
+          </div>
+          {check("end", "Čas označuje konec intervalu")}
+        </>
+      )}
+      preview={({ profile, step }, _opts, ready) => {
+        const found = meters.filter(m => profile[m.id]);
+        const dates = profileDates(profile, meters);
+        const months = new Set(found.flatMap(m => Object.keys(intervalMonths(profile[m.id])))).size;
+        return (
+          <ImportSummary dark={dark}>
+            {ready ? (
+              <>
+                <strong style={D.txt1(dark)}>{dates.length} dní</strong> ({dates[0]} – {dates[dates.length-1]}) po {step} min
+                pro {found.map(m => `${m.icon} ${m.name}`).join(", ")}, z toho {months} úplných měsíců.
+              </>
+            ) : !validStep(step)
+              ? `Interval ${step} min není podporovaný – očekává se 15, 30 nebo 60 minut.`
+              : "Přiřaďte sloupec s datem a časem (nebo zvlášť datum a čas) a aspoň jeden sloupec měřidla."}
+          </ImportSummary>
+        );
+      }}/>
+  );
+}
+
+// ─── SpotImportDialog ─────────────────────────────────────────
+// Hourly or quarter-hourly spot prices, e.g. the OTE day-ahead market export
+const spotImportDefaults = (text, delimiter = detectDelimiter(text)) =>
+  csvOptions(text, delimiter, guessSpotMapping, ["datetime", "price"], ({ header, data, mapping }) => {
+    const priceHeader = plain(header?.[mapping.indexOf("price")] ?? "");
+    return {
+      unit: /eur/.test(priceHeader) ? "eur" : /kwh/.test(priceHeader) ? "kwh" : "mwh",
+      rate: SPOT.eurRate,
+      end: stampsAtEnd(data, mapping),
+    };
+  });
+
+function SpotImportDialog({ text, fileName, onImport, onCancel, dark }) {
+  return (
+    <CsvMappingDialog title="💹 Import spotových cen z CSV" text={text} fileName={fileName} dark={dark}
+      intro="Hodinové nebo čtvrthodinové ceny bez DPH, např. export OTE. Už importované dny se přepíší."
+      decimalSample="2 150,5" targets={SPOT_TARGETS}
+      defaults={delimiter => spotImportDefaults(text, delimiter)}
+      parse={parseSpotRows}
+      ready={({ prices }, opts) => Object.keys(prices).length > 0 && hasTimeColumns(opts.mapping) && opts.mapping.includes("price")}
+      importLabel={({ prices }) => `${Object.keys(prices).length} dní`}
+      onImport={({ prices }) => onImport(prices)} onCancel={onCancel}
+      options={({ opts, set, inp, check }) => (
+        <>
+          <div>
+            <FieldLabel dark={dark}>Jednotka ceny</FieldLabel>
+            <select style={inp({ width:140, cursor:"pointer" })} value={opts.unit} onChange={e => set("unit", e.target.value)}>
+              {Object.entries(SPOT_UNITS).map(([u, label]) => <option key={u} value={u}>{label}</option>)}
+            </select>
+          </div>
+          {opts.unit === "eur" && (
+            <div>
+              <FieldLabel dark={dark}>Kurz (Kč/EUR)</FieldLabel>
+              <input type="number" step="0.01" style={inp({ width:100 })} value={opts.rate} onChange={e => set("rate", e.target.value)} />
+            </div>
+          )}
+          {check("end", "Čas označuje konec intervalu")}
+        </>
+      )}
+      preview={({ prices, step }, _opts, ready) => {
+        const dates = Object.keys(prices).sort();
+        const all = dates.flatMap(d => prices[d].filter(p => p != null));
+        return (
+          <ImportSummary dark={dark}>
+            {ready ? (
+              <>
+                <strong style={D.txt1(dark)}>{dates.length} dní</strong> ({dates[0]} – {dates[dates.length-1]}) po {step} min,
+                průměr <strong style={D.txt1(dark)}>{(all.reduce((s, p) => s + p, 0) / all.length).toFixed(2)} Kč/kWh</strong>.
+              </>
+            ) : !validStep(step)
+              ? `Interval ${step} min není podporovaný – očekává se 15, 30 nebo 60 minut.`
+              : "Přiřaďte sloupec s datem a časem (nebo datum a hodinu) a sloupec s cenou."}
+          </ImportSummary>
+        );
+      }}/>
+  );
+}
+
+// ─── ConflictDialog ───────────────────────────────────────────
+// A write the sheet refused because the record changed elsewhere meanwhile
+function conflictFields(meters) {
+  return [
+    { key: "period", label: "Období", get: r => `${MONTHS_CZ[r.month-1]} ${r.year}` },
+    { key: "readingDate", label: "Datum odečtu", get: r => r.readingDate || "" },
+    ...meters.flatMap(m => [
+      ...(m.type === "direct" ? [] : [{ key: stateField(m), label: `${m.icon} ${m.name} – stav`, get: r => r[stateField(m)] ?? "" }]),
+      { key: consField(m), label: `${m.icon} ${m.name} – spotřeba`, get: r => r[consField(m)] ?? "" },
+      ...(m.vehicle ? [{ key: odometerField(m), label: `${m.icon} ${m.name} – tachometr`, get: r => r[odometerField(m)] ?? "" }] : []),
+    ]),
+  ];
+}
+
+function ConflictDialog({ conflict, local, remaining, meters, onResolve, dark }) {
+  const { server } = conflict;
+  const fields = conflictFields(meters);
+  const message = !server
+    ? "Záznam byl mezitím v tabulce smazán."
+    : !local
+      ? "Záznam jste smazali, ale v tabulce byl mezitím změněn."
+      : server.id !== conflict.id
+        ? "Pro tento měsíc už v tabulce existuje jiný záznam."
+        : "Záznam byl mezitím změněn na jiném zařízení.";
+  const cell = { padding:"5px 8px", fontSize:12, borderBottom:`1px solid ${dark?"var(--nb-border)":"#f1f5f9"}` };
+  const btn = { fontSize:13, padding:"9px 16px", borderRadius:10, cursor:"pointer", fontWeight:700 };
+
+  return (
+    <div style={{ position:"fixed", inset:0, zIndex:60, background:"rgba(2,8,18,0.65)",
+      display:"flex", alignItems:"center", justifyContent:"center", padding:16 }}>
+      <div style={{ ...D.card(dark), borderRadius:18, padding:20, width:"100%", maxWidth:560, maxHeight:"80vh",
+        display:"flex", flexDirection:"column", boxShadow:"0 16px 48px rgba(0,0,0,0.4)" }}>
+        <h2 style={{ ...D.txt1(dark), margin:"0 0 4px", fontSize:15, fontWeight:700 }}>
+          ⚠️ Konflikt při synchronizaci{remaining > 1 && ` (1 z ${remaining})`}
+        </h2>
+        <p style={{ ...D.txt2(dark), margin:"0 0 14px", fontSize:13 }}>
+          {message}
+          {server?.updatedAt && ` Verze v tabulce ${server.rev} z ${new Date(server.updatedAt).toLocaleString("cs-CZ")}.`}
+        </p>
+        <div style={{ overflowY:"auto", marginBottom:16 }}>
+          <table style={{ width:"100%", borderCollapse:"collapse" }}>
+            <thead>
+              <tr style={D.txt3(dark)}>
+                <th style={{ ...cell, textAlign:"left" }}></th>
+                <th style={{ ...cell, textAlign:"right" }}>Moje verze</th>
+                <th style={{ ...cell, textAlign:"right" }}>V tabulce</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map(f => {
+                const mine = local ? String(f.get(local)) : "—";
+                const theirs = server ? String(f.get(server)) : "—";
+                const differs = mine !== theirs;
+                return (
+                  <tr key={f.key} style={differs ? { background: dark?"rgba(251,191,36,0.08)":"#fffbeb" } : undefined}>
+                    <td style={{ ...cell, ...D.txt2(dark) }}>{f.label}</td>
+                    <td style={{ ...cell, ...D.txt1(dark), textAlign:"right", fontWeight: differs ? 700 : 400 }}>{mine}</td>
+                    <td style={{ ...cell, ...D.txt1(dark), textAlign:"right", fontWeight: differs ? 700 : 400 }}>{theirs}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <div style={{ display:"flex", gap:8, justifyContent:"flex-end", flexWrap:"wrap" }}>
+          <button onClick={() => onResolve(false)} style={{
+            ...btn, background:"transparent", border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`, ...D.txt2(dark),
+          }}>{server ? "Převzít z tabulky" : "Smazat i u mě"}</button>
+          <button onClick={() => onResolve(true)} style={{ ...btn, border:"none", background:"#0ea5e9", color:"#fff" }}>
+            {local ? "Ponechat moji verzi" : "Smazat i v tabulce"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── JsonImportDialog ─────────────────────────────────────────
+// Validation result and diff of a JSON backup before it is applied
+function changedFields(before, after, meters) {
+  return conflictFields(meters)
+    .map(f => ({ label: f.label, before: String(f.get(before)), after: String(f.get(after)) }))
+    .filter(f => f.before !== f.after);
+}
+
+function JsonImportDialog({ data, fileName, records, meters, property, onImport, onCancel, dark }) {
+  const [mode, setMode] = useState("merge");
+  const [overwrite, setOverwrite] = useState(false);
+  const { records: incoming, errors } = useMemo(() => validateImport(data, meters), [data, meters]);
+  const diff = useMemo(() => importDiff(records, incoming), [records, incoming]);
+  const label = r => `${MONTHS_CZ[r.month-1]} ${r.year}`;
+  const canImport = incoming.length > 0;
+
+  const section = (title, color, items) => items.length > 0 && (
+    <div style={{ marginBottom:12 }}>
+      <p style={{ color, fontSize:12, fontWeight:700, margin:"0 0 6px" }}>{title} ({items.length})</p>
+      {items}
+    </div>
+  );
+  const item = (key, head, lines = []) => (
+    <div key={key} style={{ ...D.inner(dark), borderRadius:10, padding:"6px 12px", marginBottom:4, fontSize:12 }}>
+      <span style={{ ...D.txt1(dark), fontWeight:700 }}>{head}</span>
+      {lines.map((l, i) => (
+        <div key={i} style={{ display:"flex", justifyContent:"space-between", gap:8, ...D.txt2(dark) }}>
+          <span>{l.label}</span><span>{l.before || "—"} → <strong style={D.txt1(dark)}>{l.after || "—"}</strong></span>
+        </div>
+      ))}
+    </div>
+  );
+  const modeBtn = (value, text) => (
+    <button onClick={() => setMode(value)} style={{
+      flex:1, padding:"8px 12px", borderRadius:10, cursor:"pointer", fontSize:13, fontWeight:700,
+      border: mode === value ? "1px solid #0ea5e9" : `1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+      background: mode === value ? "rgba(14,165,233,0.15)" : "transparent",
+      color: mode === value ? "#38bdf8" : dark?"var(--nb-txt2)":"#64748b",
+    }}>{text}</button>
+  );
+
+  return (
+    <div onClick={onCancel} style={{ position:"fixed", inset:0, zIndex:60, background:"rgba(2,8,18,0.65)",
+      display:"flex", alignItems:"center", justifyContent:"center", padding:16 }}>
+      <div onClick={e => e.stopPropagation()} style={{ ...D.card(dark), borderRadius:18, padding:20,
+        width:"100%", maxWidth:560, maxHeight:"85vh", display:"flex", flexDirection:"column",
+        boxShadow:"0 16px 48px rgba(0,0,0,0.4)" }}>
+        <h2 style={{ ...D.txt1(dark), margin:"0 0 4px", fontSize:15, fontWeight:700 }}>📥 Import zálohy</h2>
+        <p style={{ ...D.txt3(dark), margin:"0 0 14px", fontSize:12 }}>
+          {fileName} · platných záznamů {incoming.length}. Před importem se uloží záloha – import lze vrátit v menu.
+        </p>
+        {data?.property?.id && data.property.id !== property.id && (
+          <p style={{ color:"#fbbf24", fontSize:13, margin:"0 0 12px" }}>
+            ⚠️ Záloha pochází z nemovitosti „{data.property.name}“ – importuje se do „{property.name}“.
+          </p>
+        )}
+
+        <div style={{ display:"flex", gap:8, marginBottom:10 }}>
+          {modeBtn("merge", "Sloučit s daty")}
+          {modeBtn("replace", "Nahradit vše")}
+        </div>
+        {mode === "merge" && diff.conflicts.length > 0 && (
+          <label style={{ display:"flex", alignItems:"center", gap:6, fontSize:13, marginBottom:10, cursor:"pointer", ...D.txt2(dark) }}>
+            <input type="checkbox" checked={overwrite} onChange={e => setOverwrite(e.target.checked)}/>
+            Konfliktní měsíce přepsat záznamy ze souboru
+          </label>
+        )}
+
+        <div style={{ overflowY:"auto", marginBottom:16 }}>
+          {section("Neplatné záznamy – přeskočí se", "#f87171", errors.map((e, i) =>
+            item(`e${i}`, e.index == null ? e.message : `#${e.index + 1}${e.id ? ` (${e.id})` : ""}: ${e.message}`)))}
+          {section("Nové", "#34d399", diff.added.map(r => item(r.id, label(r))))}
+          {section("Změněné", "#38bdf8", diff.changed.map(c => item(c.after.id, label(c.after), changedFields(c.before, c.after, meters))))}
+          {mode === "merge" && section(overwrite ? "Konflikty – přepíší se" : "Konflikty – ponechá se stávající záznam", "#fbbf24",
+            diff.conflicts.map(c => item(c.incoming.id, label(c.incoming), changedFields(c.current, c.incoming, meters))))}
+          {mode === "replace" && section("Odeberou se", "#f87171", diff.removed.map(r => item(r.id, label(r))))}
+          {diff.unchanged > 0 && <p style={{ ...D.txt3(dark), fontSize:12, margin:0 }}>Beze změny: {diff.unchanged}</p>}
+        </div>
+
+        <div style={{ display:"flex", gap:8, justifyContent:"flex-end" }}>
+          <button onClick={onCancel} style={{
+            fontSize:13, padding:"9px 16px", borderRadius:10, cursor:"pointer", background:"transparent",
+            border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`, ...D.txt2(dark),
+          }}>Zrušit</button>
+          <button onClick={() => onImport(incoming, { mode, overwrite })} disabled={!canImport} style={{
+            display:"flex", alignItems:"center", gap:6, fontSize:13, padding:"9px 16px", borderRadius:10,
+            border:"none", cursor: canImport ? "pointer" : "default", fontWeight:700, opacity: canImport ? 1 : 0.5,
+            background: mode === "replace" ? "#ef4444" : "#0ea5e9", color:"#fff",
+          }}><Upload size={14}/>{mode === "replace" ? "Nahradit data" : "Sloučit"}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── AnomalyCard ──────────────────────────────────────────────
+// "Upozornění" – newest flagged months first, the rest behind a toggle
+function AnomalyBadge({ items }) {
+  if (!items?.length) return null;
+  const { color } = ANOMALY_KINDS[items[0].kind];
+  return (
+    <span title={items.map(a => `${ANOMALY_KINDS[a.kind].label}: ${anomalyText(a)}`).join("\n")}
+      style={{ marginLeft:4, fontSize:10, fontWeight:800, padding:"1px 5px", borderRadius:999, cursor:"help",
+        background:`${color}26`, color }}>⚠</span>
+  );
+}
+
+function AnomalyCard({ anomalies, dark }) {
+  const [showAll, setShowAll] = useState(false);
+  if (!anomalies.length) return null;
+  const newest = [...anomalies].reverse();
+  const shown = showAll ? newest : newest.slice(0, 5);
+  return (
+    <div style={{ ...D.card(dark), borderRadius:18, padding:"14px 20px", marginBottom:16 }}>
+      <div style={{ display:"flex", alignItems:"center", gap:8, marginBottom:10 }}>
+        <AlertCircle size={16} style={{ color:"#fbbf24" }}/>
+        <h2 style={{ ...D.txt1(dark), margin:0, fontSize:15, fontWeight:700 }}>Upozornění</h2>
+        <span style={{ ...D.txt3(dark), fontSize:12 }}>{anomalies.length}</span>
+      </div>
+      {shown.map(a => {
+        const kind = ANOMALY_KINDS[a.kind];
+        return (
+          <div key={a.key} style={{ display:"flex", alignItems:"center", flexWrap:"wrap", gap:"2px 10px", fontSize:13, padding:"5px 0",
+            borderTop:`1px solid ${dark?"var(--nb-border)":"#f1f5f9"}` }}>
+            <span style={{ ...D.txt2(dark), minWidth:110 }}>{periodLabel(a)}</span>
+            <span style={{ color:a.meter.color, fontWeight:700 }}>{a.meter.icon} {a.meter.name}</span>
+            <span style={{ fontSize:11, fontWeight:700, padding:"1px 8px", borderRadius:999,
+              color:kind.color, background:`${kind.color}22` }}>{kind.label}</span>
+            <span style={D.txt2(dark)}>{anomalyText(a)}</span>
+          </div>
+        );
+      })}
+      {anomalies.length > 5 && (
+        <button onClick={() => setShowAll(v => !v)} style={{ marginTop:6, background:"none", border:"none", cursor:"pointer",
+          padding:0, fontSize:12, fontWeight:700, color:"#38bdf8" }}>
+          {showAll ? "Zobrazit méně" : `Zobrazit všechna (${anomalies.length})`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// ─── DataTable ────────────────────────────────────────────────
+function ConsumptionValue({ value, color, estimated }) {
+  if (!estimated) return <span style={{ color, fontWeight:700 }}>{value}</span>;
+  return (
+    <span title="Odhad – měsíc bez odečtu" style={{ color, fontWeight:600, fontStyle:"italic", opacity:0.75,
+      borderBottom:`1px dashed ${color}`, cursor:"help" }}>≈ {value}</span>
+  );
+}
+
+function MeterEventBadges({ events }) {
+  if (!events) return null;
+  const badge = { marginLeft:6, fontSize:10, fontWeight:800, padding:"1px 6px", borderRadius:999, cursor:"help", whiteSpace:"nowrap" };
+  return (
+    <>
+      {events.changes.map(c => (
+        <span key={c.id} title={`Výměna měřidla ${MONTHS_CZ[c.month-1]} ${c.year}: konečný stav ${c.oldFinal}, nové od ${c.newStart}`}
+          style={{ ...badge, background:"rgba(56,189,248,0.15)", color:"#38bdf8" }}>🔄 výměna</span>
+      ))}
+      {events.rollover && (
+        <span title="Počítadlo přeteklo přes maximum – spotřeba dopočtena přes nulu"
+          style={{ ...badge, background:"rgba(251,191,36,0.15)", color:"#fbbf24" }}>↻ přetečení</span>
+      )}
+    </>
+  );
+}
+
+const TH = ({ children, right, sticky, dark }) => (
+  <th style={{
+    textAlign: right ? "right" : "left",
+    padding:"11px 14px", fontSize:11,
+    fontWeight:700, textTransform:"uppercase", letterSpacing:"0.08em",
+    color: dark?"var(--nb-txt3)":"#94a3b8",
+    whiteSpace:"nowrap",
+    borderBottom:`2px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+    ...(sticky ? {
+      position:"sticky", top:0, zIndex:2,
+      background: dark?"var(--nb-card)":"#fff",
+    } : {}),
+  }}>{children}</th>
+);
+
+const TD = ({ children, right, style }) => (
+  <td style={{ padding:"10px 14px", fontSize:13, textAlign: right?"right":"left", verticalAlign:"middle", ...style }}>
+    {children}
+  </td>
+);
+
+// `records` are the prorated monthly rows, `readings` the raw records
+function DataTable({ records, readings, meters, anomalies, onEdit, onDelete, dark }) {
+  const allYears = useMemo(() =>
+    [...new Set(records.map(r => r.year))].sort((a,b) => a-b), [records]);
+  const [activeYear, setActiveYear] = useState(null); // null = všechny roky
+
+  // Pokud přibude nový rok a žádný není aktivní, nechej "Vše" aktivní
+  const filtered = useMemo(() =>
+    activeYear === null ? sortAsc(records) : sortAsc(records.filter(r => r.year === activeYear)),
+    [records, activeYear]
+  );
+
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const editAndScroll = (r) => { onEdit(r); window.scrollTo({ top:0, behavior:"smooth" }); };
+
+  // Meter replacements / rollovers that fall into each reading's interval
+  const meterEvents = useMemo(() => {
+    const out = {};
+    filtered.forEach(({ record: r }) => {
+      if (!r) return;
+      meters.filter(m => m.type !== "direct").forEach(m => {
+        const { changes, rollover } = meterConsumption(readings, m, r.year, r.month, r[stateField(m)], r.id);
+        if (changes.length || rollover) (out[r.id] ??= {})[m.id] = { changes, rollover };
+      });
+    });
+    return out;
+  }, [filtered, readings, meters]);
+
+  // kWh/100 km per vehicle, keyed by the month of the closing odometer reading
+  const vehicles = useMemo(() => meters.filter(m => m.vehicle && isKwh(m)), [meters]);
+  const efficiency = useMemo(() => Object.fromEntries(vehicles.map(m =>
+    [m.id, Object.fromEntries(vehicleEfficiency(sortAsc(records), m).map(e => [e.id, e]))])), [records, vehicles]);
+
+  const flags = useMemo(() => {
+    const out = {};
+    anomalies.forEach(a => { ((out[a.rowId] ??= {})[a.meter.id] ??= []).push(a); });
+    return out;
+  }, [anomalies]);
+
+  // Součty za filtrované záznamy
+  const totals = Object.fromEntries(meters.map(m => [m.id, filtered.reduce((s,r) => s + (r[consField(m)]||0), 0)]));
+  const totT = filtered.reduce((s,r) => s + (r.totalConsumption||0), 0);
+  const totKc = filtered.reduce((s,r) => s + (r.totalCost||0), 0);
+  const hasCosts = filtered.some(r => r.totalCost != null);
+  const spot = filtered.some(r => r.spotPrice != null);
+  const kwhMeters = meters.filter(isUsage);
+  const pv = hasPv(meters);
+  const colCount = 4 + meters.reduce((n,m) => n + (m.type === "direct" ? 1 : 2), 0) + kwhMeters.length + vehicles.length + (pv ? 1 : 0) + (spot ? 1 : 0);
+  const gaps = useMemo(() => findGaps(sortAsc(records), meters), [records, meters]);
+  // Excel needs the BOM to read UTF-8
+  const exportCsv = () => downloadFile(`spotreba_${activeYear ?? "vse"}.csv`, "\uFEFF" + monthlyCsv(filtered, meters), "text/csv;charset=utf-8");
+  const estBg = dark ? "rgba(251,191,36,0.05)" : "#fffbeb";
+
+  if (!records.length) return (
+    <div style={{ ...D.card(dark), borderRadius:18, padding:40, textAlign:"center" }}>
+      <Table size={40} style={{ ...D.txt3(dark), display:"block", margin:"0 auto 12px" }} />
+      <p style={D.txt2(dark)}>Zatím nejsou přidána žádná data.</p>
+    </div>
+  );
+
+  return (
+    <div style={{ ...D.card(dark), borderRadius:18 }}>
+
+      {/* ── Přepínače roků ── */}
+      <div style={{
+        display:"flex", alignItems:"center", flexWrap:"wrap", gap:6,
+        padding:"12px 16px",
+        borderBottom:`1px solid ${dark?"var(--nb-border)":"#f1f5f9"}`,
+        borderRadius:"18px 18px 0 0",
+      }}>
+        {[null, ...allYears].map(y => {
+          const isActive = activeYear === y;
+          return (
+            <button key={y ?? "all"} onClick={() => setActiveYear(y)} style={{
+              padding:"5px 14px", borderRadius:999, fontSize:12, fontWeight:700,
+              border:"none", cursor:"pointer", transition:"all 0.15s",
+              background: isActive ? "#0ea5e9" : dark ? "var(--nb-hover)" : "#f1f5f9",
+              color: isActive ? "#fff" : dark ? "var(--nb-txt2)" : "#64748b",
+              boxShadow: isActive ? "0 2px 10px rgba(14,165,233,0.35)" : "none",
+            }}>
+              {y === null ? "Vše" : y}
+            </button>
+          );
+        })}
+
+        {/* Součty vpravo */}
+        <div style={{ marginLeft:"auto", display:"flex", flexWrap:"wrap", gap:"4px 16px", fontSize:12 }}>
+          {meters.map(m => (
+            <span key={m.id} style={{ color:m.color, fontWeight:700 }}>{m.icon} {Math.round(totals[m.id])} {m.unit}</span>
+          ))}
+          <span style={{ ...D.txt1(dark), fontWeight:800 }}>∑ {Math.round(totT)} kWh</span>
+          {gaps.length > 0 && (
+            <span title={gaps.map(g => `${g.meter.icon} ${g.meter.name}: ${MONTHS_CZ[g.from.month-1]} ${g.from.year} – ${MONTHS_CZ[g.to.month-1]} ${g.to.year} (${g.months} měs.)`).join("\n")}
+              style={{ color:"#fbbf24", fontWeight:700, cursor:"help" }}>≈ {gaps.length} {gaps.length === 1 ? "mezera" : "mezery"} v odečtech</span>
+          )}
+          {hasCosts && <span style={{ color:"#a78bfa", fontWeight:800 }}>💰 {fmtKc(totKc)}</span>}
+        </div>
+        <button onClick={exportCsv} title={activeYear === null ? "Exportovat všechny roky do CSV" : `Exportovat rok ${activeYear} do CSV`} style={{
+          display:"flex", alignItems:"center", gap:5, padding:"5px 10px", borderRadius:8, cursor:"pointer",
+          fontSize:12, fontWeight:700, background:"transparent", color: dark?"var(--nb-txt2)":"#64748b",
+          border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+        }}><FileSpreadsheet size={14}/>CSV</button>
+      </div>
+
+      {/* ── Tabulka s limitem výšky při "Vše" ── */}
+      <div style={{
+        overflowX:"auto",
+        overflowY: activeYear === null ? "auto" : "visible",
+        maxHeight: activeYear === null ? "576px" : "none",
+        WebkitOverflowScrolling:"touch",
+        borderRadius:"0 0 18px 18px",
+      }}>
+        <table style={{ width:"100%", borderCollapse:"collapse", minWidth: 240 + colCount * 80 }}>
+          <thead>
+            <tr>
+              <TH sticky={activeYear === null} dark={dark}>Datum</TH>
+              {meters.flatMap(m => m.type === "direct" ? [
+                <TH key={m.id} sticky={activeYear === null} dark={dark} right>{m.icon} {m.name}</TH>,
+              ] : [
+                <TH key={m.id + "s"} sticky={activeYear === null} dark={dark}>{m.icon} Stav</TH>,
+                <TH key={m.id} sticky={activeYear === null} dark={dark} right>{m.name} {m.unit}</TH>,
+              ])}
+              <TH sticky={activeYear === null} dark={dark} right>∑ Celkem</TH>
+              {pv && <TH sticky={activeYear === null} dark={dark} right>☀️ Soběstačnost</TH>}
+              {vehicles.map(m => (
+                <TH key={m.id} sticky={activeYear === null} dark={dark} right>{m.icon} kWh/100 km</TH>
+              ))}
+              {kwhMeters.map(m => (
+                <TH key={m.id} sticky={activeYear === null} dark={dark} right>{m.icon} Kč</TH>
+              ))}
+              <TH sticky={activeYear === null} dark={dark} right>∑ Kč</TH>
+              {spot && <TH sticky={activeYear === null} dark={dark} right>💹 Spot Kč/kWh</TH>}
+              <TH sticky={activeYear === null} dark={dark}></TH>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.length === 0 ? (
+              <tr>
+                <td colSpan={colCount} style={{ padding:"32px 16px", textAlign:"center", ...D.txt2(dark) }}>
+                  Žádné záznamy pro rok {activeYear}.
+                </td>
+              </tr>
+            ) : filtered.map(r => (
+              <tr key={r.id}
+                style={{ borderBottom:`1px solid ${dark?"var(--nb-border)":"#f8fafc"}`, transition:"background 0.12s",
+                  background: r.isEstimated ? estBg : "transparent" }}
+                onMouseEnter={e => e.currentTarget.style.background = dark?"var(--nb-hover)":"#f8fafc"}
+                onMouseLeave={e => e.currentTarget.style.background = r.isEstimated ? estBg : "transparent"}>
+
+                <TD>
+                  <div style={{ display:"flex", alignItems:"center", gap:6, whiteSpace:"nowrap" }}>
+                    <span style={{ background: dark?"#0f2038":"#eff6ff", color: dark?"#38bdf8":"#2563eb",
+                      fontSize:10, fontWeight:800, padding:"2px 7px", borderRadius:999 }}>{r.year}</span>
+                    <span style={{ ...D.txt1(dark), fontWeight:600 }}>{MONTHS_CZ[r.month-1]}</span>
+                    {r.isEstimated && (
+                      <span title="Měsíc bez odečtu – spotřeba rozpočtena z okolních odečtů"
+                        style={{ fontSize:10, fontWeight:800, padding:"1px 6px", borderRadius:999, cursor:"help",
+                          background:"rgba(251,191,36,0.15)", color:"#fbbf24" }}>odhad</span>
+                    )}
+                    {r.record?.readingDate && (
+                      <span title="Datum odečtu" style={{ ...D.txt3(dark), fontSize:11 }}>
+                        odečet {Number(r.record.readingDate.slice(8))}. {Number(r.record.readingDate.slice(5,7))}.
+                      </span>
+                    )}
+                  </div>
+                </TD>
+                {meters.flatMap(m => m.type === "direct" ? [
+                  <TD key={m.id} right><span style={{ color:m.color, fontWeight:700 }}>{r[consField(m)]}</span><AnomalyBadge items={flags[r.id]?.[m.id]} /></TD>,
+                ] : [
+                  <TD key={m.id + "s"}>
+                    <span style={D.txt3(dark)}>{r[stateField(m)]}</span>
+                    <MeterEventBadges events={meterEvents[r.record?.id]?.[m.id]} />
+                  </TD>,
+                  <TD key={m.id} right>
+                    <ConsumptionValue value={r[consField(m)]} color={m.color} estimated={r.estimated?.[m.id]} />
+                    <AnomalyBadge items={flags[r.id]?.[m.id]} />
+                  </TD>,
+                ])}
+                <TD right>
+                  <span style={{
+                    ...D.txt1(dark), fontWeight:800, fontSize:14,
+                    background: dark?"#0f2038":"#eff6ff",
+                    color: dark?"#7dd3fc":"#1d4ed8",
+                    padding:"2px 10px", borderRadius:8, whiteSpace:"nowrap",
+                    fontStyle: r.isEstimated ? "italic" : "normal",
+                  }}>{r.isEstimated && "≈ "}{r.totalConsumption} kWh</span>
+                </TD>
+                {pv && (() => {
+                  const b = energyBalance(r, meters);
+                  return (
+                    <TD right>
+                      <span title={`Výroba ${b.production} kWh · vlastní spotřeba ${b.selfUse} kWh · přetoky ${b.exported} kWh · ze sítě ${b.imported} kWh`}
+                        style={{ color:BALANCE_COLORS.selfSufficiency, fontWeight:700, cursor:"help" }}>{pct(b.selfSufficiency)}</span>
+                    </TD>
+                  );
+                })()}
+                {vehicles.map(m => {
+                  const e = efficiency[m.id][r.id];
+                  return (
+                    <TD key={m.id} right>
+                      {e && (
+                        <span title={`${e.km} km · ${e.kwh} kWh${e.costPer100 != null ? ` · ${(e.costPer100 / 100).toFixed(2)} Kč/km` : ""}`}
+                          style={{ color:m.color, fontWeight:700, cursor:"help" }}>{e.per100.toFixed(1)}</span>
+                      )}
+                    </TD>
+                  );
+                })}
+                {kwhMeters.map(m => (
+                  <TD key={m.id} right><span style={D.txt2(dark)}>{fmtKc(r[costField(m)])}</span></TD>
+                ))}
+                <TD right>
+                  <span title={r.tariffName ? `Ceník: ${r.tariffName} (vč. stálých plateb ${fmtKc(r.fixedCost)})` : "Bez ceníku"}
+                    style={{ color:"#a78bfa", fontWeight:800, whiteSpace:"nowrap" }}>{fmtKc(r.totalCost)}</span>
+                </TD>
+                {spot && (
+                  <TD right>
+                    {r.spotPrice != null && (
+                      <span title={`Průměr spotu v měsíci ${r.spotAvg.toFixed(2)} Kč/kWh${r.compareCost != null ? ` · při pevné ceně ${fmtKc(r.compareCost)}` : ""}`}
+                        style={{ cursor:"help", whiteSpace:"nowrap" }}>
+                        <span style={{ ...D.txt1(dark), fontWeight:700 }}>{r.spotPrice.toFixed(2)}</span>
+                        {r.compareCost != null && (
+                          <span style={{ display:"block", fontSize:11, fontWeight:700, color: r.totalCost <= r.compareCost ? "#34d399" : "#f87171" }}>
+                            {r.totalCost <= r.compareCost ? "−" : "+"}{fmtKc(Math.abs(r.compareCost - r.totalCost))}
+                          </span>
+                        )}
+                      </span>
+                    )}
+                  </TD>
+                )}
+                <TD>
+                  {!r.record ? null : confirmDelete===r.id ? (
+                    <div style={{ display:"flex", alignItems:"center", gap:6, whiteSpace:"nowrap" }}>
+                      <span style={{ color:"#f87171", fontSize:12 }}>Smazat?</span>
+                      <button onClick={() => { onDelete(r.record.id); setConfirmDelete(null); }}
+                        style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"#ef4444",
+                          color:"#fff", border:"none", cursor:"pointer", fontWeight:600 }}>Ano</button>
+                      <button onClick={() => setConfirmDelete(null)}
+                        style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"transparent",
+                          border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+                          ...D.txt2(dark), cursor:"pointer" }}>Ne</button>
+                    </div>
+                  ) : (
+                    <div style={{ display:"flex", gap:2 }}>
+                      <button onClick={() => editAndScroll(r.record)} title="Upravit"
+                        style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px",
+                          ...D.txt3(dark), borderRadius:7, transition:"color 0.12s" }}
+                        onMouseEnter={e => e.currentTarget.style.color="#38bdf8"}
+                        onMouseLeave={e => e.currentTarget.style.color=dark?"var(--nb-txt3)":"#94a3b8"}>
+                        <Pencil size={14}/>
+                      </button>
+                      <button onClick={() => setConfirmDelete(r.id)} title="Smazat"
+                        style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px",
+                          ...D.txt3(dark), borderRadius:7, transition:"color 0.12s" }}
+                        onMouseEnter={e => e.currentTarget.style.color="#f87171"}
+                        onMouseLeave={e => e.currentTarget.style.color=dark?"var(--nb-txt3)":"#94a3b8"}>
+                        <Trash2 size={14}/>
+                      </button>
+                    </div>
+                  )}
+                </TD>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ─── TariffsView ──────────────────────────────────────────────
+// Price fields shared by the tariffs and the supplier offers; `compare`
+// offers the fixed reference price of a spot tariff
+function TariffFields({ form, setForm, meters, compare = true, dark }) {
+  const set = (k,v) => setForm(f => ({ ...f, [k]:v }));
+  const setShare = (k,v) => setForm(f => ({ ...f, ntShare: { ...f.ntShare, [k]:v } }));
+  const inp = (extra = {}) => inputStyle(dark, extra);
+  const num = (k, placeholder = "") => (
+    <input type="number" step="0.01" placeholder={placeholder} style={inp()} value={form[k]} onChange={e=>set(k, e.target.value)} />
+  );
+
+  return (
+    <>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3" style={{ marginBottom:14 }}>
+        <div style={{ gridColumn:"1 / -1" }}>
+          <label style={{ display:"flex", alignItems:"center", gap:6, fontSize:13, cursor:"pointer", ...D.txt2(dark) }}>
+            <input type="checkbox" checked={!!form.spot} onChange={e=>set("spot", e.target.checked)}/>
+            Spotový ceník – silová elektřina podle importovaných spotových cen
+          </label>
+        </div>
+        {form.spot ? (
+          <>
+            <div>
+              <FieldLabel dark={dark}>Přirážka ke spotu (Kč/kWh)</FieldLabel>
+              {num("spotMarkup")}
+            </div>
+            {compare && (
+              <div>
+                <FieldLabel dark={dark}>Srovnávací pevná cena (Kč/kWh)</FieldLabel>
+                {num("fixedPrice", "bez srovnání")}
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <div>
+              <FieldLabel dark={dark}>Silová elektřina VT (Kč/kWh)</FieldLabel>
+              {num("priceVT")}
+            </div>
+            <div>
+              <FieldLabel dark={dark}>Silová elektřina NT (Kč/kWh)</FieldLabel>
+              {num("priceNT", "jednotarif")}
+            </div>
+          </>
+        )}
+        <div>
+          <FieldLabel dark={dark}>DPH (%)</FieldLabel>
+          {num("vat")}
+        </div>
+        <div>
+          <FieldLabel dark={dark}>Distribuce VT (Kč/kWh)</FieldLabel>
+          {num("distributionVT")}
+        </div>
+        <div>
+          <FieldLabel dark={dark}>Distribuce NT (Kč/kWh)</FieldLabel>
+          {num("distributionNT", form.spot ? "jednotarif" : "")}
+        </div>
+        <div>
+          <FieldLabel dark={dark}>Stálé platby (Kč/měsíc)</FieldLabel>
+          {num("monthlyFee")}
+        </div>
+      </div>
 
-  useEffect(() => {
-    const pH = getPreviousReading(records, form.year, form.month, "householdState", editRecord?.id);
-    const pC = getPreviousReading(records, form.year, form.month, "carState", editRecord?.id);
-    setPreview({
-      prevH: pH, prevC: pC,
-      household: form.householdConsumptionOverride != null ? Number(form.householdConsumptionOverride) : calcConsumption(form.householdState, pH),
-      car: form.carConsumptionOverride != null ? Number(form.carConsumptionOverride) : calcConsumption(form.carState, pC),
-    });
-  }, [form, records, editRecord]);
+      {isDualRate(form) && (
+        <div style={{ ...D.inner(dark), borderRadius:14, padding:14, marginBottom:14 }}>
+          <FieldLabel dark={dark}>Podíl spotřeby v NT (%)</FieldLabel>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            {meters.filter(isUsage).map(m => (
+              <div key={m.id} style={{ display:"flex", alignItems:"center", gap:8 }}>
+                <span style={{ ...D.txt2(dark), fontSize:13, whiteSpace:"nowrap" }}>{m.icon} {m.name}</span>
+                <input type="number" min={0} max={100} style={inp()} value={form.ntShare?.[m.id] ?? 0}
+                  onChange={e=>setShare(m.id, e.target.value)} />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+function TariffsView({ tariffs, meters, onSave, onDelete, dark }) {
+  const [form, setForm] = useState(BLANK_TARIFF(meters));
+  const [error, setError] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(null);
 
   const set = (k,v) => setForm(f => ({ ...f, [k]:v }));
+  const sorted = useMemo(() => [...tariffs].sort((a,b) => b.validFrom.localeCompare(a.validFrom)), [tariffs]);
 
-  const handleSave = async () => {
-    if (!form.householdState && !form.carState && !form.bojlerConsumption) return;
-    const res = await onSave(form);
-    setForm(BLANK()); setOverride({ household:false, car:false });
-    setSaved(res?.merged ? "merged" : "saved");
-    setTimeout(() => setSaved(null), 2500);
+  const handleSave = () => {
+    if (!form.name.trim()) return setError("Zadejte název ceníku.");
+    if (!form.validFrom) return setError("Zadejte začátek platnosti.");
+    if (form.validTo && form.validTo < form.validFrom) return setError("Konec platnosti je před začátkem.");
+    if (!form.spot && form.priceVT === "") return setError("Zadejte cenu za kWh (VT).");
+    onSave({ ...form, name: form.name.trim() });
+    setForm(BLANK_TARIFF(meters)); setError(null);
   };
 
-  // Input/select common styles — inline for reliable dark-mode text rendering
-  const inp = (extra = {}) => ({
-    width:"100%", padding:"10px 12px", borderRadius:10, fontSize:14, outline:"none",
-    transition:"border-color 0.15s",
-    ...(dark ? {
-      background:"var(--nb-input)",
-      border:"1px solid var(--nb-border2)",
-      color:"var(--nb-txt1)",
-    } : {
-      background:"#fff",
-      border:"1px solid #e2e8f0",
-      color:"#1e293b",
-    }),
-    ...extra,
-  });
+  const inp = (extra = {}) => inputStyle(dark, extra);
 
-  const LBL = ({ children }) => (
-    <label style={{ display:"block", fontSize:11, fontWeight:700, textTransform:"uppercase",
-      letterSpacing:"0.08em", marginBottom:6, color: dark?"var(--nb-txt2)":"#64748b" }}>
-      {children}
-    </label>
+  return (
+    <>
+      <div style={{ ...D.card(dark), borderRadius:18, padding:20, marginBottom:16 }}>
+        <div style={{ display:"flex", alignItems:"flex-start", justifyContent:"space-between", marginBottom:16 }}>
+          <div>
+            <h2 style={{ ...D.txt1(dark), margin:0, fontSize:15, fontWeight:700 }}>
+              {form.id ? "✏️ Upravit ceník" : "➕ Nový ceník"}
+            </h2>
+            <p style={{ ...D.txt3(dark), margin:"4px 0 0", fontSize:12 }}>Ceny za kWh a poplatky zadávejte bez DPH.</p>
+          </div>
+          {form.id && (
+            <button onClick={() => { setForm(BLANK_TARIFF(meters)); setError(null); }} style={{
+              fontSize:12, padding:"6px 12px", borderRadius:8, cursor:"pointer",
+              background:"transparent", color: dark?"var(--nb-txt2)":"#64748b",
+              border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+            }}>Zrušit</button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3" style={{ marginBottom:14 }}>
+          <div>
+            <FieldLabel dark={dark}>Název</FieldLabel>
+            <input type="text" style={inp()} value={form.name} onChange={e=>set("name", e.target.value)} />
+          </div>
+          <div>
+            <FieldLabel dark={dark}>Platnost od</FieldLabel>
+            <input type="month" style={inp()} value={form.validFrom} onChange={e=>set("validFrom", e.target.value)} />
+          </div>
+          <div>
+            <FieldLabel dark={dark}>Platnost do</FieldLabel>
+            <input type="month" style={inp()} value={form.validTo} onChange={e=>set("validTo", e.target.value)} />
+          </div>
+        </div>
+
+        <TariffFields form={form} setForm={setForm} meters={meters} dark={dark} />
+
+        {error && <p style={{ color:"#f87171", fontSize:13, margin:"0 0 12px" }}>{error}</p>}
+
+        <button onClick={handleSave} style={{
+          display:"flex", alignItems:"center", justifyContent:"center", gap:8,
+          padding:"11px 24px", borderRadius:12, border:"none", cursor:"pointer",
+          fontWeight:700, fontSize:14, width:"100%", maxWidth:220,
+          background:"#0ea5e9", color:"#fff", boxShadow:"0 4px 16px rgba(14,165,233,0.3)",
+        }}>
+          {form.id ? <><Check size={16}/>Uložit změny</> : <><Plus size={16}/>Přidat ceník</>}
+        </button>
+      </div>
+
+      {sorted.length === 0 ? (
+        <div style={{ ...D.card(dark), borderRadius:18, padding:40, textAlign:"center" }}>
+          <Receipt size={40} style={{ ...D.txt3(dark), display:"block", margin:"0 auto 12px" }} />
+          <p style={D.txt2(dark)}>Zatím není zadán žádný ceník – náklady se nepočítají.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {sorted.map(t => (
+            <div key={t.id} style={{ ...D.card(dark), borderRadius:16, padding:"14px 16px", marginBottom:12 }}>
+              <div style={{ display:"flex", alignItems:"center", justifyContent:"space-between", gap:8 }}>
+                <div>
+                  <p style={{ ...D.txt1(dark), fontWeight:700, fontSize:14, margin:0 }}>{t.name}</p>
+                  <p style={{ ...D.txt3(dark), fontSize:12, margin:"2px 0 0" }}>
+                    {t.validFrom} – {t.validTo || "dosud"} · {t.spot ? "spot · " : ""}{isDualRate(t) ? "dvoutarif" : "jednotarif"} · DPH {t.vat} %
+                  </p>
+                </div>
+                {confirmDelete === t.id ? (
+                  <div style={{ display:"flex", alignItems:"center", gap:6, whiteSpace:"nowrap" }}>
+                    <span style={{ color:"#f87171", fontSize:12 }}>Smazat?</span>
+                    <button onClick={() => { onDelete(t.id); setConfirmDelete(null); }}
+                      style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"#ef4444",
+                        color:"#fff", border:"none", cursor:"pointer", fontWeight:600 }}>Ano</button>
+                    <button onClick={() => setConfirmDelete(null)}
+                      style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"transparent",
+                        border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+                        ...D.txt2(dark), cursor:"pointer" }}>Ne</button>
+                  </div>
+                ) : (
+                  <div style={{ display:"flex", gap:2 }}>
+                    <button onClick={() => { setForm({ ...BLANK_TARIFF(meters), ...t }); setError(null); window.scrollTo({ top:0, behavior:"smooth" }); }}
+                      title="Upravit" style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px", ...D.txt3(dark) }}>
+                      <Pencil size={14}/>
+                    </button>
+                    <button onClick={() => setConfirmDelete(t.id)} title="Smazat"
+                      style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px", ...D.txt3(dark) }}>
+                      <Trash2 size={14}/>
+                    </button>
+                  </div>
+                )}
+              </div>
+              <div style={{ display:"flex", flexWrap:"wrap", gap:"4px 16px", fontSize:12, marginTop:10, ...D.txt2(dark) }}>
+                {t.spot ? (
+                  <>
+                    <span>Spot + <strong style={D.txt1(dark)}>{Number(t.spotMarkup)||0} Kč/kWh</strong></span>
+                    <span>Distribuce VT: <strong style={D.txt1(dark)}>{Number(t.distributionVT)||0} Kč/kWh</strong></span>
+                    {isDualRate(t) && <span>NT: <strong style={D.txt1(dark)}>{Number(t.distributionNT)||0} Kč/kWh</strong></span>}
+                    {t.fixedPrice !== "" && t.fixedPrice != null && (
+                      <span>Srovnání: <strong style={D.txt1(dark)}>{t.fixedPrice} Kč/kWh</strong></span>
+                    )}
+                  </>
+                ) : (
+                  <>
+                    <span>VT: <strong style={D.txt1(dark)}>{(Number(t.priceVT)||0) + (Number(t.distributionVT)||0)} Kč/kWh</strong></span>
+                    {isDualRate(t) && (
+                      <span>NT: <strong style={D.txt1(dark)}>{(Number(t.priceNT)||0) + (Number(t.distributionNT)||0)} Kč/kWh</strong></span>
+                    )}
+                  </>
+                )}
+                <span>Stálé platby: <strong style={D.txt1(dark)}>{fmtKc(Number(t.monthlyFee)||0)}/měs.</strong></span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
   );
+}
 
-  const isMerge = !editRecord && records.some(r => r.year===form.year && r.month===form.month);
+// ─── OffersView ───────────────────────────────────────────────
+// Supplier offers replayed over one year of this property's consumption
+function OffersView({ offers, tariffs, monthly, meters, spotPrices, onSave, onDelete, dark }) {
+  const [form, setForm] = useState(() => BLANK_OFFER(tariffs, meters));
+  const [error, setError] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [year, setYear] = useState(null);
+
+  const kwhMeters = useMemo(() => meters.filter(isUsage), [meters]);
+  const annual = useMemo(() => prepareAnnualData(monthly, meters), [monthly, meters]);
+  // Latest year with all 12 months by default – a partial year favours whatever is cheap in those seasons
+  const months = useMemo(() => Object.fromEntries(annual.map(a => [a.year, monthly.filter(r => String(r.year) === a.year).length])), [annual, monthly]);
+  const shownYear = year ?? [...annual].reverse().find(a => months[a.year] === 12)?.year ?? annual[annual.length - 1]?.year;
+  const picked = annual.find(a => a.year === shownYear);
+  const ranking = useMemo(() => compareOffers(monthly.filter(r => String(r.year) === shownYear), offers, meters, spotPrices),
+    [monthly, shownYear, offers, meters, spotPrices]);
+  // Cheapest offer for each circuit on its own
+  const bestFor = useMemo(() => Object.fromEntries(kwhMeters.map(m => {
+    const priced = ranking.filter(r => !r.unpriced);
+    return [m.id, priced.length > 1 ? priced.reduce((a, b) => b.byMeter[m.id] < a.byMeter[m.id] ? b : a) : null];
+  })), [ranking, kwhMeters]);
+
+  const set = (k,v) => setForm(f => ({ ...f, [k]:v }));
+  const inp = (extra = {}) => inputStyle(dark, extra);
+  const cell = { padding:"6px 8px", textAlign:"right", whiteSpace:"nowrap" };
+  const fmtKwh = v => `${Math.round(v).toLocaleString("cs-CZ")} kWh`;
+  const reset = () => { setForm(BLANK_OFFER(tariffs, meters)); setError(null); };
+
+  const handleSave = () => {
+    if (!form.name.trim()) return setError("Zadejte název nabídky.");
+    if (!form.spot && form.priceVT === "") return setError("Zadejte cenu za kWh (VT).");
+    onSave({ ...form, name: form.name.trim() });
+    reset();
+  };
 
   return (
-    <div style={{ ...D.card(dark), borderRadius:18, padding:"20px 20px 20px", marginBottom:16 }}>
-      {/* Header */}
-      <div style={{ display:"flex", alignItems:"flex-start", justifyContent:"space-between", marginBottom:16 }}>
-        <div>
-          <h2 style={{ ...D.txt1(dark), margin:0, fontSize:15, fontWeight:700 }}>
-            {editRecord ? "✏️ Upravit záznam" : "➕ Přidat / doplnit záznam"}
-          </h2>
-          {isMerge && (
-            <p style={{ margin:"4px 0 0", fontSize:12, color:"#fbbf24" }}>
-              ⚡ Záznam pro {MONTHS_CZ[form.month-1]} {form.year} existuje — data budou sloučena.
+    <>
+      <div style={{ ...D.card(dark), borderRadius:18, padding:20, margin:"16px 0" }}>
+        <div style={{ display:"flex", alignItems:"flex-start", justifyContent:"space-between", marginBottom:16 }}>
+          <div>
+            <h2 style={{ ...D.txt1(dark), margin:0, fontSize:15, fontWeight:700 }}>
+              {form.id ? "✏️ Upravit nabídku" : "🏷️ Porovnání nabídek dodavatelů"}
+            </h2>
+            <p style={{ ...D.txt3(dark), margin:"4px 0 0", fontSize:12 }}>
+              Ceník nabídky se přepočítá na skutečnou měsíční spotřebu vybraného roku. Ceny bez DPH.
             </p>
+          </div>
+          {form.id && (
+            <button onClick={reset} style={{
+              fontSize:12, padding:"6px 12px", borderRadius:8, cursor:"pointer",
+              background:"transparent", color: dark?"var(--nb-txt2)":"#64748b",
+              border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+            }}>Zrušit</button>
           )}
         </div>
-        {editRecord && (
-          <button onClick={onCancelEdit} style={{
-            fontSize:12, padding:"6px 12px", borderRadius:8, cursor:"pointer",
-            background:"transparent", color: dark?"var(--nb-txt2)":"#64748b",
-            border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
-          }}>Zrušit</button>
-        )}
+
+        <div style={{ marginBottom:14, maxWidth:320 }}>
+          <FieldLabel dark={dark}>Dodavatel / produkt</FieldLabel>
+          <input type="text" style={inp()} value={form.name} placeholder="např. ČEZ Elektřina Komfort" onChange={e=>set("name", e.target.value)} />
+        </div>
+
+        <TariffFields form={form} setForm={setForm} meters={meters} compare={false} dark={dark} />
+
+        {error && <p style={{ color:"#f87171", fontSize:13, margin:"0 0 12px" }}>{error}</p>}
+
+        <button onClick={handleSave} style={{
+          display:"flex", alignItems:"center", justifyContent:"center", gap:8,
+          padding:"11px 24px", borderRadius:12, border:"none", cursor:"pointer",
+          fontWeight:700, fontSize:14, width:"100%", maxWidth:220,
+          background:"#0ea5e9", color:"#fff", boxShadow:"0 4px 16px rgba(14,165,233,0.3)",
+        }}>
+          {form.id ? <><Check size={16}/>Uložit změny</> : <><Plus size={16}/>Přidat nabídku</>}
+        </button>
       </div>
 
-      {/* Year / Month row */}
-      <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:12, marginBottom:16 }}>
-        <div>
-          <LBL>Rok</LBL>
-          <select style={inp({ cursor:"pointer" })} value={form.year} onChange={e=>set("year",Number(e.target.value))}>
-            {YEARS.map(y => <option key={y} value={y}>{y}</option>)}
-          </select>
+      {offers.length > 0 && (
+        <div style={{ ...D.card(dark), borderRadius:18, padding:20, marginBottom:16 }}>
+          {!picked ? (
+            <p style={{ ...D.txt2(dark), margin:0 }}>Pro porovnání chybí odečty – nabídky není na čem přepočítat.</p>
+          ) : (
+            <>
+              <div style={{ display:"flex", gap:6, marginBottom:12, flexWrap:"wrap", alignItems:"center" }}>
+                {annual.map(a => (
+                  <button key={a.year} onClick={() => setYear(a.year)} style={{
+                    padding:"4px 12px", borderRadius:999, fontSize:11, fontWeight:700,
+                    border:"none", cursor:"pointer", transition:"all 0.15s",
+                    background: a.year === shownYear ? "#0ea5e9" : dark ? "var(--nb-hover)" : "#f1f5f9",
+                    color: a.year === shownYear ? "#fff" : dark ? "var(--nb-txt2)" : "#64748b",
+                  }}>
+                    {a.year}{months[a.year] < 12 ? ` (${months[a.year]} měs.)` : ""}
+                  </button>
+                ))}
+                <span style={{ ...D.txt3(dark), fontSize:12, marginLeft:"auto" }}>
+                  {kwhMeters.map(m => `${m.icon} ${fmtKwh(picked[m.id] + picked[estKey(m.id)])}`).join(" · ")}
+                </span>
+              </div>
+
+              <div style={{ overflowX:"auto" }}>
+                <table style={{ width:"100%", borderCollapse:"collapse", fontSize:12, ...D.txt2(dark) }}>
+                  <thead>
+                    <tr style={{ ...D.txt3(dark), borderBottom:`1px solid ${dark?"var(--nb-border)":"#e2e8f0"}` }}>
+                      <th style={{ ...cell, textAlign:"left" }}>Nabídka</th>
+                      {kwhMeters.map(m => <th key={m.id} style={cell}>{m.icon} {m.name}</th>)}
+                      <th style={cell}>Stálé platby</th>
+                      <th style={cell}>Celkem za rok</th>
+                      <th style={cell}>Oproti nejlevnější</th>
+                      <th style={{ ...cell, textAlign:"left" }}>Bod zvratu</th>
+                      <th style={cell}></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {ranking.map((r, i) => (
+                      <tr key={r.offer.id ?? "current"} style={{ borderBottom:`1px solid ${dark?"var(--nb-border)":"#f8fafc"}` }}>
+                        <td style={{ ...cell, textAlign:"left", ...D.txt1(dark), fontWeight:700, fontStyle: r.current ? "italic" : undefined }}>
+                          {!r.unpriced && i === 0 && "🏆 "}{r.offer.name}
+                        </td>
+                        {r.unpriced ? (
+                          <td colSpan={kwhMeters.length + 4} style={{ ...cell, textAlign:"left", ...D.txt3(dark) }}>
+                            chybí spotové ceny pro některé měsíce
+                          </td>
+                        ) : (
+                          <>
+                            {kwhMeters.map(m => (
+                              <td key={m.id} style={{ ...cell, color: bestFor[m.id] === r ? "#34d399" : undefined,
+                                fontWeight: bestFor[m.id] === r ? 700 : undefined }}>
+                                {fmtKc(r.byMeter[m.id])}
+                              </td>
+                            ))}
+                            <td style={cell}>{fmtKc(r.fixed)}</td>
+                            <td style={{ ...cell, ...D.txt1(dark), fontWeight:700 }}>{fmtKc(r.total)}</td>
+                            <td style={{ ...cell, color: r.diff ? "#f87171" : "#34d399" }}>{r.diff ? `+${fmtKc(r.diff)}` : "–"}</td>
+                            <td style={{ ...cell, textAlign:"left" }}>
+                              {r.breakEven == null ? "–" : `levnější ${r.cheaperAbove ? "nad" : "pod"} ${fmtKwh(r.breakEven)}/rok`}
+                            </td>
+                          </>
+                        )}
+                        <td style={cell}>
+                          {r.current ? null : confirmDelete === r.offer.id ? (
+                            <span style={{ display:"inline-flex", alignItems:"center", gap:6 }}>
+                              <span style={{ color:"#f87171" }}>Smazat?</span>
+                              <button onClick={() => { onDelete(r.offer.id); setConfirmDelete(null); }}
+                                style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"#ef4444",
+                                  color:"#fff", border:"none", cursor:"pointer", fontWeight:600 }}>Ano</button>
+                              <button onClick={() => setConfirmDelete(null)}
+                                style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"transparent",
+                                  border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+                                  ...D.txt2(dark), cursor:"pointer" }}>Ne</button>
+                            </span>
+                          ) : (
+                            <span style={{ display:"inline-flex", gap:2 }}>
+                              <button onClick={() => { setForm({ ...BLANK_OFFER(tariffs, meters), ...r.offer }); setError(null); }}
+                                title="Upravit" style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px", ...D.txt3(dark) }}>
+                                <Pencil size={14}/>
+                              </button>
+                              <button onClick={() => setConfirmDelete(r.offer.id)} title="Smazat"
+                                style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px", ...D.txt3(dark) }}>
+                                <Trash2 size={14}/>
+                              </button>
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p style={{ ...D.txt3(dark), fontSize:11, margin:"8px 0 0" }}>
+                Zeleně je nejlevnější nabídka pro daný okruh – např. nabíjení auta může vyjít nejlépe na dvoutarifu,
+                i když celkově vyhraje jiná nabídka. Bod zvratu je roční spotřeba, při které nabídka vyjde stejně jako
+                nejlevnější (při stejném poměru okruhů).
+              </p>
+            </>
+          )}
         </div>
-        <div>
-          <LBL>Měsíc</LBL>
-          <select style={inp({ cursor:"pointer" })} value={form.month} onChange={e=>set("month",Number(e.target.value))}>
-            {MONTHS_CZ.map((m,i) => <option key={i+1} value={i+1}>{m}</option>)}
-          </select>
+      )}
+    </>
+  );
+}
+
+// ─── BillingView ──────────────────────────────────────────────
+function BillingView({ periods, monthly, forecast, tariffs, meters, onSave, onDelete, dark }) {
+  const [form, setForm] = useState(BLANK_BILLING());
+  const [error, setError] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+
+  const set = (k,v) => setForm(f => ({ ...f, [k]:v }));
+  const sorted = useMemo(() => [...periods].sort((a,b) => b.from.localeCompare(a.from)), [periods]);
+  const summaries = useMemo(() => Object.fromEntries(periods.map(p =>
+    [p.id, billingSummary(p, monthly, forecast, tariffs, meters)])), [periods, monthly, forecast, tariffs, meters]);
+
+  const handleSave = () => {
+    if (!form.from || !form.to) return setError("Zadejte začátek i konec období.");
+    if (form.to < form.from) return setError("Konec období je před začátkem.");
+    if (form.advance === "") return setError("Zadejte výši měsíční zálohy.");
+    onSave({ ...form, name: form.name.trim() });
+    setForm(BLANK_BILLING()); setError(null);
+  };
+
+  const inp = (extra = {}) => inputStyle(dark, extra);
+  const num = (k, placeholder = "") => (
+    <input type="number" step="0.01" placeholder={placeholder} style={inp()} value={form[k]} onChange={e=>set(k, e.target.value)} />
+  );
+  const fmtKwh = v => `${Math.round(v).toLocaleString("cs-CZ")} kWh`;
+  const row = (label, value, strong) => (
+    <div style={{ display:"flex", justifyContent:"space-between", gap:8 }}>
+      <span>{label}</span><span style={strong ? { ...D.txt1(dark), fontWeight:700 } : undefined}>{value}</span>
+    </div>
+  );
+
+  return (
+    <>
+      <div style={{ ...D.card(dark), borderRadius:18, padding:20, marginBottom:16 }}>
+        <div style={{ display:"flex", alignItems:"flex-start", justifyContent:"space-between", marginBottom:16 }}>
+          <div>
+            <h2 style={{ ...D.txt1(dark), margin:0, fontSize:15, fontWeight:700 }}>
+              {form.id ? "✏️ Upravit zúčtovací období" : "➕ Nové zúčtovací období"}
+            </h2>
+            <p style={{ ...D.txt3(dark), margin:"4px 0 0", fontSize:12 }}>
+              Údaje z faktury doplňte po jejím doručení – do té doby se vyúčtování odhaduje z odečtů a ceníku.
+            </p>
+          </div>
+          {form.id && (
+            <button onClick={() => { setForm(BLANK_BILLING()); setError(null); }} style={{
+              fontSize:12, padding:"6px 12px", borderRadius:8, cursor:"pointer",
+              background:"transparent", color: dark?"var(--nb-txt2)":"#64748b",
+              border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+            }}>Zrušit</button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3" style={{ marginBottom:14 }}>
+          <div>
+            <FieldLabel dark={dark}>Název</FieldLabel>
+            <input type="text" style={inp()} value={form.name} placeholder="např. 2025/26" onChange={e=>set("name", e.target.value)} />
+          </div>
+          <div>
+            <FieldLabel dark={dark}>Období od</FieldLabel>
+            <input type="month" style={inp()} value={form.from} onChange={e=>set("from", e.target.value)} />
+          </div>
+          <div>
+            <FieldLabel dark={dark}>Období do</FieldLabel>
+            <input type="month" style={inp()} value={form.to} onChange={e=>set("to", e.target.value)} />
+          </div>
+          <div>
+            <FieldLabel dark={dark}>Záloha (Kč/měsíc)</FieldLabel>
+            {num("advance")}
+          </div>
+          <div>
+            <FieldLabel dark={dark}>Fakturováno (kWh)</FieldLabel>
+            {num("invoicedKwh", "dosud nefakturováno")}
+          </div>
+          <div>
+            <FieldLabel dark={dark}>Fakturováno celkem (Kč vč. DPH)</FieldLabel>
+            {num("invoicedAmount", "dosud nefakturováno")}
+          </div>
+        </div>
+
+        {error && <p style={{ color:"#f87171", fontSize:13, margin:"0 0 12px" }}>{error}</p>}
+
+        <button onClick={handleSave} style={{
+          display:"flex", alignItems:"center", justifyContent:"center", gap:8,
+          padding:"11px 24px", borderRadius:12, border:"none", cursor:"pointer",
+          fontWeight:700, fontSize:14, width:"100%", maxWidth:220,
+          background:"#0ea5e9", color:"#fff", boxShadow:"0 4px 16px rgba(14,165,233,0.3)",
+        }}>
+          {form.id ? <><Check size={16}/>Uložit změny</> : <><Plus size={16}/>Přidat období</>}
+        </button>
+      </div>
+
+      {sorted.length === 0 ? (
+        <div style={{ ...D.card(dark), borderRadius:18, padding:40, textAlign:"center" }}>
+          <Wallet size={40} style={{ ...D.txt3(dark), display:"block", margin:"0 auto 12px" }} />
+          <p style={D.txt2(dark)}>Zatím není zadáno žádné zúčtovací období.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {sorted.map(p => {
+            const s = summaries[p.id];
+            const settled = s.balance == null ? null : s.balance >= 0
+              ? { label: s.invoiced ? "Přeplatek" : "Předpokládaný přeplatek", color:"#34d399" }
+              : { label: s.invoiced ? "Nedoplatek" : "Předpokládaný nedoplatek", color:"#f87171" };
+            return (
+              <div key={p.id} style={{ ...D.card(dark), borderRadius:16, padding:"14px 16px", marginBottom:12 }}>
+                <div style={{ display:"flex", alignItems:"center", justifyContent:"space-between", gap:8 }}>
+                  <div>
+                    <p style={{ ...D.txt1(dark), fontWeight:700, fontSize:14, margin:0 }}>{p.name || `${p.from} – ${p.to}`}</p>
+                    <p style={{ ...D.txt3(dark), fontSize:12, margin:"2px 0 0" }}>
+                      {p.from} – {p.to} · {s.invoiced ? "vyúčtováno" : `naměřeno ${s.measured} z ${s.months} měs.`}
+                    </p>
+                  </div>
+                  {confirmDelete === p.id ? (
+                    <div style={{ display:"flex", alignItems:"center", gap:6, whiteSpace:"nowrap" }}>
+                      <span style={{ color:"#f87171", fontSize:12 }}>Smazat?</span>
+                      <button onClick={() => { onDelete(p.id); setConfirmDelete(null); }}
+                        style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"#ef4444",
+                          color:"#fff", border:"none", cursor:"pointer", fontWeight:600 }}>Ano</button>
+                      <button onClick={() => setConfirmDelete(null)}
+                        style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"transparent",
+                          border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+                          ...D.txt2(dark), cursor:"pointer" }}>Ne</button>
+                    </div>
+                  ) : (
+                    <div style={{ display:"flex", gap:2 }}>
+                      <button onClick={() => { setForm({ ...BLANK_BILLING(), ...p }); setError(null); window.scrollTo({ top:0, behavior:"smooth" }); }}
+                        title="Upravit" style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px", ...D.txt3(dark) }}>
+                        <Pencil size={14}/>
+                      </button>
+                      <button onClick={() => setConfirmDelete(p.id)} title="Smazat"
+                        style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px", ...D.txt3(dark) }}>
+                        <Trash2 size={14}/>
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                <div style={{ display:"grid", gap:3, fontSize:12, marginTop:10, ...D.txt2(dark) }}>
+                  {row(s.projected ? "Spotřeba (vč. odhadu)" : "Naměřená spotřeba", `${s.projected ? "≈ " : ""}${fmtKwh(s.kwh)}`)}
+                  {s.invoicedKwh != null && row("Fakturovaná spotřeba",
+                    `${fmtKwh(s.invoicedKwh)}${s.kwhDiff != null ? ` (${s.kwhDiff > 0 ? "+" : ""}${s.kwhDiff.toFixed(1)} %)` : ""}`)}
+                  {row(s.invoiced ? "Fakturováno" : "Očekávané náklady",
+                    s.expectedCost == null ? "– (chybí ceník nebo data)" : `${s.invoiced ? "" : "≈ "}${fmtKc(s.expectedCost)}`)}
+                  {s.invoiced && s.meteredCost != null && row("Podle odečtů a ceníku", fmtKc(s.meteredCost))}
+                  {row("Zálohy za období", `${fmtKc(s.advances)} (zaplaceno ${fmtKc(s.paid)})`)}
+                </div>
+
+                {settled && (
+                  <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", gap:8, marginTop:10,
+                    padding:"8px 12px", borderRadius:10, background:`${settled.color}1a` }}>
+                    <span style={{ color:settled.color, fontWeight:700, fontSize:13 }}>{settled.label}</span>
+                    <strong style={{ color:settled.color, fontSize:15 }}>{fmtKc(Math.abs(s.balance))}</strong>
+                  </div>
+                )}
+                {s.suggestedAdvance != null && (
+                  <p style={{ ...D.txt2(dark), fontSize:12, margin:"8px 0 0" }}>
+                    Doporučená záloha: <strong style={D.txt1(dark)}>{fmtKc(s.suggestedAdvance)}/měs.</strong>
+                    {Number(p.advance) !== s.suggestedAdvance && ` (nyní ${fmtKc(Number(p.advance) || 0)})`}
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+}
+
+// ─── MetersView ───────────────────────────────────────────────
+const BLANK_METER = () => ({ name:"", icon:"⚡", color:"#a78bfa", type:"cumulative", unit:"kWh", role:"load", digits:"", profileText:"", vehicle:null });
+// Relative monthly weights for prorating readings of heating-driven meters
+const HEATING_PROFILE = [18, 15, 12, 8, 5, 3, 3, 3, 5, 9, 13, 16];
+
+// "3, 3, 2, …" → 12 weights, "" → null (spread evenly by days)
+function parseProfile(text) {
+  if (!text.trim()) return null;
+  const w = text.split(/[;,\s]+/).filter(Boolean).map(Number);
+  if (w.length !== 12 || w.some(v => !(v >= 0)) || !w.some(v => v > 0)) return undefined;
+  return w;
+}
+const BLANK_CHANGE = () => ({ year: CURRENT_YEAR, month: new Date().getMonth() + 1, oldFinal:"", newStart:"0" });
+
+function MetersView({ meters, records, onSave, onDelete, onAddChange, onDeleteChange, dark }) {
+  const [form, setForm] = useState(BLANK_METER());
+  const [error, setError] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [changeFor, setChangeFor] = useState(null);
+  const [change, setChange] = useState(BLANK_CHANGE());
+
+  const set = (k,v) => setForm(f => ({ ...f, [k]:v }));
+  const inp = (extra = {}) => inputStyle(dark, extra);
+
+  const handleSave = async () => {
+    if (!form.name.trim()) return setError("Zadejte název měřidla.");
+    const profile = parseProfile(form.profileText);
+    if (profile === undefined) return setError("Sezónní profil musí mít 12 nezáporných čísel (leden–prosinec).");
+    const { profileText: _profileText, ...meter } = form;
+    const role = form.unit === "kWh" ? form.role : "load";
+    const vehicle = form.unit === "kWh" && role === "load" && form.vehicle
+      ? { fuelPer100: Number(form.vehicle.fuelPer100) || 0, fuelPrice: Number(form.vehicle.fuelPrice) || 0 } : null;
+    await onSave({ ...meter, role, profile, vehicle, name: form.name.trim(), icon: form.icon.trim() || "⚡" });
+    setForm(BLANK_METER()); setError(null);
+  };
+
+  const openChange = (id) => { setChangeFor(changeFor === id ? null : id); setChange(BLANK_CHANGE()); };
+  const handleAddChange = async () => {
+    if (change.oldFinal === "" || change.newStart === "") return;
+    await onAddChange(changeFor, change);
+    setChangeFor(null);
+  };
+
+  return (
+    <>
+      <div style={{ ...D.card(dark), borderRadius:18, padding:20, marginBottom:16 }}>
+        <div style={{ display:"flex", alignItems:"flex-start", justifyContent:"space-between", marginBottom:16 }}>
+          <div>
+            <h2 style={{ ...D.txt1(dark), margin:0, fontSize:15, fontWeight:700 }}>
+              {form.id ? "✏️ Upravit měřidlo" : "➕ Nové měřidlo"}
+            </h2>
+            <p style={{ ...D.txt3(dark), margin:"4px 0 0", fontSize:12 }}>
+              Kumulativní měřidlo počítá spotřebu z rozdílu stavů, u přímé spotřeby se zadává rovnou hodnota za měsíc.
+            </p>
+          </div>
+          {form.id && (
+            <button onClick={() => { setForm(BLANK_METER()); setError(null); }} style={{
+              fontSize:12, padding:"6px 12px", borderRadius:8, cursor:"pointer",
+              background:"transparent", color: dark?"var(--nb-txt2)":"#64748b",
+              border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+            }}>Zrušit</button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3" style={{ marginBottom:14 }}>
+          <div>
+            <FieldLabel dark={dark}>Název</FieldLabel>
+            <input type="text" style={inp()} value={form.name} onChange={e=>set("name", e.target.value)} />
+          </div>
+          <div style={{ display:"grid", gridTemplateColumns:"1fr 1fr", gap:12 }}>
+            <div>
+              <FieldLabel dark={dark}>Ikona</FieldLabel>
+              <input type="text" maxLength={4} style={inp({ textAlign:"center" })} value={form.icon} onChange={e=>set("icon", e.target.value)} />
+            </div>
+            <div>
+              <FieldLabel dark={dark}>Barva</FieldLabel>
+              <input type="color" style={inp({ padding:4, height:42, cursor:"pointer" })} value={form.color} onChange={e=>set("color", e.target.value)} />
+            </div>
+          </div>
+          <div style={{ display:"grid", gridTemplateColumns:"2fr 1fr 1fr", gap:12 }}>
+            <div>
+              <FieldLabel dark={dark}>Typ</FieldLabel>
+              <select style={inp({ cursor:"pointer" })} value={form.type} onChange={e=>set("type", e.target.value)}>
+                {Object.entries(METER_TYPES).map(([k,label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+            </div>
+            <div>
+              <FieldLabel dark={dark}>Jednotka</FieldLabel>
+              <select style={inp({ cursor:"pointer" })} value={form.unit} onChange={e=>set("unit", e.target.value)}>
+                {METER_UNITS.map(u => <option key={u} value={u}>{u}</option>)}
+              </select>
+            </div>
+            <div>
+              <FieldLabel dark={dark}>Číslic</FieldLabel>
+              <input type="number" min={1} max={12} placeholder="–" disabled={form.type === "direct"}
+                title="Počet číslic počítadla – pro rozpoznání přetečení"
+                style={inp()} value={form.digits ?? ""} onChange={e=>set("digits", e.target.value)} />
+            </div>
+          </div>
         </div>
+
+        {form.type !== "direct" && (
+          <div style={{ marginBottom:14 }}>
+            <FieldLabel dark={dark}>Sezónní profil pro rozpočet mezi měsíce</FieldLabel>
+            <input type="text" placeholder="rovnoměrně podle dnů" style={inp()} value={form.profileText}
+              onChange={e=>set("profileText", e.target.value)} />
+            <button onClick={() => set("profileText", HEATING_PROFILE.join(", "))}
+              style={{ ...D.txt3(dark), fontSize:12, background:"none", border:"none", cursor:"pointer", padding:"6px 0 0", textDecoration:"underline" }}>
+              Vložit profil vytápění
+            </button>
+          </div>
+        )}
+
+        {form.unit === "kWh" && (
+          <div style={{ marginBottom:14 }}>
+            <FieldLabel dark={dark}>Role v energetické bilanci</FieldLabel>
+            <select style={inp({ cursor:"pointer", maxWidth:320 })} value={form.role ?? "load"} onChange={e=>set("role", e.target.value)}>
+              {Object.entries(METER_ROLES).map(([k,label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+            <p style={{ ...D.txt3(dark), fontSize:12, margin:"6px 0 0" }}>
+              Obousměrný elektroměr se zadává jako dvě měřidla: odběr (1.8.0) a dodávka (2.8.0). Výroba a dodávka
+              se nezapočítávají do spotřeby ani nákladů.
+            </p>
+          </div>
+        )}
+
+        {form.unit === "kWh" && (form.role ?? "load") === "load" && (
+          <div style={{ ...D.inner(dark), borderRadius:14, padding:14, marginBottom:14 }}>
+            <label style={{ display:"flex", alignItems:"center", gap:6, fontSize:13, cursor:"pointer", ...D.txt1(dark) }}>
+              <input type="checkbox" checked={!!form.vehicle}
+                onChange={e => set("vehicle", e.target.checked ? { ...DEFAULT_VEHICLE } : null)}/>
+              Nabíjení elektromobilu – sledovat tachometr a kWh/100 km
+            </label>
+            {form.vehicle && (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3" style={{ marginTop:12 }}>
+                <div>
+                  <FieldLabel dark={dark}>Srovnávací auto (l/100 km)</FieldLabel>
+                  <input type="number" step="0.1" style={inp()} value={form.vehicle.fuelPer100}
+                    onChange={e=>set("vehicle", { ...form.vehicle, fuelPer100: e.target.value })} />
+                </div>
+                <div>
+                  <FieldLabel dark={dark}>Cena benzínu / nafty (Kč/l)</FieldLabel>
+                  <input type="number" step="0.1" style={inp()} value={form.vehicle.fuelPrice}
+                    onChange={e=>set("vehicle", { ...form.vehicle, fuelPrice: e.target.value })} />
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && <p style={{ color:"#f87171", fontSize:13, margin:"0 0 12px" }}>{error}</p>}
+
+        <button onClick={handleSave} style={{
+          display:"flex", alignItems:"center", justifyContent:"center", gap:8,
+          padding:"11px 24px", borderRadius:12, border:"none", cursor:"pointer",
+          fontWeight:700, fontSize:14, width:"100%", maxWidth:220,
+          background:"#0ea5e9", color:"#fff", boxShadow:"0 4px 16px rgba(14,165,233,0.3)",
+        }}>
+          {form.id ? <><Check size={16}/>Uložit změny</> : <><Plus size={16}/>Přidat měřidlo</>}
+        </button>
+      </div>
+
+      <div style={{ ...D.card(dark), borderRadius:18 }}>
+        {meters.length === 0 && (
+          <p style={{ ...D.txt2(dark), padding:24, margin:0, textAlign:"center" }}>Není definováno žádné měřidlo.</p>
+        )}
+        {meters.map((m, i) => (
+          <div key={m.id} style={{ padding:"12px 16px", borderTop: i ? `1px solid ${dark?"var(--nb-border)":"#f1f5f9"}` : "none" }}>
+            <div style={{ display:"flex", alignItems:"center", gap:12 }}>
+              <span style={{ width:36, height:36, borderRadius:10, display:"flex", alignItems:"center", justifyContent:"center",
+                fontSize:18, background:`${m.color}22`, border:`1px solid ${m.color}` }}>{m.icon}</span>
+              <div style={{ flex:1, minWidth:0 }}>
+                <p style={{ ...D.txt1(dark), fontWeight:700, fontSize:14, margin:0 }}>{m.name}</p>
+                <p style={{ ...D.txt3(dark), fontSize:12, margin:"2px 0 0" }}>
+                  {METER_TYPES[m.type]} · {m.unit}{m.digits ? ` · ${m.digits} číslic` : ""}{meterRole(m) !== "load" ? ` · ${METER_ROLES[meterRole(m)]}` : ""}{m.vehicle ? " · elektromobil" : ""} · pole <code>{m.type === "direct" ? consField(m) : stateField(m)}</code>
+                </p>
+              </div>
+              {confirmDelete === m.id ? (
+                <div style={{ display:"flex", alignItems:"center", gap:6, whiteSpace:"nowrap" }}>
+                  <span style={{ color:"#f87171", fontSize:12 }}>Skrýt? Data zůstanou.</span>
+                  <button onClick={() => { onDelete(m.id); setConfirmDelete(null); }}
+                    style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"#ef4444",
+                      color:"#fff", border:"none", cursor:"pointer", fontWeight:600 }}>Ano</button>
+                  <button onClick={() => setConfirmDelete(null)}
+                    style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"transparent",
+                      border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+                      ...D.txt2(dark), cursor:"pointer" }}>Ne</button>
+                </div>
+              ) : (
+                <div style={{ display:"flex", gap:2 }}>
+                  {m.type !== "direct" && (
+                    <button onClick={() => openChange(m.id)} title="Výměna měřidla"
+                      style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px", fontSize:13,
+                        color: changeFor === m.id ? "#38bdf8" : dark?"var(--nb-txt3)":"#94a3b8" }}>🔄</button>
+                  )}
+                  <button onClick={() => { setForm({ ...BLANK_METER(), ...m, profileText: m.profile?.join(", ") ?? "" }); setError(null); window.scrollTo({ top:0, behavior:"smooth" }); }}
+                    title="Upravit" style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px", ...D.txt3(dark) }}>
+                    <Pencil size={14}/>
+                  </button>
+                  <button onClick={() => setConfirmDelete(m.id)} title="Odebrat"
+                    style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px", ...D.txt3(dark) }}>
+                    <Trash2 size={14}/>
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {/* Meter replacement events */}
+            {(m.changes || []).map(c => (
+              <div key={c.id} style={{ display:"flex", alignItems:"center", gap:8, fontSize:12, margin:"8px 0 0 48px", ...D.txt2(dark) }}>
+                <span>🔄 {MONTHS_CZ[c.month-1]} {c.year}: konečný stav <strong style={D.txt1(dark)}>{c.oldFinal}</strong>,
+                  nové měřidlo od <strong style={D.txt1(dark)}>{c.newStart}</strong></span>
+                <button onClick={() => onDeleteChange(m.id, c.id)} title="Smazat výměnu"
+                  style={{ background:"none", border:"none", cursor:"pointer", padding:"2px 4px", ...D.txt3(dark) }}>
+                  <Trash2 size={12}/>
+                </button>
+              </div>
+            ))}
+            {changeFor === m.id && (
+              <div style={{ ...D.inner(dark), borderRadius:12, padding:12, margin:"10px 0 0 48px" }}>
+                <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fit, minmax(110px, 1fr))", gap:10, marginBottom:10 }}>
+                  <div>
+                    <FieldLabel dark={dark}>Rok</FieldLabel>
+                    <select style={inp({ cursor:"pointer" })} value={change.year} onChange={e=>setChange(c => ({ ...c, year:Number(e.target.value) }))}>
+                      {yearOptions(records, change.year).map(y => <option key={y} value={y}>{y}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <FieldLabel dark={dark}>Měsíc</FieldLabel>
+                    <select style={inp({ cursor:"pointer" })} value={change.month} onChange={e=>setChange(c => ({ ...c, month:Number(e.target.value) }))}>
+                      {MONTHS_CZ.map((mn,idx) => <option key={idx+1} value={idx+1}>{mn}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <FieldLabel dark={dark}>Konečný stav starého</FieldLabel>
+                    <input type="number" style={inp()} value={change.oldFinal} onChange={e=>setChange(c => ({ ...c, oldFinal:e.target.value }))} />
+                  </div>
+                  <div>
+                    <FieldLabel dark={dark}>Počáteční stav nového</FieldLabel>
+                    <input type="number" style={inp()} value={change.newStart} onChange={e=>setChange(c => ({ ...c, newStart:e.target.value }))} />
+                  </div>
+                </div>
+                <button onClick={handleAddChange} style={{
+                  display:"flex", alignItems:"center", gap:6, padding:"7px 14px", borderRadius:10, border:"none",
+                  cursor:"pointer", fontWeight:700, fontSize:13, background:"#0ea5e9", color:"#fff",
+                }}><Check size={14}/>Zaznamenat výměnu</button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
+
+// ─── SettingsView ─────────────────────────────────────────────
+// Where the data lives: the Apps Script web app, a REST server (URL + token)
+// or this device only
+function syncLabel(sync) {
+  if (!sync.enabled)  return "💾 Data jen v tomto zařízení";
+  if (!sync.online)   return `📴 Offline${sync.pending ? ` – ${sync.pending} čeká na odeslání` : ""}`;
+  if (sync.error)     return `⚠️ ${sync.error}`;
+  if (sync.syncing)   return "🔄 Synchronizuji…";
+  if (sync.connected) return `✅ ${sync.kind} sync aktivní`;
+  return `⏳ Připojuji k ${sync.kind}…`;
+}
+
+function SettingsView({ backend, sync, property, onSave, dark }) {
+  const [form, setForm] = useState(backend);
+  const [test, setTest] = useState(null);
+  const [showToken, setShowToken] = useState(false);
+
+  const set = (k,v) => { setForm(f => ({ ...f, [k]:v })); setTest(null); };
+  const inp = (extra = {}) => inputStyle(dark, extra);
+  const remote = form.mode !== "local";
+  const rest = form.mode === "rest";
+  const changed = JSON.stringify(form) !== JSON.stringify(backend);
+
+  const validate = () => !remote || /^https?:\/\//.test(form.url.trim())
+    ? null : `Zadejte platnou adresu ${rest ? "API" : "webové aplikace"} (https://…).`;
+
+  const handleTest = async () => {
+    const invalid = validate();
+    if (invalid) return setTest({ ok:false, message: invalid });
+    setTest({ running:true, message:"Zkouším spojení…" });
+    try {
+      const res = await remoteFor({ ...form, url: form.url.trim() }).ping();
+      setTest({ ok:true, message:`Spojení v pořádku – na serveru je záznamů: ${res.rows}.` });
+    } catch (err) {
+      setTest({ ok:false, message:"Spojení selhalo: " + err.message });
+    }
+  };
+
+  const handleSave = () => {
+    const invalid = validate();
+    if (invalid) return setTest({ ok:false, message: invalid });
+    onSave({ mode: form.mode, url: form.url.trim(), token: form.token.trim() });
+  };
+
+  const modeBtn = (mode, label) => (
+    <button onClick={() => set("mode", mode)} style={{
+      flex:1, padding:"9px 12px", borderRadius:10, cursor:"pointer", fontSize:13, fontWeight:700,
+      border: form.mode === mode ? "1px solid #0ea5e9" : `1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+      background: form.mode === mode ? "rgba(14,165,233,0.15)" : "transparent",
+      color: form.mode === mode ? "#38bdf8" : dark?"var(--nb-txt2)":"#64748b",
+    }}>{label}</button>
+  );
+
+  return (
+    <div style={{ ...D.card(dark), borderRadius:18, padding:20, marginBottom:16 }}>
+      <h2 style={{ ...D.txt1(dark), margin:0, fontSize:15, fontWeight:700 }}>⚙️ Úložiště dat – {property.icon} {property.name}</h2>
+      <p style={{ ...D.txt3(dark), margin:"4px 0 16px", fontSize:12 }}>
+        Adresa i token se ukládají jen v tomto zařízení. Po připojení se data načtou ze serveru;
+        prázdný server převezme záznamy z tohoto zařízení.
+      </p>
+
+      <div style={{ ...D.inner(dark), borderRadius:10, padding:"8px 12px", marginBottom:16, fontSize:13, ...D.txt1(dark) }}>
+        {syncLabel(sync)}
       </div>
 
-      {/* Category cards — single col on mobile, 3 col on md+ */}
-      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3" style={{ marginBottom:14 }}>
-        {/* Household */}
-        <div style={{ ...D.inner(dark), borderRadius:14, padding:14 }}>
-          <div style={{ display:"flex", alignItems:"center", gap:8, marginBottom:10 }}>
-            <span style={{ fontSize:20 }}>🏠</span>
-            <span style={{ ...D.txt1(dark), fontWeight:600, fontSize:14 }}>Domácnost</span>
-          </div>
-          <LBL>Stav elektroměru</LBL>
-          <input type="number" placeholder="" style={inp()} value={form.householdState} onChange={e=>set("householdState",e.target.value)} />
-          {preview && (
-            <p style={{ ...D.txt2(dark), fontSize:12, margin:"6px 0 0" }}>
-              {preview.prevH != null ? `Předch.: ${preview.prevH} → ` : "Bez předch. → "}
-              <span style={{ color:"#38bdf8", fontWeight:700 }}>
-                {override.household && form.householdConsumptionOverride != null ? form.householdConsumptionOverride : preview.household} kWh
-              </span>
-            </p>
-          )}
-          <button style={{ ...D.txt3(dark), fontSize:12, background:"none", border:"none", cursor:"pointer", padding:"6px 0 2px", textDecoration:"underline" }}
-            onClick={() => setOverride(o=>({ ...o, household:!o.household }))}>
-            {override.household ? "Skrýt ruční přepis" : "Zadat spotřebu ručně"}
-          </button>
-          {override.household && (
-            <input type="number" placeholder="" style={{ ...inp(), marginTop:8 }}
-              value={form.householdConsumptionOverride??""} onChange={e=>set("householdConsumptionOverride", e.target.value!==""?e.target.value:null)} />
-          )}
-        </div>
+      <div style={{ display:"flex", gap:8, marginBottom:14, maxWidth:560 }}>
+        {Object.entries(BACKEND_MODES).map(([mode, label]) => modeBtn(mode, label))}
+      </div>
 
-        {/* Car */}
-        <div style={{ ...D.inner(dark), borderRadius:14, padding:14 }}>
-          <div style={{ display:"flex", alignItems:"center", gap:8, marginBottom:10 }}>
-            <span style={{ fontSize:20 }}>🚗</span>
-            <span style={{ ...D.txt1(dark), fontWeight:600, fontSize:14 }}>Auto</span>
+      {remote && (
+        <div style={{ display:"grid", gap:12, marginBottom:14 }}>
+          <div>
+            <FieldLabel dark={dark}>{rest ? "Adresa API" : "Adresa webové aplikace (Apps Script)"}</FieldLabel>
+            <input type="url" style={inp()} value={form.url}
+              placeholder={rest ? "https://example.com/api/energy" : "https://script.google.com/macros/s/…/exec"}
+              onChange={e=>set("url", e.target.value)} />
           </div>
-          <LBL>Stav elektroměru</LBL>
-          <input type="number" placeholder="" style={inp()} value={form.carState} onChange={e=>set("carState",e.target.value)} />
-          {preview && (
-            <p style={{ ...D.txt2(dark), fontSize:12, margin:"6px 0 0" }}>
-              {preview.prevC != null ? `Předch.: ${preview.prevC} → ` : "Bez předch. → "}
-              <span style={{ color:"#34d399", fontWeight:700 }}>
-                {override.car && form.carConsumptionOverride != null ? form.carConsumptionOverride : preview.car} kWh
-              </span>
-            </p>
-          )}
-          <button style={{ ...D.txt3(dark), fontSize:12, background:"none", border:"none", cursor:"pointer", padding:"6px 0 2px", textDecoration:"underline" }}
-            onClick={() => setOverride(o=>({ ...o, car:!o.car }))}>
-            {override.car ? "Skrýt ruční přepis" : "Zadat spotřebu ručně"}
-          </button>
-          {override.car && (
-            <input type="number" placeholder="" style={{ ...inp(), marginTop:8 }}
-              value={form.carConsumptionOverride??""} onChange={e=>set("carConsumptionOverride", e.target.value!==""?e.target.value:null)} />
-          )}
-        </div>
-
-        {/* Bojler */}
-        <div style={{ ...D.inner(dark), borderRadius:14, padding:14 }}>
-          <div style={{ display:"flex", alignItems:"center", gap:8, marginBottom:10 }}>
-            <span style={{ fontSize:20 }}>🛁</span>
-            <span style={{ ...D.txt1(dark), fontWeight:600, fontSize:14 }}>Bojler</span>
+          <div>
+            <FieldLabel dark={dark}>{rest ? "Token (posílá se jako Bearer)" : "Token (SECRET ze skriptu)"}</FieldLabel>
+            {rest && (
+              <p style={{ ...D.txt3(dark), margin:"0 0 6px", fontSize:11 }}>
+                Server musí odpovídat na GET /ping, GET /data a POST /sync stejně jako skript pro Google Sheets.
+              </p>
+            )}
+            <div style={{ display:"flex", gap:8 }}>
+              <input type={showToken ? "text" : "password"} style={inp()} value={form.token} autoComplete="off"
+                onChange={e=>set("token", e.target.value)} />
+              <button onClick={() => setShowToken(v=>!v)} title={showToken ? "Skrýt token" : "Zobrazit token"} style={{
+                padding:"0 12px", borderRadius:10, cursor:"pointer", background:"transparent",
+                border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`, color: dark?"var(--nb-txt2)":"#64748b",
+              }}>{showToken ? <EyeOff size={16}/> : <Eye size={16}/>}</button>
+            </div>
           </div>
-          <LBL>Spotřeba (kWh)</LBL>
-          <input type="number" placeholder="" style={inp()} value={form.bojlerConsumption} onChange={e=>set("bojlerConsumption",e.target.value)} />
-          <p style={{ ...D.txt3(dark), fontSize:12, margin:"8px 0 0" }}>Přímý vstup spotřeby</p>
         </div>
-      </div>
+      )}
 
-      {/* Preview strip */}
-      {preview && (
-        <div style={{ ...D.inner(dark), borderRadius:12, padding:"10px 16px", marginBottom:16,
-          display:"flex", flexWrap:"wrap", alignItems:"center", gap:16, fontSize:13 }}>
-          <span style={D.txt2(dark)}>Náhled:</span>
-          <span style={{ color:"#38bdf8", fontWeight:600 }}>🏠 {preview.household} kWh</span>
-          <span style={{ color:"#34d399", fontWeight:600 }}>🚗 {preview.car} kWh</span>
-          <span style={{ color:"#fb923c", fontWeight:600 }}>🛁 {form.bojlerConsumption||0} kWh</span>
-          <span style={{ ...D.txt1(dark), fontWeight:700 }}>∑ {preview.household+preview.car} kWh</span>
-        </div>
+      {test && (
+        <p style={{ fontSize:13, margin:"0 0 12px", color: test.running ? "#38bdf8" : test.ok ? "#34d399" : "#f87171" }}>
+          {test.message}
+        </p>
       )}
 
-      {/* Save button — full width on mobile */}
-      <button onClick={handleSave} style={{
-        display:"flex", alignItems:"center", justifyContent:"center", gap:8,
-        padding:"11px 24px", borderRadius:12, border:"none", cursor:"pointer",
-        fontWeight:700, fontSize:14, width:"100%", maxWidth:220,
-        background: saved==="merged" ? "#f59e0b" : saved==="saved" ? "#10b981" : "#0ea5e9",
-        color:"#fff", boxShadow: saved ? "none" : "0 4px 16px rgba(14,165,233,0.3)",
-        transition:"background 0.2s",
-      }}>
-        {saved==="merged" ? <><Check size={16}/>Sloučeno!</>
-         :saved==="saved"  ? <><Check size={16}/>Uloženo!</>
-         :editRecord       ? <><Check size={16}/>Uložit změny</>
-         :                   <><Plus  size={16}/>Uložit záznam</>}
-      </button>
+      <div style={{ display:"flex", gap:8, flexWrap:"wrap" }}>
+        {remote && (
+          <button onClick={handleTest} disabled={test?.running} style={{
+            display:"flex", alignItems:"center", gap:8, padding:"11px 20px", borderRadius:12, cursor:"pointer",
+            fontWeight:700, fontSize:14, background:"transparent", color:"#38bdf8", border:"1px solid #0ea5e9",
+          }}><RefreshCw size={16}/>Otestovat spojení</button>
+        )}
+        <button onClick={handleSave} disabled={!changed} style={{
+          display:"flex", alignItems:"center", justifyContent:"center", gap:8,
+          padding:"11px 24px", borderRadius:12, border:"none", cursor: changed ? "pointer" : "default",
+          fontWeight:700, fontSize:14, opacity: changed ? 1 : 0.5,
+          background:"#0ea5e9", color:"#fff", boxShadow:"0 4px 16px rgba(14,165,233,0.3)",
+        }}><Check size={16}/>Uložit nastavení</button>
+      </div>
     </div>
   );
 }
 
-// ─── DataTable ────────────────────────────────────────────────
-function DataTable({ records, onEdit, onDelete, dark }) {
-  const allYears = useMemo(() =>
-    [...new Set(records.map(r => r.year))].sort((a,b) => a-b), [records]);
-  const [activeYear, setActiveYear] = useState(null); // null = všechny roky
-
-  // Pokud přibude nový rok a žádný není aktivní, nechej "Vše" aktivní
-  const filtered = useMemo(() =>
-    activeYear === null ? sortAsc(records) : sortAsc(records.filter(r => r.year === activeYear)),
-    [records, activeYear]
-  );
+// ─── PropertiesView ───────────────────────────────────────────
+// Adding, renaming and removing properties. Removing one deletes its data
+// from this device – a connected sheet keeps its copy.
+const BLANK_PROPERTY = () => ({ name:"", icon:"🏡" });
 
+function PropertiesView({ properties, activeId, onSave, onDelete, onSelect, dark }) {
+  const [form, setForm] = useState(BLANK_PROPERTY());
   const [confirmDelete, setConfirmDelete] = useState(null);
-  const editAndScroll = (r) => { onEdit(r); window.scrollTo({ top:0, behavior:"smooth" }); };
+  const [error, setError] = useState(null);
+  const set = (k,v) => setForm(f => ({ ...f, [k]:v }));
+  const inp = (extra = {}) => inputStyle(dark, extra);
 
-  const TH = ({ children, right, sticky, dark: thDark }) => (
-    <th style={{
-      textAlign: right ? "right" : "left",
-      padding:"11px 14px", fontSize:11,
-      fontWeight:700, textTransform:"uppercase", letterSpacing:"0.08em",
-      color: dark?"var(--nb-txt3)":"#94a3b8",
-      whiteSpace:"nowrap",
-      borderBottom:`2px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
-      ...(sticky ? {
-        position:"sticky", top:0, zIndex:2,
-        background: dark?"var(--nb-card)":"#fff",
-      } : {}),
-    }}>{children}</th>
-  );
+  const handleDelete = async (id) => {
+    setConfirmDelete(null);
+    try {
+      await onDelete(id);
+      setError(null);
+    } catch (err) {
+      setError("Smazání dat v zařízení selhalo: " + err.message);
+    }
+  };
 
-  const TD = ({ children, right, style }) => (
-    <td style={{ padding:"10px 14px", fontSize:13, textAlign: right?"right":"left", verticalAlign:"middle", ...style }}>
-      {children}
-    </td>
-  );
+  const handleSave = () => {
+    if (!form.name.trim()) return;
+    onSave({ ...form, name: form.name.trim(), icon: form.icon.trim() || "🏡" });
+    setForm(BLANK_PROPERTY());
+  };
 
-  // Součty za filtrované záznamy
-  const totH = filtered.reduce((s,r) => s + (r.householdConsumption||0), 0);
-  const totC = filtered.reduce((s,r) => s + (r.carConsumption||0), 0);
-  const totB = filtered.reduce((s,r) => s + (r.bojlerConsumption||0), 0);
-  const totT = filtered.reduce((s,r) => s + (r.totalConsumption||0), 0);
+  return (
+    <div style={{ ...D.card(dark), borderRadius:18, padding:20, marginBottom:16 }}>
+      <h2 style={{ ...D.txt1(dark), margin:0, fontSize:15, fontWeight:700 }}>🏘️ Nemovitosti</h2>
+      <p style={{ ...D.txt3(dark), margin:"4px 0 16px", fontSize:12 }}>
+        Každá nemovitost má vlastní odečty, měřidla, ceníky i úložiště dat. Přepíná se v záhlaví.
+      </p>
 
-  if (!records.length) return (
-    <div style={{ ...D.card(dark), borderRadius:18, padding:40, textAlign:"center" }}>
-      <Table size={40} style={{ ...D.txt3(dark), display:"block", margin:"0 auto 12px" }} />
-      <p style={D.txt2(dark)}>Zatím nejsou přidána žádná data.</p>
+      {properties.map(p => (
+        <div key={p.id} style={{ display:"flex", alignItems:"center", gap:10, padding:"8px 0",
+          borderBottom:`1px solid ${dark?"var(--nb-border)":"#f1f5f9"}` }}>
+          <span style={{ fontSize:18 }}>{p.icon}</span>
+          <span style={{ ...D.txt1(dark), fontWeight:700, fontSize:14, flex:1 }}>
+            {p.name}
+            {p.id === activeId && <span style={{ color:"#38bdf8", fontSize:11, marginLeft:8 }}>aktivní</span>}
+          </span>
+          {confirmDelete === p.id ? (
+            <div style={{ display:"flex", alignItems:"center", gap:6, whiteSpace:"nowrap" }}>
+              <span style={{ color:"#f87171", fontSize:12 }}>Smazat i data v zařízení?</span>
+              <button onClick={() => handleDelete(p.id)}
+                style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"#ef4444",
+                  color:"#fff", border:"none", cursor:"pointer", fontWeight:600 }}>Ano</button>
+              <button onClick={() => setConfirmDelete(null)}
+                style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"transparent",
+                  border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
+                  ...D.txt2(dark), cursor:"pointer" }}>Ne</button>
+            </div>
+          ) : (
+            <div style={{ display:"flex", gap:2 }}>
+              {p.id !== activeId && (
+                <button onClick={() => onSelect(p.id)} style={{ fontSize:12, padding:"4px 10px", borderRadius:8, cursor:"pointer",
+                  background:"transparent", color:"#38bdf8", border:"1px solid #0ea5e9" }}>Přepnout</button>
+              )}
+              <button onClick={() => setForm(p)} title="Upravit"
+                style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px", ...D.txt3(dark) }}>
+                <Pencil size={14}/>
+              </button>
+              {p.id !== DEFAULT_PROPERTY.id && (
+                <button onClick={() => setConfirmDelete(p.id)} title="Smazat"
+                  style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px", ...D.txt3(dark) }}>
+                  <Trash2 size={14}/>
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {error && <p style={{ color:"#f87171", fontSize:13, margin:"12px 0 0" }}>{error}</p>}
+
+      <div style={{ display:"grid", gridTemplateColumns:"64px 1fr auto", gap:8, alignItems:"end", marginTop:14 }}>
+        <div>
+          <FieldLabel dark={dark}>Ikona</FieldLabel>
+          <input type="text" maxLength={4} style={inp({ textAlign:"center" })} value={form.icon} onChange={e=>set("icon", e.target.value)} />
+        </div>
+        <div>
+          <FieldLabel dark={dark}>{form.id ? "Přejmenovat" : "Nová nemovitost"}</FieldLabel>
+          <input type="text" style={inp()} value={form.name} placeholder="např. Chata"
+            onChange={e=>set("name", e.target.value)} onKeyDown={e => e.key === "Enter" && handleSave()} />
+        </div>
+        <button onClick={handleSave} disabled={!form.name.trim()} style={{
+          display:"flex", alignItems:"center", gap:6, padding:"11px 16px", borderRadius:10, border:"none",
+          cursor: form.name.trim() ? "pointer" : "default", fontWeight:700, fontSize:13,
+          background:"#0ea5e9", color:"#fff", opacity: form.name.trim() ? 1 : 0.5,
+        }}>{form.id ? <><Check size={14}/>Uložit</> : <><Plus size={14}/>Přidat</>}</button>
+      </div>
     </div>
   );
+}
 
-  return (
-    <div style={{ ...D.card(dark), borderRadius:18 }}>
-
-      {/* ── Přepínače roků ── */}
-      <div style={{
-        display:"flex", alignItems:"center", flexWrap:"wrap", gap:6,
-        padding:"12px 16px",
-        borderBottom:`1px solid ${dark?"var(--nb-border)":"#f1f5f9"}`,
-        borderRadius:"18px 18px 0 0",
-      }}>
-        {[null, ...allYears].map(y => {
-          const isActive = activeYear === y;
-          return (
-            <button key={y ?? "all"} onClick={() => setActiveYear(y)} style={{
-              padding:"5px 14px", borderRadius:999, fontSize:12, fontWeight:700,
-              border:"none", cursor:"pointer", transition:"all 0.15s",
-              background: isActive ? "#0ea5e9" : dark ? "var(--nb-hover)" : "#f1f5f9",
-              color: isActive ? "#fff" : dark ? "var(--nb-txt2)" : "#64748b",
-              boxShadow: isActive ? "0 2px 10px rgba(14,165,233,0.35)" : "none",
-            }}>
-              {y === null ? "Vše" : y}
-            </button>
-          );
-        })}
+// ─── HistoryView ──────────────────────────────────────────────
+// Change log of all devices, newest first. Only this device's newest entry
+// can be undone; deleted records can be brought back while their month is free.
+function HistoryView({ log, records, meters, device, onUndo, onRestore, onRenameDevice, dark }) {
+  const [open, setOpen] = useState(null);
+  const [name, setName] = useState(device.name);
+  const own = lastOwnEntry(log, device);
+  const undoable = canRevert(records, own);
+  const restorable = rec => !records.some(r => r.id === rec.id || (r.year === rec.year && r.month === rec.month));
+  const time = at => new Date(at).toLocaleString("cs-CZ", { day:"numeric", month:"numeric", year:"numeric", hour:"2-digit", minute:"2-digit" });
 
-        {/* Součty vpravo */}
-        <div style={{ marginLeft:"auto", display:"flex", flexWrap:"wrap", gap:"4px 16px", fontSize:12 }}>
-          <span style={{ color:"#38bdf8", fontWeight:700 }}>🏠 {Math.round(totH)} kWh</span>
-          <span style={{ color:"#34d399", fontWeight:700 }}>🚗 {Math.round(totC)} kWh</span>
-          <span style={{ color:"#fb923c", fontWeight:700 }}>🛁 {Math.round(totB)} kWh</span>
-          <span style={{ ...D.txt1(dark), fontWeight:800 }}>∑ {Math.round(totT)} kWh</span>
+  const change = c => {
+    const rec = c.after ?? c.before;
+    const [sign, color] = !c.before ? ["+", "#34d399"] : !c.after ? ["−", "#f87171"] : ["~", "#38bdf8"];
+    const lines = c.before && c.after ? changedFields(c.before, c.after, meters) : [];
+    return (
+      <div key={c.id} style={{ ...D.inner(dark), borderRadius:10, padding:"6px 12px", marginBottom:4, fontSize:12 }}>
+        <div style={{ display:"flex", alignItems:"center", justifyContent:"space-between", gap:8 }}>
+          <span style={{ ...D.txt1(dark), fontWeight:700 }}><span style={{ color }}>{sign}</span> {periodLabel(rec)}</span>
+          {!c.after && restorable(c.before) && (
+            <button onClick={() => onRestore(c.before)} style={{
+              display:"flex", alignItems:"center", gap:4, fontSize:12, padding:"3px 10px", borderRadius:8,
+              cursor:"pointer", background:"transparent", border:"1px solid #34d399", color:"#34d399", fontWeight:700,
+            }}><RotateCcw size={12}/>Obnovit</button>
+          )}
         </div>
+        {lines.map(l => (
+          <div key={l.label} style={{ display:"flex", justifyContent:"space-between", gap:8, ...D.txt2(dark) }}>
+            <span>{l.label}</span><span>{l.before || "—"} → <strong style={D.txt1(dark)}>{l.after || "—"}</strong></span>
+          </div>
+        ))}
       </div>
+    );
+  };
 
-      {/* ── Tabulka s limitem výšky při "Vše" ── */}
-      <div style={{
-        overflowX:"auto",
-        overflowY: activeYear === null ? "auto" : "visible",
-        maxHeight: activeYear === null ? "576px" : "none",
-        WebkitOverflowScrolling:"touch",
-        borderRadius:"0 0 18px 18px",
-      }}>
-        <table style={{ width:"100%", borderCollapse:"collapse", minWidth:560 }}>
-          <thead>
-            <tr>
-              <TH sticky={activeYear === null} dark={dark}>Datum</TH>
-              <TH sticky={activeYear === null} dark={dark}>🏠 Stav</TH>
-              <TH sticky={activeYear === null} dark={dark} right>Dom. kWh</TH>
-              <TH sticky={activeYear === null} dark={dark}>🚗 Stav</TH>
-              <TH sticky={activeYear === null} dark={dark} right>Auto kWh</TH>
-              <TH sticky={activeYear === null} dark={dark} right>🛁 Bojler</TH>
-              <TH sticky={activeYear === null} dark={dark} right>∑ Celkem</TH>
-              <TH sticky={activeYear === null} dark={dark}></TH>
-            </tr>
-          </thead>
-          <tbody>
-            {filtered.length === 0 ? (
-              <tr>
-                <td colSpan={8} style={{ padding:"32px 16px", textAlign:"center", ...D.txt2(dark) }}>
-                  Žádné záznamy pro rok {activeYear}.
-                </td>
-              </tr>
-            ) : filtered.map(r => (
-              <tr key={r.id}
-                style={{ borderBottom:`1px solid ${dark?"var(--nb-border)":"#f8fafc"}`, transition:"background 0.12s" }}
-                onMouseEnter={e => e.currentTarget.style.background = dark?"var(--nb-hover)":"#f8fafc"}
-                onMouseLeave={e => e.currentTarget.style.background = "transparent"}>
+  return (
+    <div style={{ ...D.card(dark), borderRadius:18, padding:20, marginBottom:16 }}>
+      <div style={{ display:"flex", alignItems:"flex-start", justifyContent:"space-between", gap:12, flexWrap:"wrap", marginBottom:16 }}>
+        <div>
+          <h2 style={{ ...D.txt1(dark), margin:0, fontSize:15, fontWeight:700 }}>🕘 Historie změn</h2>
+          <p style={{ ...D.txt3(dark), margin:"4px 0 0", fontSize:12 }}>
+            Posledních {LOG_LIMIT} změn ze všech zařízení. Vrátit lze poslední změnu z tohoto zařízení, pokud na ni mezitím nic nenavázalo.
+          </p>
+        </div>
+        <button onClick={onUndo} disabled={!undoable} title={own ? `${time(own.at)} – ${own.summary}` : undefined} style={{
+          display:"flex", alignItems:"center", gap:6, fontSize:13, padding:"9px 16px", borderRadius:10,
+          border:"none", cursor: undoable ? "pointer" : "default", fontWeight:700, opacity: undoable ? 1 : 0.5,
+          background:"#0ea5e9", color:"#fff", maxWidth:320,
+        }}><Undo2 size={14} style={{ flexShrink:0 }}/>
+          <span style={{ overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap" }}>
+            {undoable ? `Vrátit: ${own.summary}` : "Vrátit poslední změnu"}
+          </span>
+        </button>
+      </div>
 
-                <TD>
-                  <div style={{ display:"flex", alignItems:"center", gap:6, whiteSpace:"nowrap" }}>
-                    <span style={{ background: dark?"#0f2038":"#eff6ff", color: dark?"#38bdf8":"#2563eb",
-                      fontSize:10, fontWeight:800, padding:"2px 7px", borderRadius:999 }}>{r.year}</span>
-                    <span style={{ ...D.txt1(dark), fontWeight:600 }}>{MONTHS_CZ[r.month-1]}</span>
-                  </div>
-                </TD>
-                <TD><span style={D.txt3(dark)}>{r.householdState}</span></TD>
-                <TD right><span style={{ color:"#38bdf8", fontWeight:700 }}>{r.householdConsumption}</span></TD>
-                <TD><span style={D.txt3(dark)}>{r.carState}</span></TD>
-                <TD right><span style={{ color:"#34d399", fontWeight:700 }}>{r.carConsumption}</span></TD>
-                <TD right><span style={{ color:"#fb923c", fontWeight:700 }}>{r.bojlerConsumption}</span></TD>
-                <TD right>
-                  <span style={{
-                    ...D.txt1(dark), fontWeight:800, fontSize:14,
-                    background: dark?"#0f2038":"#eff6ff",
-                    color: dark?"#7dd3fc":"#1d4ed8",
-                    padding:"2px 10px", borderRadius:8, whiteSpace:"nowrap",
-                  }}>{r.totalConsumption} kWh</span>
-                </TD>
-                <TD>
-                  {confirmDelete===r.id ? (
-                    <div style={{ display:"flex", alignItems:"center", gap:6, whiteSpace:"nowrap" }}>
-                      <span style={{ color:"#f87171", fontSize:12 }}>Smazat?</span>
-                      <button onClick={() => { onDelete(r.id); setConfirmDelete(null); }}
-                        style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"#ef4444",
-                          color:"#fff", border:"none", cursor:"pointer", fontWeight:600 }}>Ano</button>
-                      <button onClick={() => setConfirmDelete(null)}
-                        style={{ fontSize:12, padding:"3px 9px", borderRadius:7, background:"transparent",
-                          border:`1px solid ${dark?"var(--nb-border2)":"#e2e8f0"}`,
-                          ...D.txt2(dark), cursor:"pointer" }}>Ne</button>
-                    </div>
-                  ) : (
-                    <div style={{ display:"flex", gap:2 }}>
-                      <button onClick={() => editAndScroll(r)} title="Upravit"
-                        style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px",
-                          ...D.txt3(dark), borderRadius:7, transition:"color 0.12s" }}
-                        onMouseEnter={e => e.currentTarget.style.color="#38bdf8"}
-                        onMouseLeave={e => e.currentTarget.style.color=dark?"var(--nb-txt3)":"#94a3b8"}>
-                        <Pencil size={14}/>
-                      </button>
-                      <button onClick={() => setConfirmDelete(r.id)} title="Smazat"
-                        style={{ background:"none", border:"none", cursor:"pointer", padding:"5px 6px",
-                          ...D.txt3(dark), borderRadius:7, transition:"color 0.12s" }}
-                        onMouseEnter={e => e.currentTarget.style.color="#f87171"}
-                        onMouseLeave={e => e.currentTarget.style.color=dark?"var(--nb-txt3)":"#94a3b8"}>
-                        <Trash2 size={14}/>
-                      </button>
-                    </div>
-                  )}
-                </TD>
-              </tr>
-            ))}
-          </tbody>
-        </table>
+      <div style={{ display:"flex", alignItems:"flex-end", gap:8, marginBottom:16, maxWidth:420 }}>
+        <div style={{ flex:1 }}>
+          <FieldLabel dark={dark}>Název tohoto zařízení</FieldLabel>
+          <input style={inputStyle(dark)} value={name} onChange={e => setName(e.target.value)}/>
+        </div>
+        <button onClick={() => onRenameDevice(name.trim())} disabled={!name.trim() || name.trim() === device.name} style={{
+          padding:"10px 14px", borderRadius:10, cursor:"pointer", background:"transparent", fontWeight:700, fontSize:13,
+          border:"1px solid #0ea5e9", color:"#38bdf8", opacity: !name.trim() || name.trim() === device.name ? 0.5 : 1,
+        }}><Check size={14}/></button>
       </div>
+
+      {log.length === 0 ? (
+        <p style={{ ...D.txt3(dark), fontSize:13, margin:0 }}>Zatím žádné změny.</p>
+      ) : log.map(e => {
+        const action = LOG_ACTIONS[e.action] ?? { label: e.action, color: "#94a3b8" };
+        return (
+          <div key={e.id} style={{ borderTop:`1px solid ${dark?"var(--nb-border)":"#f1f5f9"}`, padding:"10px 0" }}>
+            <button onClick={() => setOpen(o => o === e.id ? null : e.id)} style={{
+              display:"flex", alignItems:"center", gap:10, width:"100%", textAlign:"left", flexWrap:"wrap",
+              background:"none", border:"none", cursor:"pointer", padding:0, fontSize:13,
+            }}>
+              <span style={{ ...D.txt3(dark), fontSize:12, minWidth:120 }}>{time(e.at)}</span>
+              <span style={{ fontSize:11, fontWeight:700, padding:"2px 8px", borderRadius:999,
+                color:action.color, background:`${action.color}22` }}>{action.label}</span>
+              <span style={{ ...D.txt1(dark), fontWeight:600, flex:1 }}>{e.summary}</span>
+              <span style={{ ...D.txt3(dark), fontSize:12 }}>
+                {e.device}{e.changes.length > 0 && ` · ${e.changes.length} ${e.changes.length === 1 ? "záznam" : e.changes.length < 5 ? "záznamy" : "záznamů"}`}
+              </span>
+            </button>
+            {open === e.id && e.changes.length > 0 && (
+              <div style={{ marginTop:8 }}>{e.changes.map(change)}</div>
+            )}
+          </div>
+        );
+      })}
     </div>
   );
 }
 
+// ─── SyncStatus ───────────────────────────────────────────────
+// Header badge: online/offline, running sync and the number of queued writes.
+// Clicking it retries right away.
+function SyncStatus({ sync, onSync, dark }) {
+  if (!sync.enabled) return null;
+  const waiting = sync.pending ? ` – ${sync.pending} ${sync.pending === 1 ? "změna čeká" : sync.pending < 5 ? "změny čekají" : "změn čeká"} na odeslání` : "";
+  const [Icon, color, title] =
+      !sync.online  ? [CloudOff,    "#fbbf24", "Offline – změny se uloží v zařízení" + waiting]
+    : sync.syncing  ? [RefreshCw,   "#38bdf8", `Synchronizuji s ${sync.kind}…`]
+    : sync.error    ? [AlertCircle, "#f87171", sync.error + waiting]
+    : sync.pending  ? [RefreshCw,   "#fbbf24", "Čeká na synchronizaci" + waiting]
+    :                 [Cloud,       "#34d399", `Synchronizováno s ${sync.kind}`];
+  return (
+    <button onClick={onSync} title={title} style={{
+      display:"flex", alignItems:"center", gap:5, padding:"5px 8px", borderRadius:10, cursor:"pointer",
+      background:"transparent", border:`1px solid ${dark?"var(--nb-border)":"#e2e8f0"}`, color,
+      fontSize:12, fontWeight:700,
+    }}>
+      <Icon size={16} style={sync.syncing ? { animation:"spin 1s linear infinite" } : undefined}/>
+      {sync.pending > 0 && <span>{sync.pending}</span>}
+    </button>
+  );
+}
+
+// ─── PropertySwitcher ─────────────────────────────────────────
+function PropertySwitcher({ properties, activeId, onSelect, onManage, dark }) {
+  return (
+    <select value={activeId} title="Nemovitost"
+      onChange={e => e.target.value === "" ? onManage() : onSelect(e.target.value)}
+      style={inputStyle(dark, { width:"auto", maxWidth:170, padding:"6px 10px", fontSize:13, fontWeight:700, cursor:"pointer" })}>
+      {properties.map(p => <option key={p.id} value={p.id}>{p.icon} {p.name}</option>)}
+      <option value="">➕ Spravovat…</option>
+    </select>
+  );
+}
+
 // ─── WaffleMenu ───────────────────────────────────────────────
-function WaffleMenu({ dark, onToggleDark, onExport, onImport }) {
+function WaffleMenu({ dark, sync, backup, onToggleDark, onExport, onImport, onImportCsv, onImportWeather, onImportIntervals, onImportSpot, onRestoreBackup, onOpenMeters, onOpenHistory, onOpenSettings }) {
   const [open, setOpen] = useState(false);
   const ref = useRef(null);
   const fileRef = useRef(null);
+  // One input for all CSV imports – `csvTarget` is the import it was opened for
+  const csvRef = useRef(null);
+  const csvTarget = useRef(null);
 
   useEffect(() => {
     const h = e => { if (ref.current && !ref.current.contains(e.target)) setOpen(false); };
@@ -838,17 +5725,23 @@ function WaffleMenu({ dark, onToggleDark, onExport, onImport }) {
   }, []);
 
   const handleExport = () => {
-    const blob = new Blob([onExport()], { type:"application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href=url; a.download=`spotreba_${new Date().toISOString().slice(0,10)}.json`; a.click();
-    URL.revokeObjectURL(url); setOpen(false);
+    downloadFile(`spotreba_${new Date().toISOString().slice(0,10)}.json`, onExport(), "application/json");
+    setOpen(false);
   };
 
   const handleImport = e => {
     const file = e.target.files[0]; if (!file) return;
     const reader = new FileReader();
-    reader.onload = ev => { try { onImport(JSON.parse(ev.target.result)); setOpen(false); } catch { alert("Neplatný JSON."); } };
+    reader.onload = ev => { try { onImport(JSON.parse(ev.target.result), file.name); setOpen(false); } catch { alert("Neplatný JSON."); } };
+    reader.readAsText(file); e.target.value="";
+  };
+
+  const pickCsv = onText => { csvTarget.current = onText; csvRef.current?.click(); };
+  const handleImportCsv = e => {
+    const file = e.target.files[0]; if (!file) return;
+    const onText = csvTarget.current;
+    const reader = new FileReader();
+    reader.onload = ev => { onText(ev.target.result, file.name); setOpen(false); };
     reader.readAsText(file); e.target.value="";
   };
 
@@ -893,10 +5786,46 @@ function WaffleMenu({ dark, onToggleDark, onExport, onImport }) {
             onMouseLeave={e=>e.currentTarget.style.background="transparent"} onClick={() => fileRef.current?.click()}>
             <Upload size={16} style={{ color:"#38bdf8" }}/> Importovat data (JSON)
           </button>
+          <button style={btnStyle} onMouseEnter={e=>e.currentTarget.style.background=dark?"var(--nb-hover)":"#f8fafc"}
+            onMouseLeave={e=>e.currentTarget.style.background="transparent"} onClick={() => pickCsv(onImportCsv)}>
+            <FileSpreadsheet size={16} style={{ color:"#fbbf24" }}/> Importovat odečty (CSV)
+          </button>
+          <button style={btnStyle} onMouseEnter={e=>e.currentTarget.style.background=dark?"var(--nb-hover)":"#f8fafc"}
+            onMouseLeave={e=>e.currentTarget.style.background="transparent"} onClick={() => pickCsv(onImportWeather)}>
+            <Thermometer size={16} style={{ color:"#fb923c" }}/> Importovat teploty (CSV)
+          </button>
+          <button style={btnStyle} onMouseEnter={e=>e.currentTarget.style.background=dark?"var(--nb-hover)":"#f8fafc"}
+            onMouseLeave={e=>e.currentTarget.style.background="transparent"} onClick={() => pickCsv(onImportIntervals)}>
+            <Activity size={16} style={{ color:"#f87171" }}/> Importovat průběhy (CSV)
+          </button>
+          <button style={btnStyle} onMouseEnter={e=>e.currentTarget.style.background=dark?"var(--nb-hover)":"#f8fafc"}
+            onMouseLeave={e=>e.currentTarget.style.background="transparent"} onClick={() => pickCsv(onImportSpot)}>
+            <TrendingUp size={16} style={{ color:"#fbbf24" }}/> Importovat spotové ceny (CSV)
+          </button>
+          {backup && (
+            <button style={btnStyle} onMouseEnter={e=>e.currentTarget.style.background=dark?"var(--nb-hover)":"#f8fafc"}
+              onMouseLeave={e=>e.currentTarget.style.background="transparent"}
+              onClick={() => { if (confirm("Vrátit data do stavu před posledním importem?")) { onRestoreBackup(); setOpen(false); } }}>
+              <RotateCcw size={16} style={{ color:"#f87171" }}/> Vrátit import ({new Date(backup.at).toLocaleString("cs-CZ", { day:"numeric", month:"numeric", hour:"2-digit", minute:"2-digit" })})
+            </button>
+          )}
+          <button style={btnStyle} onMouseEnter={e=>e.currentTarget.style.background=dark?"var(--nb-hover)":"#f8fafc"}
+            onMouseLeave={e=>e.currentTarget.style.background="transparent"} onClick={() => { onOpenMeters(); setOpen(false); }}>
+            <Gauge size={16} style={{ color:"#a78bfa" }}/> Měřidla a okruhy
+          </button>
+          <button style={btnStyle} onMouseEnter={e=>e.currentTarget.style.background=dark?"var(--nb-hover)":"#f8fafc"}
+            onMouseLeave={e=>e.currentTarget.style.background="transparent"} onClick={() => { onOpenHistory(); setOpen(false); }}>
+            <History size={16} style={{ color:"#38bdf8" }}/> Historie změn
+          </button>
+          <button style={btnStyle} onMouseEnter={e=>e.currentTarget.style.background=dark?"var(--nb-hover)":"#f8fafc"}
+            onMouseLeave={e=>e.currentTarget.style.background="transparent"} onClick={() => { onOpenSettings(); setOpen(false); }}>
+            <Settings size={16} style={{ color:"#94a3b8" }}/> Nastavení
+          </button>
           <input ref={fileRef} type="file" accept=".json" style={{ display:"none" }} onChange={handleImport}/>
+          <input ref={csvRef} type="file" accept=".csv,.txt" style={{ display:"none" }} onChange={handleImportCsv}/>
           <div style={{ padding:"8px 16px", borderTop:`1px solid ${dark?"var(--nb-border)":"#f1f5f9"}` }}>
             <p style={{ ...D.txt3(dark), fontSize:11, margin:0 }}>
-              {SHEETS_API_URL ? "✅ Google Sheets sync aktivní" : "💾 localStorage (offline)"}
+              {syncLabel(sync)}
             </p>
           </div>
         </div>
@@ -906,20 +5835,116 @@ function WaffleMenu({ dark, onToggleDark, onExport, onImport }) {
 }
 
 // ─── App ─────────────────────────────────────────────────────
+// The property registry lives here; everything below is remounted per
+// property so the store starts from that property's storage.
 export default function App() {
   const [dark, setDark] = useState(true);
   const [view, setView] = useState("data");
+  const [properties, setProperties] = useState(loadProperties);
+  const [propertyId, setPropertyId] = useState(() => {
+    const id = localStorage.getItem(ACTIVE_PROPERTY_KEY);
+    return properties.some(p => p.id === id) ? id : DEFAULT_PROPERTY.id;
+  });
+
+  const selectProperty = (id) => {
+    localStorage.setItem(ACTIVE_PROPERTY_KEY, id);
+    setPropertyId(id);
+  };
+
+  const persistProperties = (list) => {
+    setProperties(list);
+    localStorage.setItem(PROPERTIES_KEY, JSON.stringify(list));
+  };
+
+  const saveProperty = (p) => {
+    if (p.id) return persistProperties(properties.map(x => x.id === p.id ? p : x));
+    const id = genId();
+    persistProperties([...properties, { ...p, id }]);
+    selectProperty(id);
+  };
+
+  // The registry only changes once the data is gone; a failure is left to
+  // the caller to show
+  const deleteProperty = async (id) => {
+    if (id === DEFAULT_PROPERTY.id) return;
+    const store = await openLocalStore(id);
+    await store.clear();
+    persistProperties(properties.filter(p => p.id !== id));
+    if (id === propertyId) selectProperty(DEFAULT_PROPERTY.id);
+  };
+
+  return (
+    <PropertyApp key={propertyId} property={properties.find(p => p.id === propertyId)} properties={properties}
+      onSelectProperty={selectProperty} onSaveProperty={saveProperty} onDeleteProperty={deleteProperty}
+      dark={dark} setDark={setDark} view={view} setView={setView}/>
+  );
+}
+
+function PropertyApp({ property, properties, onSelectProperty, onSaveProperty, onDeleteProperty, dark, setDark, view, setView }) {
   const [editRecord, setEditRecord] = useState(null);
-  const { records, loading, syncError, addRecord, updateRecord, deleteRecord, importData, exportData } = useDataStore();
+  const {
+    records, monthly, loading, sync, syncNow, backend, saveBackend, importData, exportData, importReadings,
+    backup, restoreBackup, log, undoLast, restoreRecord, device, saveDevice,
+    conflicts, resolveConflict,
+    planAdd, planUpdate, planDelete, commitPlan,
+    meters, saveMeter, deleteMeter, addMeterChange, deleteMeterChange,
+    tariffs, saveTariff, deleteTariff,
+    offers, saveOffer, deleteOffer,
+    billing, saveBilling, deleteBilling,
+    weather, importWeather, clearWeather,
+    intervals, importIntervals, clearIntervals,
+    spot, importSpot, clearSpot, spotPrices,
+  } = useDataStore(property.id);
+
+  const anomalies = useMemo(() => findAnomalies(monthly, records, meters), [monthly, records, meters]);
+  const forecast = useMemo(() => forecastYear(monthly, meters, tariffs), [monthly, meters, tariffs]);
+  // All properties for the overview – the active one live, the others as stored
+  const [others, setOthers] = useState({});
+  useEffect(() => {
+    let live = true;
+    Promise.all(properties.filter(p => p.id !== property.id)
+      .map(async p => [p.id, await loadPropertyMonthly(p.id)]))
+      .then(entries => { if (live) setOthers(Object.fromEntries(entries)); });
+    return () => { live = false; };
+  }, [properties, property]);
+  const overview = useMemo(() => properties.length < 2 ? null : properties
+    .map(p => p.id === property.id ? { property: p, monthly, meters } : others[p.id] && { property: p, ...others[p.id] })
+    .filter(Boolean), [properties, property, monthly, meters, others]);
+
+  const [pendingPlan, setPendingPlan] = useState(null);
+  const [csvImport, setCsvImport] = useState(null); // { text, fileName }
+  const [jsonImport, setJsonImport] = useState(null); // { data, fileName }
+  const [weatherImport, setWeatherImport] = useState(null); // { text, fileName }
+  const [intervalImport, setIntervalImport] = useState(null); // { text, fileName }
+  const [spotImport, setSpotImport] = useState(null); // { text, fileName }
+  const planResolver = useRef(null);
+
+  // Commits right away unless other months change – then asks first and
+  // resolves with { cancelled: true } when the user backs out
+  const runPlan = (plan) => {
+    if (!plan.affected.length) return commitPlan(plan);
+    return new Promise(resolve => { planResolver.current = resolve; setPendingPlan(plan); });
+  };
+  const resolvePlan = async (confirmed) => {
+    const plan = pendingPlan;
+    setPendingPlan(null);
+    planResolver.current(confirmed ? await commitPlan(plan) : { cancelled: true });
+  };
 
   const handleSave = async (fd) => {
-    if (editRecord) { await updateRecord(editRecord.id, fd); setEditRecord(null); return {}; }
-    return await addRecord(fd) || {};
+    if (editRecord) {
+      const res = await runPlan(planUpdate(editRecord.id, fd));
+      if (!res?.cancelled) setEditRecord(null);
+      return res || {};
+    }
+    return await runPlan(planAdd(fd)) || {};
   };
 
   const NAV = [
     { id:"data",   icon:<Table size={21}/>,   label:"Data" },
     { id:"charts", icon:<BarChart2 size={21}/>, label:"Grafy" },
+    { id:"tariffs", icon:<Receipt size={21}/>, label:"Ceník" },
+    { id:"billing", icon:<Wallet size={21}/>, label:"Vyúčtování" },
   ];
 
   return (
@@ -945,7 +5970,9 @@ export default function App() {
                 boxShadow:"0 4px 14px rgba(14,165,233,0.35)" }}>
                 <Zap size={17} color="#fff"/>
               </div>
-              <span style={{ ...D.txt1(dark), fontWeight:800, fontSize:16 }}>EnergyMonitor</span>
+              <span className="hidden sm:inline" style={{ ...D.txt1(dark), fontWeight:800, fontSize:16 }}>EnergyMonitor</span>
+              <PropertySwitcher properties={properties} activeId={property.id} onSelect={onSelectProperty}
+                onManage={() => setView("settings")} dark={dark}/>
             </div>
 
             {/* Desktop nav */}
@@ -962,11 +5989,17 @@ export default function App() {
               ))}
             </nav>
 
-            {/* Right: sync error + waffle */}
+            {/* Right: sync state + waffle */}
             <div style={{ display:"flex", alignItems:"center", gap:8 }}>
-              {syncError && <div title={syncError} style={{ color:"#fbbf24", cursor:"help" }}><AlertCircle size={18}/></div>}
-              <WaffleMenu dark={dark} onToggleDark={() => setDark(d=>!d)}
-                onExport={exportData} onImport={importData}/>
+              <SyncStatus sync={sync} onSync={syncNow} dark={dark}/>
+              <WaffleMenu dark={dark} sync={sync} onToggleDark={() => setDark(d=>!d)}
+                backup={backup} onRestoreBackup={restoreBackup}
+                onExport={() => exportData(property)} onImport={(data, fileName) => setJsonImport({ data, fileName })} onOpenMeters={() => setView("meters")}
+                onImportCsv={(text, fileName) => setCsvImport({ text, fileName })}
+                onImportWeather={(text, fileName) => setWeatherImport({ text, fileName })}
+                onImportIntervals={(text, fileName) => setIntervalImport({ text, fileName })}
+                onImportSpot={(text, fileName) => setSpotImport({ text, fileName })}
+                onOpenHistory={() => setView("history")} onOpenSettings={() => setView("settings")}/>
             </div>
           </div>
         </header>
@@ -977,19 +6010,43 @@ export default function App() {
             <div style={{ display:"flex", flexDirection:"column", alignItems:"center", justifyContent:"center", height:240, gap:12 }}>
               <div style={{ width:32, height:32, border:"3px solid #0ea5e9", borderTopColor:"transparent",
                 borderRadius:"50%", animation:"spin 0.8s linear infinite" }}/>
-              <style>{`@keyframes spin{to{transform:rotate(360deg)}}`}</style>
               <p style={D.txt2(dark)}>Načítám data…</p>
             </div>
           ) : view==="data" ? (
             <>
-              <InputForm records={records} onSave={handleSave} editRecord={editRecord}
+              <InputForm records={records} meters={meters} onSave={handleSave} editRecord={editRecord}
                 onCancelEdit={() => setEditRecord(null)} dark={dark}/>
-              <DataTable records={records}
+              <AnomalyCard anomalies={anomalies} dark={dark}/>
+              <DataTable records={monthly} readings={records} meters={meters} anomalies={anomalies}
                 onEdit={r => { setEditRecord(r); window.scrollTo({ top:0, behavior:"smooth" }); }}
-                onDelete={deleteRecord} dark={dark}/>
+                onDelete={id => runPlan(planDelete(id))} dark={dark}/>
+            </>
+          ) : view==="charts" ? (
+            <ChartsView records={monthly} meters={meters} anomalies={anomalies} forecast={forecast}
+              weather={weather} onClearWeather={clearWeather} intervals={intervals} onClearIntervals={clearIntervals}
+              spot={spot} onClearSpot={clearSpot}
+              properties={overview} dark={dark}/>
+          ) : view==="tariffs" ? (
+            <>
+              <TariffsView tariffs={tariffs} meters={meters} onSave={saveTariff} onDelete={deleteTariff} dark={dark}/>
+              <OffersView offers={offers} tariffs={tariffs} monthly={monthly} meters={meters} spotPrices={spotPrices}
+                onSave={saveOffer} onDelete={deleteOffer} dark={dark}/>
+            </>
+          ) : view==="billing" ? (
+            <BillingView periods={billing} monthly={monthly} forecast={forecast} tariffs={tariffs} meters={meters}
+              onSave={saveBilling} onDelete={deleteBilling} dark={dark}/>
+          ) : view==="history" ? (
+            <HistoryView log={log} records={records} meters={meters} device={device} onUndo={undoLast}
+              onRestore={restoreRecord} onRenameDevice={saveDevice} dark={dark}/>
+          ) : view==="settings" ? (
+            <>
+              <PropertiesView properties={properties} activeId={property.id} onSave={onSaveProperty}
+                onDelete={onDeleteProperty} onSelect={onSelectProperty} dark={dark}/>
+              <SettingsView backend={backend} sync={sync} property={property} onSave={saveBackend} dark={dark}/>
             </>
           ) : (
-            <ChartsView records={records} dark={dark}/>
+            <MetersView meters={meters} records={records} onSave={saveMeter} onDelete={deleteMeter}
+              onAddChange={addMeterChange} onDeleteChange={deleteMeterChange} dark={dark}/>
           )}
 
 
@@ -1020,6 +6077,41 @@ export default function App() {
             </button>
           ))}
         </nav>
+
+        {pendingPlan && (
+          <RecalcDialog plan={pendingPlan} onConfirm={() => resolvePlan(true)} onCancel={() => resolvePlan(false)} dark={dark}/>
+        )}
+        {csvImport && (
+          <CsvImportDialog text={csvImport.text} fileName={csvImport.fileName} meters={meters} dark={dark}
+            onCancel={() => setCsvImport(null)}
+            onImport={async rows => { setCsvImport(null); await importReadings(rows); setView("data"); }}/>
+        )}
+        {weatherImport && (
+          <WeatherImportDialog text={weatherImport.text} fileName={weatherImport.fileName} dark={dark}
+            onCancel={() => setWeatherImport(null)}
+            onImport={days => { setWeatherImport(null); importWeather(days); setView("charts"); }}/>
+        )}
+        {intervalImport && (
+          <IntervalImportDialog text={intervalImport.text} fileName={intervalImport.fileName} meters={meters} dark={dark}
+            onCancel={() => setIntervalImport(null)}
+            onImport={async profile => { setIntervalImport(null); await importIntervals(profile); setView("charts"); }}/>
+        )}
+        {spotImport && (
+          <SpotImportDialog text={spotImport.text} fileName={spotImport.fileName} dark={dark}
+            onCancel={() => setSpotImport(null)}
+            onImport={prices => { setSpotImport(null); importSpot(prices); setView("charts"); }}/>
+        )}
+        {jsonImport && (
+          <JsonImportDialog data={jsonImport.data} fileName={jsonImport.fileName} records={records} meters={meters}
+            property={property} dark={dark}
+            onCancel={() => setJsonImport(null)}
+            onImport={async (incoming, opts) => { setJsonImport(null); await importData(incoming, opts); setView("data"); }}/>
+        )}
+        {!pendingPlan && conflicts.length > 0 && (
+          <ConflictDialog conflict={conflicts[0]} local={records.find(r => r.id === conflicts[0].id) ?? null}
+            remaining={conflicts.length} meters={meters} dark={dark}
+            onResolve={keepLocal => resolveConflict(conflicts[0], keepLocal)}/>
+        )}
       </div>
     </>
   );